@@ -15,7 +15,7 @@ const corsOptions = {
   origin: process.env.CORS_ORIGIN || "http://localhost:5173",
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Team-Id"],
 };
 app.use(cors(corsOptions));
 app.options("*", cors(corsOptions));
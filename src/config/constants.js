@@ -4,12 +4,153 @@ const ROLES = {
   MEMBER: "MEMBER",
 };
 
+// Roles granted on a single project; MANAGER and MEMBER carry the same
+// rights as the team roles of that name, VIEWER can only read
+const PROJECT_ROLES = {
+  MANAGER: "MANAGER",
+  MEMBER: "MEMBER",
+  VIEWER: "VIEWER",
+};
+
+const PROJECT_VISIBILITY = {
+  TEAM: "team",
+  PRIVATE: "private",
+};
+
+// Statuses of the default workflow
 const TASK_STATUS = {
   TODO: "todo",
   IN_PROGRESS: "in-progress",
   DONE: "done",
 };
 
+// Every workflow status belongs to one of these; "complete" tasks count as
+// done everywhere (open task lists, reassignment on leave, ...)
+const STATUS_CATEGORIES = {
+  NOT_STARTED: "not-started",
+  ACTIVE: "active",
+  COMPLETE: "complete",
+};
+
+// `from` of a workflow transition that applies to every status
+const WORKFLOW_ANY_STATUS = "*";
+
+// Workflow of projects that have not defined their own; without transition
+// rules a task may move between any two statuses
+const DEFAULT_WORKFLOW = {
+  statuses: [
+    {
+      key: TASK_STATUS.TODO,
+      name: "To Do",
+      category: STATUS_CATEGORIES.NOT_STARTED,
+      color: "#94a3b8",
+    },
+    {
+      key: TASK_STATUS.IN_PROGRESS,
+      name: "In Progress",
+      category: STATUS_CATEGORIES.ACTIVE,
+      color: "#3b82f6",
+    },
+    {
+      key: TASK_STATUS.DONE,
+      name: "Done",
+      category: STATUS_CATEGORIES.COMPLETE,
+      color: "#22c55e",
+    },
+  ],
+  transitions: [],
+};
+
+// Ordered from least to most pressing
+const TASK_PRIORITIES = {
+  LOW: "low",
+  MEDIUM: "medium",
+  HIGH: "high",
+  URGENT: "urgent",
+};
+
+// What happens when a task with open subtasks is moved to a complete status
+const OPEN_SUBTASK_POLICIES = {
+  WARN: "warn",
+  BLOCK: "block",
+};
+
+// Links between tasks: "blocked-by" links cannot form cycles and keep the
+// task from being completed while the blocker is open
+const TASK_LINK_TYPES = {
+  BLOCKED_BY: "blocked-by",
+  RELATES_TO: "relates-to",
+};
+
+// Task activity log (see utils/activity.js)
+const ACTIVITY_ACTIONS = {
+  CREATED: "created",
+  UPDATED: "updated",
+  DELETED: "deleted",
+};
+
+// Where a task change came from
+const ACTIVITY_SOURCES = {
+  REST: "rest",
+  ASSISTANT: "assistant",
+  SOCKET: "socket",
+  IMPORT: "import",
+};
+
+// How a time entry was recorded
+const TIME_ENTRY_SOURCES = {
+  TIMER: "timer",
+  MANUAL: "manual",
+};
+
+// Ways the timesheet report can group entries (see utils/timesheets.js)
+const TIME_REPORT_GROUPS = ["user", "project", "task", "date"];
+
+// Background jobs run by the scheduler (see utils/scheduler.js)
+const JOB_TYPES = {
+  TASK_REMINDER: "task-reminder",
+  TASK_OVERDUE: "task-overdue",
+};
+
+const JOB_STATUS = {
+  PENDING: "pending",
+  RUNNING: "running",
+  DONE: "done",
+  FAILED: "failed",
+};
+
+const AUTH_EVENTS = {
+  LOGIN_FAILED: "login-failed",
+  ACCOUNT_LOCKED: "account-locked",
+  ACCOUNT_UNLOCKED: "account-unlocked",
+  PASSWORD_RESET_REQUESTED: "password-reset-requested",
+  PASSWORD_RESET: "password-reset",
+  PASSWORD_CHANGED: "password-changed",
+  EMAIL_VERIFIED: "email-verified",
+  TWO_FACTOR_ENABLED: "two-factor-enabled",
+  TWO_FACTOR_DISABLED: "two-factor-disabled",
+  RECOVERY_CODE_USED: "recovery-code-used",
+  EMAIL_CHANGED: "email-changed",
+  ACCOUNT_DEACTIVATED: "account-deactivated",
+  ACCOUNT_REACTIVATED: "account-reactivated",
+};
+
+const USER_TOKEN_TYPES = {
+  PASSWORD_RESET: "password-reset",
+  EMAIL_VERIFICATION: "email-verification",
+  TWO_FACTOR_CHALLENGE: "two-factor-challenge",
+};
+
+// Scopes a personal access token can be granted
+const TOKEN_SCOPES = {
+  TASKS_READ: "tasks:read",
+  TASKS_WRITE: "tasks:write",
+  PROJECTS_READ: "projects:read",
+  PROJECTS_WRITE: "projects:write",
+  MESSAGES_READ: "messages:read",
+  MESSAGES_WRITE: "messages:write",
+};
+
 const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
@@ -17,11 +158,30 @@ const HTTP_STATUS = {
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
+  LOCKED: 423,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_ERROR: 500,
 };
 
 module.exports = {
   ROLES,
+  PROJECT_ROLES,
+  PROJECT_VISIBILITY,
   TASK_STATUS,
+  STATUS_CATEGORIES,
+  WORKFLOW_ANY_STATUS,
+  DEFAULT_WORKFLOW,
+  TASK_PRIORITIES,
+  OPEN_SUBTASK_POLICIES,
+  TASK_LINK_TYPES,
+  ACTIVITY_ACTIONS,
+  ACTIVITY_SOURCES,
+  TIME_ENTRY_SOURCES,
+  TIME_REPORT_GROUPS,
+  JOB_TYPES,
+  JOB_STATUS,
+  AUTH_EVENTS,
+  USER_TOKEN_TYPES,
+  TOKEN_SCOPES,
   HTTP_STATUS,
 };
@@ -0,0 +1,54 @@
+const { ROLES, PROJECT_ROLES } = require("./constants");
+
+const { ADMIN, MANAGER, MEMBER } = ROLES;
+const { VIEWER } = PROJECT_ROLES;
+const ANY_ROLE = [ADMIN, MANAGER, MEMBER];
+
+/**
+ * Who may perform each action inside a team.
+ * Project and task actions on an existing project are checked against the
+ * user's role in that project (see policy.js), which may be VIEWER.
+ * - roles:    roles that are always allowed
+ * - assignee: the task's assignee is allowed as well
+ * - owner:    the team owner (Team.adminId) is allowed as well
+ * Assignees and owners are only allowed while they hold a role there.
+ */
+const PERMISSIONS = {
+  // Teams
+  "team:read": { roles: ANY_ROLE },
+  "team:leave": { roles: ANY_ROLE },
+  "team:update": { roles: [ADMIN] },
+  "team:delete": { roles: [], owner: true },
+  "team:transfer-ownership": { roles: [], owner: true },
+  "team:view-all-members": { roles: [ADMIN, MANAGER] },
+  "team:manage-members": { roles: [ADMIN] },
+  "team:manage-roles": { roles: [ADMIN] },
+  "team:invite": { roles: [ADMIN, MANAGER] },
+  "team:invite-privileged": { roles: [ADMIN] },
+
+  // Projects
+  "project:read": { roles: [...ANY_ROLE, VIEWER] },
+  "project:create": { roles: [ADMIN, MANAGER] },
+  "project:update": { roles: [ADMIN, MANAGER] },
+  "project:archive": { roles: [ADMIN, MANAGER] },
+  "project:manage-members": { roles: [ADMIN, MANAGER] },
+  "project:manage-workflow": { roles: [ADMIN, MANAGER] },
+  "project:manage-labels": { roles: [ADMIN, MANAGER] },
+  "project:view-timesheets": { roles: [ADMIN, MANAGER] },
+  "project:delete": { roles: [ADMIN] },
+
+  // Tasks
+  "task:read": { roles: [ADMIN, MANAGER, VIEWER], assignee: true },
+  "task:read-all": { roles: [ADMIN, MANAGER, VIEWER] },
+  "task:create": { roles: [ADMIN, MANAGER] },
+  "task:update": { roles: [ADMIN, MANAGER] },
+  "task:update-status": { roles: [ADMIN, MANAGER], assignee: true },
+  "task:assign": { roles: [MANAGER] },
+  "task:be-assigned": { roles: [MEMBER] },
+  "task:delete": { roles: [ADMIN] },
+  "task:comment": { roles: [ADMIN, MANAGER], assignee: true },
+  "task:moderate-comments": { roles: [ADMIN, MANAGER] },
+  "task:log-time": { roles: [ADMIN, MANAGER], assignee: true },
+};
+
+module.exports = { PERMISSIONS };
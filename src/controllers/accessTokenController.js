@@ -0,0 +1,91 @@
+const AccessToken = require("../models/AccessToken");
+const { successResponse } = require("../utils/responseHandler");
+const { NotFoundError } = require("../utils/errorTypes");
+const { createAccessToken } = require("../utils/accessTokens");
+const { HTTP_STATUS } = require("../config/constants");
+
+const serializeAccessToken = (accessToken) => ({
+  id: accessToken._id,
+  name: accessToken.name,
+  tokenPrefix: accessToken.tokenPrefix,
+  scopes: accessToken.scopes,
+  expiresAt: accessToken.expiresAt,
+  lastUsedAt: accessToken.lastUsedAt,
+  lastUsedIp: accessToken.lastUsedIp,
+  revokedAt: accessToken.revokedAt,
+  createdAt: accessToken.createdAt,
+});
+
+// @desc    Create a personal access token
+// @route   POST /api/auth/tokens
+// @access  Private
+const createToken = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const { accessToken, token } = await createAccessToken(req.user, {
+      name,
+      scopes,
+      expiresInDays,
+    });
+
+    successResponse(
+      res,
+      HTTP_STATUS.CREATED,
+      "Access token created. Copy it now, it will not be shown again",
+      {
+        token,
+        accessToken: serializeAccessToken(accessToken),
+      }
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List my personal access tokens
+// @route   GET /api/auth/tokens
+// @access  Private
+const getTokens = async (req, res, next) => {
+  try {
+    const tokens = await AccessToken.find({
+      userId: req.user._id,
+      revokedAt: null,
+    }).sort({ createdAt: -1 });
+
+    successResponse(res, HTTP_STATUS.OK, "Access tokens retrieved successfully", {
+      tokens: tokens.map((accessToken) => ({
+        ...serializeAccessToken(accessToken),
+        expired: !accessToken.isActive(),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke one of my personal access tokens
+// @route   DELETE /api/auth/tokens/:id
+// @access  Private
+const revokeToken = async (req, res, next) => {
+  try {
+    const accessToken = await AccessToken.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    if (!accessToken) {
+      throw new NotFoundError("Access token not found");
+    }
+
+    successResponse(res, HTTP_STATUS.OK, "Access token revoked successfully", null);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createToken,
+  getTokens,
+  revokeToken,
+};
@@ -0,0 +1,71 @@
+const Task = require("../models/Task");
+const TaskActivity = require("../models/TaskActivity");
+const { successResponse } = require("../utils/responseHandler");
+const {
+  can,
+  findVisibleProject,
+  findReadableTask,
+} = require("../utils/policy");
+const { getPagination, paginationMeta } = require("../utils/pagination");
+const { HTTP_STATUS } = require("../config/constants");
+
+// Newest first, one page at a time
+const findActivityPage = async (filter, pagination) => {
+  const [activity, total] = await Promise.all([
+    TaskActivity.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(pagination.skip)
+      .limit(pagination.limit)
+      .populate("actorId", "name email avatarUrl"),
+    TaskActivity.countDocuments(filter),
+  ]);
+  return { activity, pagination: paginationMeta(pagination, total) };
+};
+
+// @desc    Change history of a task
+// @route   GET /api/tasks/:id/activity?page=&limit=
+// @access  Private (anyone who can read the task)
+const getTaskActivity = async (req, res, next) => {
+  try {
+    const task = await findReadableTask(req.user, req.params.id);
+
+    const page = await findActivityPage(
+      { taskId: task._id },
+      getPagination(req.query)
+    );
+
+    successResponse(res, HTTP_STATUS.OK, "Activity retrieved successfully", page);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Activity feed of a project
+// @route   GET /api/projects/:id/activity?page=&limit=
+// @access  Private (members without task:read-all only see their tasks)
+const getProjectActivity = async (req, res, next) => {
+  try {
+    const project = await findVisibleProject(req.user, req.params.id);
+
+    const filter = { projectId: project._id };
+    if (!(await can(req.user, "task:read-all", project))) {
+      filter.taskId = {
+        $in: await Task.find({
+          projectId: project._id,
+          assignees: req.user._id,
+        }).distinct("_id"),
+      };
+    }
+
+    const page = await findActivityPage(filter, getPagination(req.query));
+
+    successResponse(res, HTTP_STATUS.OK, "Activity retrieved successfully", page);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTaskActivity,
+  getProjectActivity,
+};
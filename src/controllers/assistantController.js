@@ -1,9 +1,36 @@
 const Task = require("../models/Task");
 const Project = require("../models/Project");
-const User = require("../models/User");
+const Membership = require("../models/Membership");
+const Label = require("../models/Label");
+const { can, assertCan } = require("../utils/policy");
+const {
+  assertProjectWritable,
+  emitToProject,
+} = require("../utils/projects");
 const { successResponse } = require("../utils/responseHandler");
-const { NotFoundError, ForbiddenError, BadRequestError } = require("../utils/errorTypes");
-const { HTTP_STATUS, ROLES, TASK_STATUS } = require("../config/constants");
+const { NotFoundError, BadRequestError } = require("../utils/errorTypes");
+const {
+  getWorkflow,
+  resolveWorkflow,
+  initialStatus,
+  assertTransition,
+  matchStatus,
+  findStatusIn,
+} = require("../utils/workflows");
+const { scheduleTaskReminders } = require("../utils/taskReminders");
+const { recordTaskActivity } = require("../utils/activity");
+const { verifyAssignees } = require("../utils/assignees");
+const { notifyWatchers } = require("../utils/watchers");
+const { checkOpenSubtasks, deleteTaskTree } = require("../utils/subtasks");
+const { assertNotBlocked, notifyUnblocked } = require("../utils/dependencies");
+const { resolveLabelTerms, changeTaskLabels } = require("../utils/labels");
+const { rankInColumn, saveWithRank } = require("../utils/ranking");
+const { withTransaction } = require("../utils/transaction");
+const {
+  HTTP_STATUS,
+  ACTIVITY_ACTIONS,
+  ACTIVITY_SOURCES,
+} = require("../config/constants");
 
 /**
  * Natural Language Processing for Task Assistant
@@ -20,6 +47,13 @@ class TaskAssistant {
    */
   parseCommand(command) {
     const lowerCommand = command.toLowerCase().trim();
+
+    // Label patterns ("tag it bug", "add label bug to task 'Fix login'") come
+    // first since they may also mention "add" and "task"
+    if (/^(?:tag|untag|label|unlabel)\s/.test(lowerCommand) ||
+        /^(?:add|remove)\s+(?:the\s+)?(?:label|tag)s?\s/.test(lowerCommand)) {
+      return this.parseLabelTask(lowerCommand);
+    }
     
     // Create task patterns
     if (this.matchesPattern(lowerCommand, ['create', 'add', 'new', 'make']) && 
@@ -73,7 +107,7 @@ class TaskAssistant {
     const titleMatch = command.match(/(?:create|add|new|make)\s+(?:a\s+)?task\s+(?:to|for|about)?\s*(.+?)(?:\s+in\s+project|\s+with\s+description|\s+assigned\s+to|$)/i);
     const descriptionMatch = command.match(/(?:description|desc|details?):\s*(.+?)(?:\s+assigned\s+to|\s+status|$)/i);
     const assigneeMatch = command.match(/(?:assign|assigned|to)\s+(?:to\s+)?([a-z\s]+?)(?:\s+with\s+status|\s+status|$)/i);
-    const statusMatch = command.match(/(?:status|state):\s*(todo|in-progress|in progress|done|completed)/i);
+    const statusMatch = command.match(/(?:status|state):\s*(.+?)(?:\s+assigned\s+to|\s+(?:description|desc|details?):|$)/i);
 
     let title = titleMatch ? titleMatch[1].trim() : null;
     if (!title) {
@@ -91,11 +125,8 @@ class TaskAssistant {
 
     const description = descriptionMatch ? descriptionMatch[1].trim() : null;
     const assigneeName = assigneeMatch ? assigneeMatch[1].trim() : null;
-    let status = statusMatch ? statusMatch[1].toLowerCase().replace(/\s+/, '-') : TASK_STATUS.TODO;
-    
-    // Normalize status
-    if (status === 'in progress') status = TASK_STATUS.IN_PROGRESS;
-    if (status === 'completed') status = TASK_STATUS.DONE;
+    // Free text, matched against the project's workflow when the task is created
+    const status = statusMatch ? statusMatch[1].trim() : null;
 
     return {
       intent: 'create',
@@ -110,7 +141,8 @@ class TaskAssistant {
     const taskIdMatch = command.match(/(?:task\s+)?(?:#|id\s+)?([a-f0-9]{24})/i);
     const titleMatch = command.match(/(?:title|name):\s*["']?([^"']+)["']?/i);
     const descriptionMatch = command.match(/(?:description|desc|details?):\s*(.+?)(?:\s+status|$)/i);
-    const statusMatch = command.match(/(?:status|state):\s*(todo|in-progress|in progress|done|completed)/i);
+    const statusMatch = command.match(/(?:status|state):\s*(.+?)(?:\s+(?:title|name|description|desc|details?):|$)/i);
+    const status = statusMatch ? statusMatch[1].trim() : null;
 
     const taskId = taskIdMatch ? taskIdMatch[1] : null;
     if (!taskId) {
@@ -121,7 +153,7 @@ class TaskAssistant {
         taskTitle: titleSearchMatch ? titleSearchMatch[1].trim() : null,
         title: titleMatch ? titleMatch[1].trim() : null,
         description: descriptionMatch ? descriptionMatch[1].trim() : null,
-        status: statusMatch ? statusMatch[1].toLowerCase().replace(/\s+/, '-') : null,
+        status,
       };
     }
 
@@ -130,24 +162,16 @@ class TaskAssistant {
       taskId,
       title: titleMatch ? titleMatch[1].trim() : null,
       description: descriptionMatch ? descriptionMatch[1].trim() : null,
-      status: statusMatch ? statusMatch[1].toLowerCase().replace(/\s+/, '-') : null,
+      status,
     };
   }
 
   parseMoveTask(command) {
     const taskIdMatch = command.match(/(?:task\s+)?(?:#|id\s+)?([a-f0-9]{24})/i);
-    const statusMatch = command.match(/(?:to|as|status|state)\s+(todo|in-progress|in progress|done|completed)/i);
-    
-    let status = statusMatch ? statusMatch[1].toLowerCase().replace(/\s+/, '-') : null;
-    if (!status) {
-      // Try direct status mentions
-      if (command.includes('todo') || command.includes('to do')) status = TASK_STATUS.TODO;
-      else if (command.includes('in progress') || command.includes('in-progress')) status = TASK_STATUS.IN_PROGRESS;
-      else if (command.includes('done') || command.includes('completed')) status = TASK_STATUS.DONE;
-    }
-
-    if (status === 'in progress') status = TASK_STATUS.IN_PROGRESS;
-    if (status === 'completed') status = TASK_STATUS.DONE;
+    // The text after the last "to"/"as"/"status"; the workflow decides
+    // whether it names a status (see the move handler)
+    const statusMatch = command.match(/^.*\b(?:to|as|status|state)\s+["']?([^"']+?)["']?\s*$/i);
+    const status = statusMatch ? statusMatch[1].trim() : null;
 
     const taskId = taskIdMatch ? taskIdMatch[1] : null;
     if (!taskId) {
@@ -210,27 +234,92 @@ class TaskAssistant {
     };
   }
 
+  /**
+   * "tag it bug", "tag task 'Fix login' as bug, frontend", "untag it bug",
+   * "add label bug to task [taskId]", "remove label bug from it". "it" and
+   * "this" mean the task the command was sent from (taskId of the request).
+   */
+  parseLabelTask(command) {
+    const remove = /^(?:untag|unlabel|remove)\b/.test(command);
+
+    let target = null;
+    let labelText = null;
+    const phrased = command.match(/^(?:add|remove)\s+(?:the\s+)?(?:label|tag)s?\s+(.+?)\s+(?:to|from)\s+(.+)$/i);
+    if (phrased) {
+      labelText = phrased[1];
+      target = phrased[2];
+    } else {
+      const short = command.match(/^(?:tag|untag|label|unlabel)\s+(it|this(?:\s+task)?|task\s+(?:["'][^"']+["']|[a-f0-9]{24}))\s+(?:as\s+|with\s+)?(.+)$/i);
+      if (short) {
+        target = short[1];
+        labelText = short[2];
+      }
+    }
+
+    if (!target || !labelText) {
+      return { intent: 'error', message: 'Please say which task to label and with what, e.g. "tag it bug".' };
+    }
+
+    const labelNames = labelText
+      .split(/\s*,\s*|\s+and\s+/)
+      .map(name => name.replace(/^["']|["']$/g, '').replace(/^(?:labels?|tags?)\s+/, '').trim())
+      .filter(Boolean);
+    if (/^(?:it|this(?:\s+task)?)$/.test(target.trim())) {
+      return { intent: 'label', remove, labelNames, contextTask: true };
+    }
+
+    const taskIdMatch = target.match(/([a-f0-9]{24})/i);
+    const titleMatch = target.match(/^(?:task\s+)?["']?([^"']+)["']?$/i);
+
+    return {
+      intent: 'label',
+      remove,
+      labelNames,
+      taskId: taskIdMatch ? taskIdMatch[1] : null,
+      taskTitle: !taskIdMatch && titleMatch ? titleMatch[1].trim() : null,
+    };
+  }
+
   parseListTasks(command) {
     const filters = {};
     
     if (command.includes('assigned to me') || command.includes('my tasks')) {
       filters.assignedToMe = true;
     }
-    
-    if (command.includes('todo') || command.includes('to do')) {
-      filters.status = TASK_STATUS.TODO;
-    } else if (command.includes('in progress') || command.includes('in-progress')) {
-      filters.status = TASK_STATUS.IN_PROGRESS;
-    } else if (command.includes('done') || command.includes('completed')) {
-      filters.status = TASK_STATUS.DONE;
+
+    // "labelled bug", "tagged bug and frontend" (all of them), "with label
+    // bug or ui" (any of them)
+    const labelMatch = command.match(/\b(?:label(?:l)?ed|tagged|with\s+(?:the\s+)?(?:labels?|tags?))\s+(.+?)\s*$/i);
+    if (labelMatch) {
+      filters.labelMode = /\s+and\s+/.test(labelMatch[1]) ? 'and' : 'or';
+      filters.labelNames = labelMatch[1]
+        .split(/\s*,\s*|\s+and\s+|\s+or\s+/)
+        .map(name => name.replace(/^["']|["']$/g, '').trim())
+        .filter(Boolean);
     }
 
+    // Statuses mentioned in the command (before any labels) are looked up in
+    // the project's workflow
+    filters.statusText = labelMatch ? command.slice(0, labelMatch.index) : command;
+
     return {
       intent: 'list',
       filters,
     };
   }
 
+  /**
+   * Workflow status named in a command; throws when the text names none
+   */
+  findStatus(workflow, text) {
+    const status = matchStatus(workflow, text);
+    if (!status) {
+      const names = workflow.statuses.map(s => s.name).join(', ');
+      throw new BadRequestError(`Unknown status "${text}". Use one of: ${names}`);
+    }
+    return status;
+  }
+
   /**
    * Find task by title (fuzzy match)
    */
@@ -245,15 +334,21 @@ class TaskAssistant {
   }
 
   /**
-   * Find user by name (fuzzy match)
+   * Find a user who can be assigned tasks in the project by name (fuzzy match)
    */
-  async findUserByName(name) {
-    if (!name) return null;
+  async findUserByName(name, project) {
+    if (!name || !project) return null;
     
-    const users = await User.find({ 
-      role: ROLES.MEMBER,
-      teamId: this.user.teamId 
-    });
+    const memberships = await Membership.find({
+      teamId: project.teamId?._id || project.teamId,
+    }).populate('userId', 'name email deactivatedAt');
+    const candidates = memberships
+      .map(m => m.userId)
+      .filter(user => user && !user.deactivatedAt);
+    const assignable = await Promise.all(
+      candidates.map(user => can(user, 'task:be-assigned', project))
+    );
+    const users = candidates.filter((user, index) => assignable[index]);
     
     const lowerName = name.toLowerCase();
     return users.find(user => 
@@ -264,6 +359,24 @@ class TaskAssistant {
   }
 }
 
+/**
+ * Save a task, moving it to the `target` status (if any) at the end of that
+ * column on the board
+ */
+const saveWithStatus = (task, target) => {
+  if (!target || target.key === task.status) return task.save();
+
+  return saveWithRank(
+    () => rankInColumn(task, target.key),
+    (rank) => {
+      task.status = target.key;
+      task.statusCategory = target.category;
+      task.rank = rank;
+      return task.save();
+    }
+  );
+};
+
 /**
  * Main assistant handler
  */
@@ -284,30 +397,18 @@ const handleAssistant = async (req, res, next) => {
     let tasks = [];
     if (currentProjectId) {
       tasks = await Task.find({ projectId: currentProjectId })
-        .populate('projectId', 'name')
-        .populate('assignedTo', 'name email');
+        .populate('projectId', 'name teamId archivedAt')
+        .populate('assignees', 'name email');
       
-      // Filter based on role
-      if (user.role === ROLES.MEMBER) {
-        tasks = tasks.filter(task => {
-          if (!task.assignedTo) return false;
-          const assignedToId = typeof task.assignedTo === 'object' 
-            ? task.assignedTo._id.toString() 
-            : task.assignedTo.toString();
-          return assignedToId === user.id.toString();
-        });
-      }
+      // Only keep tasks the user may read
+      const readable = await Promise.all(tasks.map(task => can(user, 'task:read', task)));
+      tasks = tasks.filter((task, index) => readable[index]);
     }
 
     let result = { message: '', task: null, tasks: null };
 
     switch (parsed.intent) {
       case 'create':
-        // Check permissions
-        if (user.role === ROLES.MEMBER) {
-          throw new ForbiddenError('Members cannot create tasks. Only Admins and Managers can create tasks.');
-        }
-
         if (!currentProjectId) {
           throw new BadRequestError('Project ID is required to create a task');
         }
@@ -318,10 +419,15 @@ const handleAssistant = async (req, res, next) => {
           throw new NotFoundError('Project not found');
         }
 
+        // Check permissions
+        await assertCan(user, 'project:read', project, 'You can only create tasks in your team\'s projects');
+        await assertCan(user, 'task:create', project, 'Members cannot create tasks. Only Admins and Managers can create tasks.');
+        assertProjectWritable(project);
+
         // Find assignee if specified
         let assigneeId = null;
-        if (parsed.assigneeName && user.role === ROLES.MANAGER) {
-          const assignee = await assistant.findUserByName(parsed.assigneeName);
+        if (parsed.assigneeName && await can(user, 'task:assign', project)) {
+          const assignee = await assistant.findUserByName(parsed.assigneeName, project);
           if (assignee) {
             assigneeId = assignee._id;
           } else {
@@ -329,23 +435,37 @@ const handleAssistant = async (req, res, next) => {
           }
         }
 
-        const newTask = await Task.create({
-          title: parsed.title,
-          description: parsed.description,
-          status: parsed.status || TASK_STATUS.TODO,
-          projectId: currentProjectId,
-          assignedTo: assigneeId,
+        const workflow = getWorkflow(project);
+        const initial = parsed.status
+          ? assistant.findStatus(workflow, parsed.status)
+          : initialStatus(workflow);
+
+        // New tasks go to the end of their column
+        const newTask = await saveWithRank(
+          () => rankInColumn({ projectId: project._id }, initial.key),
+          (rank) => Task.create({
+            title: parsed.title,
+            description: parsed.description,
+            status: initial.key,
+            statusCategory: initial.category,
+            projectId: currentProjectId,
+            assignees: assigneeId ? [assigneeId] : [],
+            rank,
+          })
+        );
+        await recordTaskActivity({
+          task: newTask,
+          actor: user,
+          source: ACTIVITY_SOURCES.ASSISTANT,
+          action: ACTIVITY_ACTIONS.CREATED,
         });
 
         const populatedTask = await Task.findById(newTask._id)
-          .populate('projectId', 'name')
-          .populate('assignedTo', 'name email');
+          .populate('projectId', 'name teamId archivedAt')
+          .populate('assignees', 'name email');
 
-        // Emit task creation
-        const io = req.app.get('io');
-        if (io && project.teamId) {
-          io.to(`team:${project.teamId}`).emit('task-updated', populatedTask);
-        }
+        // Emit task creation to everyone who can see the project
+        await emitToProject(req.app.get('io'), project, 'task-updated', populatedTask);
 
         result.message = (result.message || '') + `Task "${parsed.title}" created successfully!`;
         result.task = populatedTask;
@@ -355,48 +475,56 @@ const handleAssistant = async (req, res, next) => {
         let taskToUpdate = null;
         
         if (parsed.taskId) {
-          taskToUpdate = await Task.findById(parsed.taskId);
+          taskToUpdate = await Task.findById(parsed.taskId).populate('projectId', 'name teamId archivedAt');
         } else if (parsed.taskTitle) {
           taskToUpdate = await assistant.findTaskByTitle(parsed.taskTitle, tasks);
         }
 
-        if (!taskToUpdate) {
+        if (!taskToUpdate || !taskToUpdate.projectId) {
           throw new NotFoundError('Task not found');
         }
+        assertProjectWritable(taskToUpdate.projectId);
+        const beforeUpdate = taskToUpdate.toObject();
 
         // Check permissions
-        if (user.role === ROLES.MEMBER) {
-          const assignedToId = taskToUpdate.assignedTo
-            ? (typeof taskToUpdate.assignedTo === 'object' ? taskToUpdate.assignedTo._id.toString() : taskToUpdate.assignedTo.toString())
-            : null;
-          
-          if (assignedToId !== user.id.toString()) {
-            throw new ForbiddenError('You can only update tasks assigned to you');
-          }
-          
-          // Members can only update status
-          if (parsed.status) {
-            taskToUpdate.status = parsed.status;
-          }
+        const canUpdateAll = await can(user, 'task:update', taskToUpdate);
+        if (!canUpdateAll) {
+          await assertCan(user, 'task:update-status', taskToUpdate, 'You can only update tasks assigned to you');
         } else {
           // Admin/Manager can update all fields
           if (parsed.title) taskToUpdate.title = parsed.title;
           if (parsed.description !== null) taskToUpdate.description = parsed.description;
-          if (parsed.status) taskToUpdate.status = parsed.status;
         }
 
-        await taskToUpdate.save();
+        // Members can only update status; moves follow the project's workflow
+        let updateWarning = null;
+        let statusTarget = null;
+        if (parsed.status) {
+          const workflow = await resolveWorkflow(taskToUpdate);
+          const target = await assertTransition(
+            user,
+            taskToUpdate,
+            workflow,
+            taskToUpdate.status,
+            assistant.findStatus(workflow, parsed.status).key
+          );
+          await assertNotBlocked(taskToUpdate, target);
+          updateWarning = await checkOpenSubtasks(taskToUpdate, target);
+          statusTarget = target;
+        }
+
+        await saveWithStatus(taskToUpdate, statusTarget);
+        await recordTaskActivity({ task: taskToUpdate, before: beforeUpdate, actor: user, source: ACTIVITY_SOURCES.ASSISTANT, io: req.app.get('io') });
+        await notifyUnblocked(req.app.get('io'), taskToUpdate, beforeUpdate.statusCategory);
         const updatedTask = await Task.findById(taskToUpdate._id)
-          .populate('projectId', 'name')
-          .populate('assignedTo', 'name email');
+          .populate('projectId', 'name teamId archivedAt')
+          .populate('assignees', 'name email');
 
         // Emit task update
-        const ioUpdate = req.app.get('io');
-        if (ioUpdate && updatedTask.projectId?.teamId) {
-          ioUpdate.to(`team:${updatedTask.projectId.teamId}`).emit('task-updated', updatedTask);
-        }
+        await emitToProject(req.app.get('io'), updatedTask.projectId, 'task-updated', updatedTask);
 
         result.message = `Task "${updatedTask.title}" updated successfully!`;
+        if (updateWarning) result.message += ` Warning: ${updateWarning}.`;
         result.task = updatedTask;
         break;
 
@@ -404,140 +532,206 @@ const handleAssistant = async (req, res, next) => {
         let taskToMove = null;
         
         if (parsed.taskId) {
-          taskToMove = await Task.findById(parsed.taskId);
+          taskToMove = await Task.findById(parsed.taskId).populate('projectId', 'name teamId archivedAt');
         } else if (parsed.taskTitle) {
           taskToMove = await assistant.findTaskByTitle(parsed.taskTitle, tasks);
         }
 
-        if (!taskToMove) {
+        if (!taskToMove || !taskToMove.projectId) {
           throw new NotFoundError('Task not found');
         }
-
-        if (!parsed.status) {
-          throw new BadRequestError('Please specify the status to move the task to');
-        }
+        assertProjectWritable(taskToMove.projectId);
 
         // Check permissions
-        if (user.role === ROLES.MEMBER) {
-          const assignedToId = taskToMove.assignedTo
-            ? (typeof taskToMove.assignedTo === 'object' ? taskToMove.assignedTo._id.toString() : taskToMove.assignedTo.toString())
-            : null;
-          
-          if (assignedToId !== user.id.toString()) {
-            throw new ForbiddenError('You can only update tasks assigned to you');
-          }
+        await assertCan(user, 'task:update-status', taskToMove, 'You can only update tasks assigned to you');
+
+        // The status must exist in the project's workflow and the move be allowed
+        const moveWorkflow = await resolveWorkflow(taskToMove);
+        const requested = matchStatus(moveWorkflow, parsed.status) || findStatusIn(moveWorkflow, command);
+        if (!requested) {
+          throw new BadRequestError(
+            `Please specify the status to move the task to: ${moveWorkflow.statuses.map(s => s.name).join(', ')}`
+          );
         }
-
-        taskToMove.status = parsed.status;
-        await taskToMove.save();
+        const moveTarget = await assertTransition(user, taskToMove, moveWorkflow, taskToMove.status, requested.key);
+        await assertNotBlocked(taskToMove, moveTarget);
+        const moveWarning = await checkOpenSubtasks(taskToMove, moveTarget);
+        const beforeMove = taskToMove.toObject();
+
+        await saveWithStatus(taskToMove, moveTarget);
+        await recordTaskActivity({ task: taskToMove, before: beforeMove, actor: user, source: ACTIVITY_SOURCES.ASSISTANT, io: req.app.get('io') });
+        await notifyUnblocked(req.app.get('io'), taskToMove, beforeMove.statusCategory);
         
         const movedTask = await Task.findById(taskToMove._id)
-          .populate('projectId', 'name')
-          .populate('assignedTo', 'name email');
+          .populate('projectId', 'name teamId archivedAt')
+          .populate('assignees', 'name email');
 
         // Emit task update
-        const ioMove = req.app.get('io');
-        if (ioMove && movedTask.projectId?.teamId) {
-          ioMove.to(`team:${movedTask.projectId.teamId}`).emit('task-updated', movedTask);
-        }
+        await emitToProject(req.app.get('io'), movedTask.projectId, 'task-updated', movedTask);
 
-        result.message = `Task "${movedTask.title}" moved to ${parsed.status} successfully!`;
+        result.message = `Task "${movedTask.title}" moved to ${moveTarget.name} successfully!`;
+        if (moveWarning) result.message += ` Warning: ${moveWarning}.`;
         result.task = movedTask;
         break;
 
       case 'assign':
-        if (user.role !== ROLES.MANAGER) {
-          throw new ForbiddenError('Only Managers can assign tasks to members');
-        }
-
         let taskToAssign = null;
         
         if (parsed.taskId) {
-          taskToAssign = await Task.findById(parsed.taskId);
+          taskToAssign = await Task.findById(parsed.taskId).populate('projectId', 'name teamId archivedAt');
         } else if (parsed.taskTitle) {
           taskToAssign = await assistant.findTaskByTitle(parsed.taskTitle, tasks);
         }
 
-        if (!taskToAssign) {
+        if (!taskToAssign || !taskToAssign.projectId) {
           throw new NotFoundError('Task not found');
         }
+        assertProjectWritable(taskToAssign.projectId);
+
+        await assertCan(user, 'task:assign', taskToAssign, 'Only Managers can assign tasks to members');
 
         if (!parsed.assigneeName) {
           throw new BadRequestError('Please specify who to assign the task to');
         }
 
-        const assignee = await assistant.findUserByName(parsed.assigneeName);
+        // Only users holding the MEMBER role in the team are matched
+        const assignee = await assistant.findUserByName(parsed.assigneeName, taskToAssign.projectId);
         if (!assignee) {
           throw new NotFoundError(`User "${parsed.assigneeName}" not found`);
         }
 
-        if (assignee.role !== ROLES.MEMBER) {
-          throw new ForbiddenError('Tasks can only be assigned to members');
+        // The assignee joins the task's other assignees and gets their own
+        // due date reminder
+        const beforeAssign = taskToAssign.toObject();
+        const currentAssignees = taskToAssign.assignees.map(a => a._id || a);
+        const newAssignee = !currentAssignees.some(id => id.equals(assignee._id));
+        if (newAssignee) {
+          await verifyAssignees([...currentAssignees, assignee._id], taskToAssign.projectId, currentAssignees);
+          taskToAssign.assignees = [...currentAssignees, assignee._id];
+          taskToAssign.remindedAt = null;
+          await taskToAssign.save();
+          await recordTaskActivity({ task: taskToAssign, before: beforeAssign, actor: user, source: ACTIVITY_SOURCES.ASSISTANT, io: req.app.get('io') });
+          await scheduleTaskReminders(taskToAssign);
         }
-
-        taskToAssign.assignedTo = assignee._id;
-        await taskToAssign.save();
         
         const assignedTask = await Task.findById(taskToAssign._id)
-          .populate('projectId', 'name')
-          .populate('assignedTo', 'name email');
+          .populate('projectId', 'name teamId archivedAt')
+          .populate('assignees', 'name email');
 
         // Emit task update
-        const ioAssign = req.app.get('io');
-        if (ioAssign && assignedTask.projectId?.teamId) {
-          ioAssign.to(`team:${assignedTask.projectId.teamId}`).emit('task-updated', assignedTask);
-        }
+        await emitToProject(req.app.get('io'), assignedTask.projectId, 'task-updated', assignedTask);
 
-        result.message = `Task "${assignedTask.title}" assigned to ${assignee.name} successfully!`;
+        result.message = newAssignee
+          ? `Task "${assignedTask.title}" assigned to ${assignee.name} successfully!`
+          : `${assignee.name} is already assigned to "${assignedTask.title}"`;
         result.task = assignedTask;
         break;
 
       case 'delete':
-        if (user.role !== ROLES.ADMIN) {
-          throw new ForbiddenError('Only Admins can delete tasks');
-        }
-
         let taskToDelete = null;
         
         if (parsed.taskId) {
-          taskToDelete = await Task.findById(parsed.taskId);
+          taskToDelete = await Task.findById(parsed.taskId).populate('projectId', 'name teamId archivedAt');
         } else if (parsed.taskTitle) {
           taskToDelete = await assistant.findTaskByTitle(parsed.taskTitle, tasks);
         }
 
-        if (!taskToDelete) {
+        if (!taskToDelete || !taskToDelete.projectId) {
           throw new NotFoundError('Task not found');
         }
+        assertProjectWritable(taskToDelete.projectId);
+
+        await assertCan(user, 'task:delete', taskToDelete, 'Only Admins can delete tasks');
 
-        await Task.findByIdAndDelete(taskToDelete._id);
+        // Subtasks go with it
+        const subtaskIds = await withTransaction((session) =>
+          deleteTaskTree(taskToDelete, { actor: user, source: ACTIVITY_SOURCES.ASSISTANT }, session)
+        );
 
         // Emit task deletion
-        const ioDelete = req.app.get('io');
-        if (ioDelete && taskToDelete.projectId) {
-          const project = await Project.findById(taskToDelete.projectId);
-          if (project && project.teamId) {
-            ioDelete.to(`team:${project.teamId}`).emit('task-deleted', { taskId: taskToDelete._id });
+        await emitToProject(req.app.get('io'), taskToDelete.projectId, 'task-deleted', { taskId: taskToDelete._id, subtaskIds });
+        await notifyWatchers(req.app.get('io'), taskToDelete, { actorId: user._id, action: ACTIVITY_ACTIONS.DELETED });
+
+        result.message = `Task "${taskToDelete.title}" deleted successfully!`;
+        break;
+
+      case 'label':
+        let taskToLabel = null;
+
+        if (parsed.contextTask) {
+          if (!req.body.taskId) {
+            throw new BadRequestError('Open a task first, or name the task to label');
           }
+          taskToLabel = await Task.findById(req.body.taskId).populate('projectId', 'name teamId archivedAt');
+        } else if (parsed.taskId) {
+          taskToLabel = await Task.findById(parsed.taskId).populate('projectId', 'name teamId archivedAt');
+        } else if (parsed.taskTitle) {
+          taskToLabel = await assistant.findTaskByTitle(parsed.taskTitle, tasks);
         }
 
-        result.message = `Task "${taskToDelete.title}" deleted successfully!`;
+        if (!taskToLabel || !taskToLabel.projectId) {
+          throw new NotFoundError('Task not found');
+        }
+        assertProjectWritable(taskToLabel.projectId);
+
+        await assertCan(user, 'task:update', taskToLabel, 'Only Admins and Managers can label tasks');
+
+        // Labels are looked up by name in the task's project
+        const labelProjectId = taskToLabel.projectId._id;
+        const labelGroups = await resolveLabelTerms([labelProjectId], parsed.labelNames);
+        const unknownLabels = parsed.labelNames.filter((name, index) => labelGroups[index].length === 0);
+        if (unknownLabels.length > 0) {
+          const available = (await Label.find({ projectId: labelProjectId }).sort({ name: 1 })).map(l => l.name);
+          throw new NotFoundError(
+            `Unknown label "${unknownLabels.join('", "')}". ` +
+            (available.length > 0 ? `Labels of this project: ${available.join(', ')}` : 'This project has no labels yet')
+          );
+        }
+
+        const chosenLabels = labelGroups.flat();
+        const labelledTask = await changeTaskLabels(
+          taskToLabel,
+          parsed.remove ? { remove: chosenLabels } : { add: chosenLabels },
+          { actor: user, source: ACTIVITY_SOURCES.ASSISTANT, io: req.app.get('io') }
+        );
+
+        // Emit task update
+        await emitToProject(req.app.get('io'), labelledTask.projectId, 'task-updated', labelledTask);
+
+        result.message = parsed.remove
+          ? `Removed ${chosenLabels.map(l => l.name).join(', ')} from "${labelledTask.title}"`
+          : `Tagged "${labelledTask.title}" with ${chosenLabels.map(l => l.name).join(', ')}`;
+        result.task = labelledTask;
         break;
 
       case 'list':
         let filteredTasks = [...tasks];
         
         if (parsed.filters.assignedToMe) {
-          filteredTasks = filteredTasks.filter(task => {
-            if (!task.assignedTo) return false;
-            const assignedToId = typeof task.assignedTo === 'object' 
-              ? task.assignedTo._id.toString() 
-              : task.assignedTo.toString();
-            return assignedToId === user.id.toString();
-          });
+          filteredTasks = filteredTasks.filter(task =>
+            task.assignees.some(assignee => assignee._id.toString() === user.id.toString())
+          );
         }
         
-        if (parsed.filters.status) {
-          filteredTasks = filteredTasks.filter(task => task.status === parsed.filters.status);
+        // Tasks are only loaded for the current project, so its workflow and
+        // labels apply
+        if (currentProjectId && parsed.filters.labelNames) {
+          const groups = (await resolveLabelTerms([currentProjectId], parsed.filters.labelNames))
+            .map(labels => labels.map(label => label._id.toString()));
+          const hasLabelOf = (task, ids) => task.labels.some(id => ids.includes(id.toString()));
+          filteredTasks = filteredTasks.filter(task =>
+            parsed.filters.labelMode === 'and'
+              ? groups.every(ids => hasLabelOf(task, ids))
+              : groups.some(ids => hasLabelOf(task, ids))
+          );
+        }
+
+        if (currentProjectId) {
+          const listWorkflow = await resolveWorkflow({ projectId: currentProjectId });
+          const listStatus = findStatusIn(listWorkflow, parsed.filters.statusText);
+          if (listStatus) {
+            filteredTasks = filteredTasks.filter(task => task.status === listStatus.key);
+          }
         }
 
         if (filteredTasks.length === 0) {
@@ -573,12 +767,18 @@ const handleAssistant = async (req, res, next) => {
 • "Delete task [taskId]"
 • "Remove task 'Fix login'"
 
+**Label Tasks:**
+• "Tag it bug" (the task you are looking at)
+• "Tag task 'Fix login' as bug, frontend"
+• "Remove label bug from task [taskId]"
+
 **List Tasks:**
 • "Show me all tasks"
 • "What tasks are assigned to me?"
 • "List all todo tasks"
+• "Show tasks labelled frontend"
 
-**Note:** You can use task titles instead of IDs for most commands!`;
+**Note:** You can use task titles instead of IDs for most commands! Statuses are the ones of the project's workflow.`;
         break;
 
       case 'unknown':
@@ -1,22 +1,93 @@
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const Membership = require("../models/Membership");
+const Session = require("../models/Session");
 const { successResponse } = require("../utils/responseHandler");
-const { UnauthorizedError, ValidationError } = require("../utils/errorTypes");
-const { HTTP_STATUS } = require("../config/constants");
+const {
+  UnauthorizedError,
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+  AccountLockedError,
+} = require("../utils/errorTypes");
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+} = require("../utils/sessionManager");
+const {
+  findInvitationForUser,
+  redeemInvitation,
+} = require("../utils/invitations");
+const { resolveActiveTeam, requireTeamRole } = require("../utils/membership");
+const {
+  getEffectivePermissions,
+  findVisibleProject,
+} = require("../utils/policy");
+const {
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  recordAuthEvent,
+} = require("../utils/loginGuard");
+const {
+  revokeUserTokens,
+  issueUserToken,
+  findUserToken,
+  consumeUserToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+} = require("../utils/userTokens");
+const { verifySecondFactor } = require("../utils/twoFactor");
+const { findOwnedTeams, deleteAccount } = require("../utils/accounts");
+const { sendMail } = require("../utils/mailer");
+const { revokeUserAccessTokens } = require("../utils/accessTokens");
+const { withTransaction } = require("../utils/transaction");
+const {
+  HTTP_STATUS,
+  AUTH_EVENTS,
+  USER_TOKEN_TYPES,
+} = require("../config/constants");
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
+// Open a session for an authenticated user and send the token pair
+const sendSession = async (req, res, statusCode, message, user) => {
+  await resolveActiveTeam(user);
+
+  const { accessToken, refreshToken } = await createSession(user, req);
+
+  successResponse(res, statusCode, message, {
+    token: accessToken,
+    refreshToken,
+    user: {
+      id: user._id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      teamId: user.teamId,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: user.twoFactorEnabled,
+    },
   });
 };
 
+// Count a failed password or second factor, locking the account when needed
+const rejectLogin = async (email, req, user, message) => {
+  const { lockedUntil } = await recordLoginFailure(email, req, user);
+  if (lockedUntil) {
+    throw new AccountLockedError(
+      "Account is temporarily locked due to too many failed login attempts",
+      Math.ceil((lockedUntil.getTime() - Date.now()) / 1000)
+    );
+  }
+  throw new UnauthorizedError(message);
+};
+
 // @desc    Register new user
 // @route   POST /api/auth/register
 // @access  Public
 const register = async (req, res, next) => {
   try {
-    const { email, name, password, role, teamId } = req.body;
+    const { email, name, password, inviteCode } = req.body;
 
     // Check if user exists
     const userExists = await User.findOne({ email });
@@ -24,27 +95,45 @@ const register = async (req, res, next) => {
       throw new ValidationError("User already exists with this email");
     }
 
-    // Create user
-    const user = await User.create({
-      email,
-      name,
-      password,
-      role,
-      teamId,
-    });
-
-    const token = generateToken(user._id);
+    // Check the invitation before creating the account
+    if (inviteCode) {
+      await findInvitationForUser(inviteCode, { email: email.toLowerCase() });
+    }
 
-    successResponse(res, HTTP_STATUS.CREATED, "User registered successfully", {
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name,
-        role: user.role,
-        teamId: user.teamId,
-      },
+    // Create user - always a plain member without a team; roles are
+    // granted by team admins and teams are joined through invitations.
+    // The account and the invitation go together, so an invitation that
+    // cannot be redeemed leaves no account behind
+    const userId = await withTransaction(async (session) => {
+      const [created] = await User.create([{ email, name, password }], {
+        session,
+      });
+      if (inviteCode) {
+        try {
+          await redeemInvitation(created, inviteCode, session);
+        } catch (error) {
+          // Without a transaction (standalone MongoDB) undo it by hand
+          if (!session) await User.deleteOne({ _id: created._id });
+          throw error;
+        }
+      }
+      return created._id;
     });
+    const user = await User.findById(userId);
+    // A mail failure must not lose the account; the user can ask for a new link
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error(" Verification email error:", mailError.message);
+    }
+
+    await sendSession(
+      req,
+      res,
+      HTTP_STATUS.CREATED,
+      "User registered successfully",
+      user
+    );
   } catch (error) {
     next(error);
   }
@@ -57,28 +146,112 @@ const login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
-    // Check for user
+    // Refuse locked accounts and clients inside their backoff window
+    await assertLoginAllowed(email, req.ip);
+
+    // Check for user and password
     const user = await User.findOne({ email }).select("+password");
+    const isPasswordMatch = user ? await user.comparePassword(password) : false;
+    if (!isPasswordMatch) {
+      await rejectLogin(email, req, user, "Invalid credentials");
+    }
+
+    if (user.deactivatedAt) {
+      throw new ForbiddenError("Account has been deactivated");
+    }
+
+    // The password alone is not enough: hand out a challenge for the second step
+    if (user.twoFactorEnabled) {
+      const challengeToken = await issueUserToken(
+        user,
+        USER_TOKEN_TYPES.TWO_FACTOR_CHALLENGE
+      );
+
+      return successResponse(
+        res,
+        HTTP_STATUS.OK,
+        "Two-factor authentication required",
+        { twoFactorRequired: true, challengeToken }
+      );
+    }
+
+    await recordLoginSuccess(email);
+
+    await sendSession(req, res, HTTP_STATUS.OK, "Login successful", user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Complete a login with a TOTP or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = await findUserToken(
+      challengeToken,
+      USER_TOKEN_TYPES.TWO_FACTOR_CHALLENGE
+    );
+    const user = await User.findById(challenge.userId);
     if (!user) {
-      throw new UnauthorizedError("Invalid credentials");
+      throw new UnauthorizedError("User not found");
     }
 
-    // Check password
-    const isPasswordMatch = await user.comparePassword(password);
-    if (!isPasswordMatch) {
-      throw new UnauthorizedError("Invalid credentials");
+    // Guessing codes counts against the same limits as guessing passwords
+    await assertLoginAllowed(user.email, req.ip);
+
+    if (!(await verifySecondFactor(user._id, { code, recoveryCode }))) {
+      await rejectLogin(user.email, req, user, "Invalid authentication code");
+    }
+    // The account may have been deactivated since the password step
+    if (user.deactivatedAt) {
+      throw new ForbiddenError("Account has been deactivated");
     }
 
-    const token = generateToken(user._id);
+    // Single use: a concurrent request with the same challenge loses here
+    await consumeUserToken(challengeToken, USER_TOKEN_TYPES.TWO_FACTOR_CHALLENGE);
 
-    successResponse(res, HTTP_STATUS.OK, "Login successful", {
-      token,
+    await recordLoginSuccess(user.email);
+    if (recoveryCode) {
+      await recordAuthEvent(AUTH_EVENTS.RECOVERY_CODE_USED, { user, req });
+    }
+
+    await sendSession(req, res, HTTP_STATUS.OK, "Login successful", user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get current user
+// @route   GET /api/auth/me
+// @access  Private
+const getMe = async (req, res, next) => {
+  try {
+    const user = req.user;
+
+    const memberships = await Membership.find({ userId: user._id }).populate(
+      "teamId",
+      "name requireTwoFactor"
+    );
+
+    successResponse(res, HTTP_STATUS.OK, "User retrieved successfully", {
       user: {
         id: user._id,
         email: user.email,
         name: user.name,
         role: user.role,
         teamId: user.teamId,
+        avatarUrl: user.avatarUrl,
+        timezone: user.timezone,
+        locale: user.locale,
+        emailVerified: user.emailVerified,
+        pendingEmail: user.pendingEmail,
+        twoFactorEnabled: user.twoFactorEnabled,
+        teams: memberships
+          .filter((m) => m.teamId)
+          .map((m) => ({ team: m.teamId, role: m.role })),
       },
     });
   } catch (error) {
@@ -86,20 +259,74 @@ const login = async (req, res, next) => {
   }
 };
 
-// @desc    Get current user
-// @route   GET /api/auth/me
+// @desc    Update the current user's profile
+// @route   PUT /api/auth/me
 // @access  Private
-const getMe = async (req, res, next) => {
+const updateProfile = async (req, res, next) => {
   try {
-    const user = await User.findById(req.user.id);
+    const { name, email, currentPassword, avatarUrl, timezone, locale } =
+      req.body;
 
-    successResponse(res, HTTP_STATUS.OK, "User retrieved successfully", {
+    const user = await User.findById(req.user._id).select("+password");
+    const newEmail = email !== undefined ? email.toLowerCase() : null;
+    const emailChanged =
+      newEmail !== null &&
+      newEmail !== user.email &&
+      newEmail !== user.pendingEmail;
+
+    // A new address only replaces the current one once it is verified (see
+    // verifyEmail); until then invitations and logins keep using the old one
+    if (emailChanged) {
+      if (!(await user.comparePassword(currentPassword || ""))) {
+        throw new UnauthorizedError("Current password is incorrect");
+      }
+      if (await User.exists({ email: newEmail })) {
+        throw new ValidationError("User already exists with this email");
+      }
+
+      user.pendingEmail = newEmail;
+    }
+    // Back to the current address: drop the pending change, and the link
+    // sent to confirm it with it (a new one replaces it when it changes)
+    const pendingDropped = newEmail === user.email && Boolean(user.pendingEmail);
+    if (pendingDropped) {
+      user.pendingEmail = null;
+    }
+
+    if (name !== undefined) user.name = name;
+    if (avatarUrl !== undefined) user.avatarUrl = avatarUrl;
+    if (timezone !== undefined) user.timezone = timezone;
+    if (locale !== undefined) user.locale = locale;
+    await user.save();
+
+    if (pendingDropped) {
+      await revokeUserTokens(user, USER_TOKEN_TYPES.EMAIL_VERIFICATION);
+    }
+    if (emailChanged) {
+      await sendVerificationEmail(user);
+      await sendMail({
+        to: user.email,
+        subject: "A change of your email address was requested",
+        text: [
+          `Hi ${user.name},`,
+          "",
+          `Someone asked to change the email address of your account to ${user.pendingEmail}.`,
+          "The change takes effect once the new address is confirmed.",
+          "If you did not do this, reset your password and contact your team admin.",
+        ].join("\n"),
+      });
+    }
+
+    successResponse(res, HTTP_STATUS.OK, "Profile updated successfully", {
       user: {
         id: user._id,
         email: user.email,
         name: user.name,
-        role: user.role,
-        teamId: user.teamId,
+        avatarUrl: user.avatarUrl,
+        timezone: user.timezone,
+        locale: user.locale,
+        emailVerified: user.emailVerified,
+        pendingEmail: user.pendingEmail,
       },
     });
   } catch (error) {
@@ -107,8 +334,365 @@ const getMe = async (req, res, next) => {
   }
 };
 
+// @desc    Permanently delete the current user's account
+// @route   DELETE /api/auth/me
+// @access  Private
+const deleteMe = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user._id).select("+password");
+    if (!(await user.comparePassword(password))) {
+      throw new UnauthorizedError("Current password is incorrect");
+    }
+    if (
+      user.twoFactorEnabled &&
+      !(await verifySecondFactor(user._id, { code, recoveryCode }))
+    ) {
+      throw new UnauthorizedError("Invalid authentication code");
+    }
+
+    const ownedTeams = await findOwnedTeams(user._id);
+    if (ownedTeams.length > 0) {
+      throw new ForbiddenError(
+        `Transfer ownership of or delete your teams first: ${ownedTeams
+          .map((team) => team.name)
+          .join(", ")}`
+      );
+    }
+
+    await deleteAccount(user, req.app.get("io"));
+
+    successResponse(res, HTTP_STATUS.OK, "Account deleted successfully", null);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the current user's effective permissions in a team
+// @route   GET /api/auth/permissions?teamId=xxx or ?projectId=xxx
+// @access  Private
+const getPermissions = async (req, res, next) => {
+  try {
+    let project = null;
+    if (req.query.projectId) {
+      project = await findVisibleProject(req.user, req.query.projectId);
+    }
+
+    const teamId = project
+      ? project.teamId
+      : req.query.teamId || req.user.teamId;
+
+    if (teamId) {
+      await requireTeamRole(req.user, teamId);
+    }
+
+    const permissions = await getEffectivePermissions(
+      req.user,
+      teamId,
+      project
+    );
+
+    successResponse(res, HTTP_STATUS.OK, "Permissions retrieved successfully", {
+      permissions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+const refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const result = await rotateSession(refreshToken, req);
+
+    successResponse(res, HTTP_STATUS.OK, "Token refreshed successfully", {
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Logout current session
+// @route   POST /api/auth/logout
+// @access  Private
+const logout = async (req, res, next) => {
+  try {
+    await revokeSession(req.authSession._id, "logout", req.app.get("io"));
+
+    successResponse(res, HTTP_STATUS.OK, "Logged out successfully", null);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Logout every session of the current user
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAll = async (req, res, next) => {
+  try {
+    const revoked = await revokeUserSessions(
+      req.user._id,
+      "logout-all",
+      req.app.get("io")
+    );
+
+    successResponse(res, HTTP_STATUS.OK, "Logged out of all sessions", {
+      revoked,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List active sessions of the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    successResponse(res, HTTP_STATUS.OK, "Sessions retrieved successfully", {
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.authSession._id),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeUserSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+    if (!session) {
+      throw new NotFoundError("Session not found");
+    }
+
+    await revokeSession(session._id, "revoked-by-user", req.app.get("io"));
+
+    successResponse(res, HTTP_STATUS.OK, "Session revoked successfully", null);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Send a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (user && !user.deactivatedAt) {
+      await sendPasswordResetEmail(user);
+      await recordAuthEvent(AUTH_EVENTS.PASSWORD_RESET_REQUESTED, { user, req });
+    }
+
+    // Same answer either way so the endpoint cannot be used to probe accounts
+    successResponse(
+      res,
+      HTTP_STATUS.OK,
+      "If an account exists for this email, a reset link has been sent",
+      null
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Set a new password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const userToken = await consumeUserToken(
+      token,
+      USER_TOKEN_TYPES.PASSWORD_RESET
+    );
+
+    const user = await User.findById(userToken.userId);
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    user.password = password;
+    // The reset link reached the inbox, so the address is proven
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Sign out everywhere, drop access tokens and lift any lockout from the
+    // forgotten password
+    await revokeUserSessions(user._id, "password-reset", req.app.get("io"));
+    await revokeUserAccessTokens(user._id);
+    await recordLoginSuccess(user.email);
+    await recordAuthEvent(AUTH_EVENTS.PASSWORD_RESET, { user, req });
+
+    successResponse(res, HTTP_STATUS.OK, "Password reset successfully", null);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change the current user's password
+// @route   PUT /api/auth/password
+// @access  Private
+const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select("+password");
+    if (!(await user.comparePassword(currentPassword))) {
+      throw new UnauthorizedError("Current password is incorrect");
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Keep this session, sign out every other one
+    const revoked = await revokeUserSessions(
+      user._id,
+      "password-changed",
+      req.app.get("io"),
+      { exceptSessionId: req.authSession._id }
+    );
+    await recordAuthEvent(AUTH_EVENTS.PASSWORD_CHANGED, {
+      user,
+      actor: user,
+      req,
+    });
+
+    successResponse(res, HTTP_STATUS.OK, "Password changed successfully", {
+      revokedSessions: revoked,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm the email address (or the pending new one) with a
+//          verification token
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = async (req, res, next) => {
+  try {
+    const userToken = await consumeUserToken(
+      req.body.token,
+      USER_TOKEN_TYPES.EMAIL_VERIFICATION
+    );
+
+    const user = await User.findById(userToken.userId);
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    // The link went to the pending address, which now becomes the email
+    const previousEmail = user.email;
+    const emailChanged = Boolean(user.pendingEmail);
+    if (emailChanged) {
+      user.email = user.pendingEmail;
+      user.pendingEmail = null;
+    }
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    try {
+      await user.save();
+    } catch (error) {
+      // Someone registered with the address in the meantime
+      if (error.code !== 11000) throw error;
+      throw new ValidationError("User already exists with this email");
+    }
+
+    if (emailChanged) {
+      await sendMail({
+        to: previousEmail,
+        subject: "Your email address was changed",
+        text: [
+          `Hi ${user.name},`,
+          "",
+          `The email address of your account was changed to ${user.email}.`,
+          "If you did not do this, reset your password and contact your team admin.",
+        ].join("\n"),
+      });
+      await recordAuthEvent(AUTH_EVENTS.EMAIL_CHANGED, {
+        user,
+        actor: user,
+        req,
+        metadata: { from: previousEmail, to: user.email },
+      });
+    }
+    await recordAuthEvent(AUTH_EVENTS.EMAIL_VERIFIED, { user, req });
+
+    successResponse(res, HTTP_STATUS.OK, "Email verified successfully", {
+      emailVerified: true,
+      email: user.email,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Send a new verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = async (req, res, next) => {
+  try {
+    if (req.user.emailVerified && !req.user.pendingEmail) {
+      throw new ValidationError("Email is already verified");
+    }
+
+    await sendVerificationEmail(req.user);
+
+    successResponse(res, HTTP_STATUS.OK, "Verification email sent", null);
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   register,
   login,
+  verifyTwoFactorLogin,
   getMe,
+  updateProfile,
+  deleteMe,
+  getPermissions,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeUserSession,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerification,
 };
@@ -0,0 +1,155 @@
+const Task = require("../models/Task");
+const { successResponse } = require("../utils/responseHandler");
+const { NotFoundError, ValidationError } = require("../utils/errorTypes");
+const { assertCan, findReadableTask } = require("../utils/policy");
+const {
+  assertProjectWritable,
+  emitToProject,
+} = require("../utils/projects");
+const { recordTaskActivity } = require("../utils/activity");
+const { HTTP_STATUS } = require("../config/constants");
+
+const MAX_CHECKLIST_ITEMS = 100;
+
+const findItem = (task, itemId) => {
+  const item = task.checklist.id(itemId);
+  if (!item) {
+    throw new NotFoundError("Checklist item not found");
+  }
+  return item;
+};
+
+// Item as stored in the activity log
+const itemSnapshot = (item) => (item ? { text: item.text, done: item.done } : null);
+
+// Save the checklist, log the change (if any) and send the task to its audience
+const saveChecklist = async (req, task, from, to) => {
+  await task.save();
+
+  const change = { field: "checklist", from: itemSnapshot(from), to: itemSnapshot(to) };
+  if (JSON.stringify(change.from) !== JSON.stringify(change.to)) {
+    await recordTaskActivity({
+      task,
+      actor: req.user,
+      changes: [change],
+      io: req.app.get("io"),
+    });
+  }
+
+  const populatedTask = await Task.findById(task._id)
+    .populate("projectId", "name")
+    .populate("assignees", "name email");
+  await emitToProject(req.app.get("io"), task.projectId, "task-updated", populatedTask);
+  return populatedTask;
+};
+
+// @desc    Add a checklist item to a task
+// @route   POST /api/tasks/:id/checklist
+// @access  Private (Admin/Manager)
+const addChecklistItem = async (req, res, next) => {
+  try {
+    const task = await findReadableTask(req.user, req.params.id);
+    await assertCan(
+      req.user,
+      "task:update",
+      task,
+      "Only Admins and Managers can edit checklists"
+    );
+    assertProjectWritable(task.projectId);
+
+    if (task.checklist.length >= MAX_CHECKLIST_ITEMS) {
+      throw new ValidationError(
+        `A task cannot have more than ${MAX_CHECKLIST_ITEMS} checklist items`
+      );
+    }
+
+    task.checklist.push({ text: req.body.text });
+    const item = task.checklist[task.checklist.length - 1];
+    const populatedTask = await saveChecklist(req, task, null, item);
+
+    successResponse(res, HTTP_STATUS.CREATED, "Checklist item added successfully", {
+      item,
+      task: populatedTask,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rename or tick off a checklist item
+// @route   PUT /api/tasks/:id/checklist/:itemId
+// @access  Private (Admin/Manager; the assignee may only tick items off)
+const updateChecklistItem = async (req, res, next) => {
+  try {
+    const { text, done } = req.body;
+
+    const task = await findReadableTask(req.user, req.params.id);
+    const item = findItem(task, req.params.itemId);
+
+    if (text !== undefined) {
+      await assertCan(
+        req.user,
+        "task:update",
+        task,
+        "Only Admins and Managers can edit checklists"
+      );
+    }
+    if (done !== undefined) {
+      await assertCan(
+        req.user,
+        "task:update-status",
+        task,
+        "You can only update tasks assigned to you"
+      );
+    }
+    assertProjectWritable(task.projectId);
+
+    const before = itemSnapshot(item);
+    if (text !== undefined) item.text = text;
+    if (done !== undefined && done !== item.done) {
+      item.done = done;
+      item.doneAt = done ? new Date() : null;
+    }
+    const populatedTask = await saveChecklist(req, task, before, item);
+
+    successResponse(res, HTTP_STATUS.OK, "Checklist item updated successfully", {
+      item,
+      task: populatedTask,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a checklist item
+// @route   DELETE /api/tasks/:id/checklist/:itemId
+// @access  Private (Admin/Manager)
+const deleteChecklistItem = async (req, res, next) => {
+  try {
+    const task = await findReadableTask(req.user, req.params.id);
+    const item = findItem(task, req.params.itemId);
+
+    await assertCan(
+      req.user,
+      "task:update",
+      task,
+      "Only Admins and Managers can edit checklists"
+    );
+    assertProjectWritable(task.projectId);
+
+    item.deleteOne();
+    const populatedTask = await saveChecklist(req, task, item, null);
+
+    successResponse(res, HTTP_STATUS.OK, "Checklist item removed successfully", {
+      task: populatedTask,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
+};
@@ -0,0 +1,192 @@
+const Comment = require("../models/Comment");
+const { successResponse } = require("../utils/responseHandler");
+const { NotFoundError, ForbiddenError } = require("../utils/errorTypes");
+const { assertCan, findReadableTask } = require("../utils/policy");
+const {
+  assertProjectWritable,
+  emitToTaskReaders,
+} = require("../utils/projects");
+const { resolveMentions } = require("../utils/mentions");
+const { notifyWatchers } = require("../utils/watchers");
+const { HTTP_STATUS } = require("../config/constants");
+
+const findComment = async (task, commentId) => {
+  const comment = await Comment.findOne({ _id: commentId, taskId: task._id });
+  if (!comment) {
+    throw new NotFoundError("Comment not found");
+  }
+  return comment;
+};
+
+const populateComment = (query) =>
+  query
+    .populate("authorId", "name email avatarUrl")
+    .populate("mentions", "name email");
+
+// Tell newly mentioned users (not the author) about the comment
+const notifyMentions = (req, task, comment, previous = []) => {
+  const io = req.app.get("io");
+  if (!io) return;
+
+  comment.mentions
+    .map((user) => user._id)
+    .filter((userId) => !userId.equals(req.user._id))
+    .filter((userId) => !previous.some((id) => id.equals(userId)))
+    .forEach((userId) => {
+      io.to(`user:${userId}`).emit("mentioned", {
+        taskId: task._id,
+        taskTitle: task.title,
+        comment,
+      });
+    });
+};
+
+// @desc    List the comments of a task
+// @route   GET /api/tasks/:id/comments
+// @access  Private (anyone who can read the task)
+const getComments = async (req, res, next) => {
+  try {
+    const task = await findReadableTask(req.user, req.params.id);
+
+    const comments = await populateComment(
+      Comment.find({ taskId: task._id }).sort({ createdAt: 1 })
+    );
+
+    successResponse(res, HTTP_STATUS.OK, "Comments retrieved successfully", {
+      comments,
+      count: comments.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Comment on a task
+// @route   POST /api/tasks/:id/comments
+// @access  Private (Admin/Manager or the task's assignee)
+const createComment = async (req, res, next) => {
+  try {
+    const { content } = req.body;
+
+    const task = await findReadableTask(req.user, req.params.id);
+    await assertCan(
+      req.user,
+      "task:comment",
+      task,
+      "You can only comment on tasks assigned to you"
+    );
+    assertProjectWritable(task.projectId);
+
+    const comment = await Comment.create({
+      taskId: task._id,
+      authorId: req.user._id,
+      content,
+      mentions: await resolveMentions(content, task),
+    });
+    const populatedComment = await populateComment(Comment.findById(comment._id));
+
+    // Only to those who can read the task
+    await emitToTaskReaders(req.app.get("io"), task, "task-comment", {
+      taskId: task._id,
+      comment: populatedComment,
+    });
+    notifyMentions(req, task, populatedComment);
+    await notifyWatchers(req.app.get("io"), task, {
+      actorId: req.user._id,
+      action: "commented",
+      comment: populatedComment,
+    });
+
+    successResponse(res, HTTP_STATUS.CREATED, "Comment added successfully", {
+      comment: populatedComment,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Edit a comment
+// @route   PUT /api/tasks/:id/comments/:commentId
+// @access  Private (the comment's author)
+const updateComment = async (req, res, next) => {
+  try {
+    const { content } = req.body;
+
+    const task = await findReadableTask(req.user, req.params.id);
+    const comment = await findComment(task, req.params.commentId);
+
+    if (!comment.authorId || !comment.authorId.equals(req.user._id)) {
+      throw new ForbiddenError("You can only edit your own comments");
+    }
+    await assertCan(
+      req.user,
+      "task:comment",
+      task,
+      "You can only comment on tasks assigned to you"
+    );
+    assertProjectWritable(task.projectId);
+
+    const previousMentions = comment.mentions;
+    comment.content = content;
+    comment.mentions = await resolveMentions(content, task);
+    comment.editedAt = new Date();
+    await comment.save();
+
+    const populatedComment = await populateComment(Comment.findById(comment._id));
+
+    await emitToTaskReaders(
+      req.app.get("io"),
+      task,
+      "task-comment-updated",
+      { taskId: task._id, comment: populatedComment }
+    );
+    notifyMentions(req, task, populatedComment, previousMentions);
+
+    successResponse(res, HTTP_STATUS.OK, "Comment updated successfully", {
+      comment: populatedComment,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a comment
+// @route   DELETE /api/tasks/:id/comments/:commentId
+// @access  Private (the comment's author, Admin/Manager)
+const deleteComment = async (req, res, next) => {
+  try {
+    const task = await findReadableTask(req.user, req.params.id);
+    const comment = await findComment(task, req.params.commentId);
+
+    const isAuthor = comment.authorId && comment.authorId.equals(req.user._id);
+    if (!isAuthor) {
+      await assertCan(
+        req.user,
+        "task:moderate-comments",
+        task,
+        "You can only delete your own comments"
+      );
+    }
+    assertProjectWritable(task.projectId);
+
+    await comment.deleteOne();
+
+    await emitToTaskReaders(
+      req.app.get("io"),
+      task,
+      "task-comment-deleted",
+      { taskId: task._id, commentId: comment._id }
+    );
+
+    successResponse(res, HTTP_STATUS.OK, "Comment deleted successfully", null);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+};
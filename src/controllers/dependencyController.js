@@ -0,0 +1,180 @@
+const Task = require("../models/Task");
+const TaskLink = require("../models/TaskLink");
+const { successResponse } = require("../utils/responseHandler");
+const { NotFoundError } = require("../utils/errorTypes");
+const {
+  can,
+  assertCan,
+  findVisibleProject,
+  findReadableTask,
+} = require("../utils/policy");
+const {
+  assertProjectWritable,
+  emitToProject,
+} = require("../utils/projects");
+const { recordTaskActivity } = require("../utils/activity");
+const {
+  assertLinkAllowed,
+  dependencyGraph,
+} = require("../utils/dependencies");
+const { HTTP_STATUS, TASK_LINK_TYPES } = require("../config/constants");
+
+// Link as stored in the activity log of the task it was added to
+const linkSnapshot = (link, task) => ({
+  type: link.type,
+  taskId: link.taskId.equals(task._id) ? link.linkedTaskId : link.taskId,
+});
+
+// Tell the project that the links of these tasks changed
+const emitLinksUpdated = (req, project, link) =>
+  emitToProject(req.app.get("io"), project, "task-links-updated", {
+    taskIds: [link.taskId, link.linkedTaskId],
+  });
+
+// @desc    Links of a task, grouped by direction
+// @route   GET /api/tasks/:id/links
+// @access  Private (anyone who can read the task)
+const getTaskLinks = async (req, res, next) => {
+  try {
+    const task = await findReadableTask(req.user, req.params.id);
+
+    const links = await TaskLink.find({
+      $or: [{ taskId: task._id }, { linkedTaskId: task._id }],
+    })
+      .populate("taskId", "title status statusCategory assignees projectId")
+      .populate("linkedTaskId", "title status statusCategory assignees projectId");
+
+    // The task at the other end of each link, if the user may read it
+    const grouped = { blockedBy: [], blocking: [], relatesTo: [] };
+    for (const link of links) {
+      const outgoing = Boolean(link.taskId?._id.equals(task._id));
+      const other = outgoing ? link.linkedTaskId : link.taskId;
+      if (!other || !(await can(req.user, "task:read", other))) continue;
+
+      const entry = { _id: link._id, type: link.type, task: other };
+      if (link.type === TASK_LINK_TYPES.RELATES_TO) {
+        grouped.relatesTo.push(entry);
+      } else {
+        (outgoing ? grouped.blockedBy : grouped.blocking).push(entry);
+      }
+    }
+
+    successResponse(res, HTTP_STATUS.OK, "Links retrieved successfully", grouped);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Link a task to another task of the project
+// @route   POST /api/tasks/:id/links
+// @access  Private (Admin/Manager)
+const createTaskLink = async (req, res, next) => {
+  try {
+    const { taskId, type } = req.body;
+
+    const task = await findReadableTask(req.user, req.params.id);
+    await assertCan(
+      req.user,
+      "task:update",
+      task,
+      "Only Admins and Managers can link tasks"
+    );
+    assertProjectWritable(task.projectId);
+
+    const linkedTask = await Task.findById(taskId);
+    if (!linkedTask || !(await can(req.user, "task:read", linkedTask))) {
+      throw new NotFoundError("Linked task not found");
+    }
+    await assertLinkAllowed(task, linkedTask, type);
+
+    const link = await TaskLink.create({
+      projectId: task.projectId._id,
+      taskId: task._id,
+      linkedTaskId: linkedTask._id,
+      type,
+      createdBy: req.user._id,
+    });
+    await recordTaskActivity({
+      task,
+      actor: req.user,
+      changes: [{ field: "links", from: null, to: linkSnapshot(link, task) }],
+      io: req.app.get("io"),
+    });
+    await emitLinksUpdated(req, task.projectId, link);
+
+    successResponse(res, HTTP_STATUS.CREATED, "Tasks linked successfully", {
+      link,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a link of a task
+// @route   DELETE /api/tasks/:id/links/:linkId
+// @access  Private (Admin/Manager)
+const deleteTaskLink = async (req, res, next) => {
+  try {
+    const task = await findReadableTask(req.user, req.params.id);
+
+    const link = await TaskLink.findOne({
+      _id: req.params.linkId,
+      $or: [{ taskId: task._id }, { linkedTaskId: task._id }],
+    });
+    if (!link) {
+      throw new NotFoundError("Link not found");
+    }
+
+    await assertCan(
+      req.user,
+      "task:update",
+      task,
+      "Only Admins and Managers can link tasks"
+    );
+    assertProjectWritable(task.projectId);
+
+    await link.deleteOne();
+    await recordTaskActivity({
+      task,
+      actor: req.user,
+      changes: [{ field: "links", from: linkSnapshot(link, task), to: null }],
+      io: req.app.get("io"),
+    });
+    await emitLinksUpdated(req, task.projectId, link);
+
+    successResponse(res, HTTP_STATUS.OK, "Link removed successfully", null);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Dependency graph of a project (nodes and edges)
+// @route   GET /api/projects/:id/dependencies
+// @access  Private (members without task:read-all only see their tasks)
+const getProjectDependencies = async (req, res, next) => {
+  try {
+    const project = await findVisibleProject(req.user, req.params.id);
+
+    const filter = { projectId: project._id };
+    if (!(await can(req.user, "task:read-all", project))) {
+      filter.assignees = req.user._id;
+    }
+    const tasks = await Task.find(filter).populate("assignees", "name email");
+
+    successResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Dependency graph retrieved successfully",
+      await dependencyGraph(tasks)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTaskLinks,
+  createTaskLink,
+  deleteTaskLink,
+  getProjectDependencies,
+};
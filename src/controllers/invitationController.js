@@ -0,0 +1,263 @@
+const Invitation = require("../models/Invitation");
+const Team = require("../models/Team");
+const User = require("../models/User");
+const Membership = require("../models/Membership");
+const { successResponse } = require("../utils/responseHandler");
+const {
+  NotFoundError,
+  ValidationError,
+  ForbiddenError,
+} = require("../utils/errorTypes");
+const {
+  generateInviteCode,
+  buildInviteUrl,
+  findInvitationForUser,
+  redeemInvitation,
+} = require("../utils/invitations");
+const { assertCan } = require("../utils/policy");
+const { sendMail } = require("../utils/mailer");
+const { HTTP_STATUS, ROLES } = require("../config/constants");
+
+// Verify the team exists (permissions are checked by authorize in the routes)
+const findTeam = async (teamId) => {
+  const team = await Team.findById(teamId);
+  if (!team) {
+    throw new NotFoundError("Team not found");
+  }
+
+  return team;
+};
+
+// @desc    Create an invitation for an email address or a shareable code
+// @route   POST /api/teams/:teamId/invitations
+// @access  Private (Admin/Manager only)
+const createInvitation = async (req, res, next) => {
+  try {
+    const { teamId } = req.params;
+    const {
+      email = null,
+      role = ROLES.MEMBER,
+      expiresInDays = 7,
+      maxUses = 1,
+    } = req.body;
+
+    const team = await findTeam(teamId);
+
+    // Managers can only bring in plain members
+    if (role !== ROLES.MEMBER) {
+      await assertCan(
+        req.user,
+        "team:invite-privileged",
+        { teamId },
+        "Only Admins can invite Managers or Admins"
+      );
+    }
+
+    if (email) {
+      const existing = await User.findOne({ email: email.toLowerCase() });
+      if (existing && (await Membership.exists({ userId: existing._id, teamId }))) {
+        throw new ValidationError("User is already a member of this team");
+      }
+    }
+
+    const invitation = await Invitation.create({
+      teamId,
+      email,
+      code: generateInviteCode(),
+      role,
+      invitedBy: req.user._id,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+      // Email invitations are personal and can only be used once
+      maxUses: email ? 1 : maxUses,
+    });
+    const inviteUrl = buildInviteUrl(invitation.code);
+
+    // The invitee gets the link by email; a mail failure must not lose the
+    // invitation, whose link the inviter can still pass on
+    if (email) {
+      try {
+        await sendMail({
+          to: invitation.email,
+          subject: `You are invited to join ${team.name}`,
+          text: `Hi,\n\n${req.user.name} invited you to join the team "${team.name}" as ${role}. Accept or decline the invitation here:\n\n${inviteUrl}\n\nIt expires on ${invitation.expiresAt.toUTCString()}.`,
+        });
+      } catch (mailError) {
+        console.error(" Invitation email error:", mailError.message);
+      }
+    }
+
+    successResponse(res, HTTP_STATUS.CREATED, "Invitation created successfully", {
+      invitation,
+      inviteUrl,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List a team's invitations
+// @route   GET /api/teams/:teamId/invitations
+// @access  Private (Admin/Manager only)
+const getTeamInvitations = async (req, res, next) => {
+  try {
+    const { teamId } = req.params;
+
+    await findTeam(teamId);
+
+    const invitations = await Invitation.find({ teamId })
+      .sort({ createdAt: -1 })
+      .populate("invitedBy", "name email")
+      .populate("acceptedBy.userId", "name email");
+
+    successResponse(res, HTTP_STATUS.OK, "Invitations retrieved successfully", {
+      invitations,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke an invitation
+// @route   DELETE /api/teams/:teamId/invitations/:id
+// @access  Private (Admin/Manager only)
+const revokeInvitation = async (req, res, next) => {
+  try {
+    const { teamId, id } = req.params;
+
+    await findTeam(teamId);
+
+    const invitation = await Invitation.findOne({ _id: id, teamId });
+    if (!invitation) {
+      throw new NotFoundError("Invitation not found");
+    }
+
+    if (invitation.revokedAt) {
+      throw new ValidationError("Invitation is already revoked");
+    }
+
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    successResponse(res, HTTP_STATUS.OK, "Invitation revoked successfully", {
+      invitation,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List pending invitations sent to the current user's email
+// @route   GET /api/invitations
+// @access  Private (verified email only)
+const getMyInvitations = async (req, res, next) => {
+  try {
+    if (!req.user.emailVerified) {
+      throw new ForbiddenError(
+        "Verify your email address to see the invitations sent to it"
+      );
+    }
+
+    // Without their codes: those only travel in the invitation emails, so a
+    // list of pending invitations is not enough to accept them
+    const invitations = await Invitation.find({
+      email: req.user.email,
+      revokedAt: null,
+      declinedAt: null,
+      expiresAt: { $gt: new Date() },
+      $expr: { $lt: ["$uses", "$maxUses"] },
+    })
+      .sort({ createdAt: -1 })
+      .select("-code")
+      .populate("teamId", "name")
+      .populate("invitedBy", "name email");
+
+    successResponse(res, HTTP_STATUS.OK, "Invitations retrieved successfully", {
+      invitations,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Preview an invitation before accepting it
+// @route   GET /api/invitations/:code
+// @access  Private
+const getInvitation = async (req, res, next) => {
+  try {
+    const invitation = await findInvitationForUser(req.params.code, req.user);
+
+    successResponse(res, HTTP_STATUS.OK, "Invitation retrieved successfully", {
+      invitation: {
+        code: invitation.code,
+        team: invitation.teamId,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt,
+        status: invitation.status,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Accept an invitation and join its team
+// @route   POST /api/invitations/:code/accept
+// @access  Private
+const acceptInvitation = async (req, res, next) => {
+  try {
+    const { team, membership } = await redeemInvitation(
+      req.user,
+      req.params.code
+    );
+
+    const io = req.app.get("io");
+    if (io) {
+      io.to(`team:${team._id}`).emit("member-joined", {
+        teamId: team._id,
+        user: {
+          id: req.user._id,
+          name: req.user.name,
+          email: req.user.email,
+          role: membership.role,
+        },
+      });
+    }
+
+    successResponse(res, HTTP_STATUS.OK, "Invitation accepted successfully", {
+      team,
+      role: membership.role,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Decline an invitation sent to the current user
+// @route   POST /api/invitations/:code/decline
+// @access  Private
+const declineInvitation = async (req, res, next) => {
+  try {
+    const invitation = await findInvitationForUser(req.params.code, req.user);
+
+    if (!invitation.email) {
+      throw new ValidationError("Only personal invitations can be declined");
+    }
+
+    invitation.declinedAt = new Date();
+    await invitation.save();
+
+    successResponse(res, HTTP_STATUS.OK, "Invitation declined", null);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createInvitation,
+  getTeamInvitations,
+  revokeInvitation,
+  getMyInvitations,
+  getInvitation,
+  acceptInvitation,
+  declineInvitation,
+};
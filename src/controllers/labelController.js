@@ -0,0 +1,230 @@
+const Label = require("../models/Label");
+const { successResponse } = require("../utils/responseHandler");
+const { NotFoundError, ValidationError } = require("../utils/errorTypes");
+const {
+  assertCan,
+  findVisibleProject,
+  findReadableTask,
+} = require("../utils/policy");
+const {
+  assertProjectWritable,
+  emitToProject,
+} = require("../utils/projects");
+const { updateTasksWithActivity } = require("../utils/activity");
+const { changeTaskLabels } = require("../utils/labels");
+const { withTransaction } = require("../utils/transaction");
+const { HTTP_STATUS } = require("../config/constants");
+
+const MAX_PROJECT_LABELS = 100;
+
+const findProjectLabel = async (projectId, labelId) => {
+  const label = await Label.findOne({ _id: labelId, projectId });
+  if (!label) {
+    throw new NotFoundError("Label not found");
+  }
+  return label;
+};
+
+// Label names are unique within a project regardless of case
+const assertNameAvailable = async (projectId, name, label = null) => {
+  const [existing] = await Label.findByNames([projectId], [name]);
+  if (existing && !(label && existing._id.equals(label._id))) {
+    throw new ValidationError(`A label named "${existing.name}" already exists`);
+  }
+};
+
+const assertCanManageLabels = async (user, project) => {
+  await assertCan(
+    user,
+    "project:manage-labels",
+    project,
+    "Only Admins and project Managers can manage labels"
+  );
+  assertProjectWritable(project);
+};
+
+// Send the project's labels to its audience after a change
+const emitLabelsUpdated = async (req, project) => {
+  const labels = await Label.find({ projectId: project._id }).sort({ name: 1 });
+  await emitToProject(req.app.get("io"), project, "project-labels-updated", {
+    projectId: project._id,
+    labels,
+  });
+};
+
+// @desc    List the labels of a project
+// @route   GET /api/projects/:id/labels
+// @access  Private (anyone who can see the project)
+const getLabels = async (req, res, next) => {
+  try {
+    const project = await findVisibleProject(req.user, req.params.id);
+
+    const labels = await Label.find({ projectId: project._id }).sort({ name: 1 });
+
+    successResponse(res, HTTP_STATUS.OK, "Labels retrieved successfully", {
+      labels,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a label
+// @route   POST /api/projects/:id/labels
+// @access  Private (Admin/project Manager)
+const createLabel = async (req, res, next) => {
+  try {
+    const { name, color } = req.body;
+
+    const project = await findVisibleProject(req.user, req.params.id);
+    await assertCanManageLabels(req.user, project);
+
+    if ((await Label.countDocuments({ projectId: project._id })) >= MAX_PROJECT_LABELS) {
+      throw new ValidationError(
+        `A project cannot have more than ${MAX_PROJECT_LABELS} labels`
+      );
+    }
+    await assertNameAvailable(project._id, name);
+
+    const label = await Label.create({ projectId: project._id, name, color });
+    await emitLabelsUpdated(req, project);
+
+    successResponse(res, HTTP_STATUS.CREATED, "Label created successfully", {
+      label,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rename or recolor a label
+// @route   PUT /api/projects/:id/labels/:labelId
+// @access  Private (Admin/project Manager)
+const updateLabel = async (req, res, next) => {
+  try {
+    const { name, color } = req.body;
+
+    const project = await findVisibleProject(req.user, req.params.id);
+    await assertCanManageLabels(req.user, project);
+
+    const label = await findProjectLabel(project._id, req.params.labelId);
+    if (name !== undefined) {
+      await assertNameAvailable(project._id, name, label);
+      label.name = name;
+    }
+    if (color !== undefined) label.color = color;
+    await label.save();
+
+    await emitLabelsUpdated(req, project);
+
+    successResponse(res, HTTP_STATUS.OK, "Label updated successfully", {
+      label,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a label and remove it from every task
+// @route   DELETE /api/projects/:id/labels/:labelId
+// @access  Private (Admin/project Manager)
+const deleteLabel = async (req, res, next) => {
+  try {
+    const project = await findVisibleProject(req.user, req.params.id);
+    await assertCanManageLabels(req.user, project);
+
+    const label = await findProjectLabel(project._id, req.params.labelId);
+
+    await withTransaction(async (session) => {
+      await updateTasksWithActivity(
+        { labels: label._id },
+        { $pull: { labels: label._id } },
+        {
+          actor: req.user,
+          after: (task) => ({
+            ...task.toObject(),
+            labels: task.labels.filter((id) => !id.equals(label._id)),
+          }),
+        },
+        session
+      );
+      await label.deleteOne({ session });
+    });
+
+    await emitLabelsUpdated(req, project);
+
+    successResponse(res, HTTP_STATUS.OK, "Label deleted successfully", null);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Put a label on a task
+// @route   POST /api/tasks/:id/labels
+// @access  Private (Admin/Manager)
+const addTaskLabel = async (req, res, next) => {
+  try {
+    const task = await findReadableTask(req.user, req.params.id);
+    await assertCan(
+      req.user,
+      "task:update",
+      task,
+      "Only Admins and Managers can label tasks"
+    );
+    assertProjectWritable(task.projectId);
+
+    const label = await findProjectLabel(task.projectId._id, req.body.labelId);
+    const updatedTask = await changeTaskLabels(
+      task,
+      { add: [label] },
+      { actor: req.user, io: req.app.get("io") }
+    );
+
+    await emitToProject(req.app.get("io"), task.projectId, "task-updated", updatedTask);
+
+    successResponse(res, HTTP_STATUS.OK, "Label added successfully", {
+      task: updatedTask,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Take a label off a task
+// @route   DELETE /api/tasks/:id/labels/:labelId
+// @access  Private (Admin/Manager)
+const removeTaskLabel = async (req, res, next) => {
+  try {
+    const task = await findReadableTask(req.user, req.params.id);
+    await assertCan(
+      req.user,
+      "task:update",
+      task,
+      "Only Admins and Managers can label tasks"
+    );
+    assertProjectWritable(task.projectId);
+
+    const updatedTask = await changeTaskLabels(
+      task,
+      { remove: [req.params.labelId] },
+      { actor: req.user, io: req.app.get("io") }
+    );
+
+    await emitToProject(req.app.get("io"), task.projectId, "task-updated", updatedTask);
+
+    successResponse(res, HTTP_STATUS.OK, "Label removed successfully", {
+      task: updatedTask,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getLabels,
+  createLabel,
+  updateLabel,
+  deleteLabel,
+  addTaskLabel,
+  removeTaskLabel,
+};
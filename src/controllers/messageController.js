@@ -21,7 +21,7 @@ const sendMessage = async (req, res, next) => {
     });
 
     const populatedMessage = await Message.findById(message._id)
-      .populate("senderId", "name email role");
+      .populate("senderId", "name email");
 
     // Emit to global room via Socket.IO - everyone sees all messages
     const io = req.app.get("io");
@@ -48,7 +48,7 @@ const getMessages = async (req, res, next) => {
     const messages = await Message.find()
       .sort({ timestamp: -1 })
       .limit(parseInt(limit))
-      .populate("senderId", "name email role");
+      .populate("senderId", "name email");
 
     successResponse(res, HTTP_STATUS.OK, "Messages retrieved successfully", {
       messages: messages.reverse(),
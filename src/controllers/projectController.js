@@ -1,18 +1,56 @@
 const Project = require("../models/Project");
 const Team = require("../models/Team");
+const User = require("../models/User");
+const Membership = require("../models/Membership");
 const { successResponse } = require("../utils/responseHandler");
-const { NotFoundError, ForbiddenError } = require("../utils/errorTypes");
-const { HTTP_STATUS } = require("../config/constants");
+const { NotFoundError, ValidationError } = require("../utils/errorTypes");
+const {
+  assertCan,
+  visibleProjectsFilter,
+  findVisibleProject,
+} = require("../utils/policy");
+const {
+  assertProjectWritable,
+  deleteProjectsCascade,
+  emitToProject,
+  unassignUsersWithoutAccess,
+} = require("../utils/projects");
+const {
+  getWorkflow,
+  assertValidWorkflow,
+  applyWorkflowToTasks,
+} = require("../utils/workflows");
+const { withTransaction } = require("../utils/transaction");
+const { HTTP_STATUS, PROJECT_ROLES } = require("../config/constants");
+
+// Fields PUT /api/projects/:id may set
+const UPDATABLE_FIELDS = [
+  "name",
+  "description",
+  "teamId",
+  "visibility",
+  "openSubtasks",
+];
+
+// ?archived=true lists archived projects only, ?archived=all lists both
+const archivedFilter = (archived) => {
+  if (archived === "all") return {};
+  if (archived === "true") return { archivedAt: { $ne: null } };
+  return { archivedAt: null };
+};
 
 // @desc    Get all projects for team
-// @route   GET /api/projects?teamId=xxx
+// @route   GET /api/projects?teamId=xxx&archived=false|true|all
 // @access  Private
 const getProjects = async (req, res, next) => {
   try {
-    const { teamId } = req.query;
+    const { teamId, archived } = req.query;
 
+    // Only the projects the user can see, across all of their teams
     if (!teamId) {
-      const projects = await Project.find().populate("teamId", "name");
+      const projects = await Project.find({
+        $and: [await visibleProjectsFilter(req.user), archivedFilter(archived)],
+      }).populate("teamId", "name");
       return successResponse(
         res,
         HTTP_STATUS.OK,
@@ -22,13 +60,19 @@ const getProjects = async (req, res, next) => {
     }
 
     // Verify user belongs to team
-    if (req.user.teamId.toString() !== teamId) {
-      throw new ForbiddenError(
-        "You do not have access to this team's projects"
-      );
-    }
+    await assertCan(
+      req.user,
+      "project:read",
+      { teamId },
+      "You do not have access to this team's projects"
+    );
 
-    const projects = await Project.find({ teamId }).populate("teamId", "name");
+    const projects = await Project.find({
+      $and: [
+        await visibleProjectsFilter(req.user, teamId),
+        archivedFilter(archived),
+      ],
+    }).populate("teamId", "name");
 
     successResponse(res, HTTP_STATUS.OK, "Projects retrieved successfully", {
       projects,
@@ -40,10 +84,10 @@ const getProjects = async (req, res, next) => {
 
 // @desc    Create new project
 // @route   POST /api/projects
-// @access  Private (Admin/Manager only)
+// @access  Private (Team Admin/Manager only)
 const createProject = async (req, res, next) => {
   try {
-    const { name, description, teamId } = req.body;
+    const { name, description, teamId, visibility, openSubtasks } = req.body;
 
     // Verify team exists
     const team = await Team.findById(teamId);
@@ -51,17 +95,22 @@ const createProject = async (req, res, next) => {
       throw new NotFoundError("Team not found");
     }
 
-    // Verify user belongs to team
-    if (req.user.teamId.toString() !== teamId) {
-      throw new ForbiddenError(
-        "You can only create projects for your own team"
-      );
-    }
+    // Verify user manages the team
+    await assertCan(
+      req.user,
+      "project:create",
+      { teamId },
+      "Only Admins and Managers of the team can create projects"
+    );
 
+    // The creator manages the project, which matters once it is private
     const project = await Project.create({
       name,
       description,
       teamId,
+      visibility,
+      openSubtasks,
+      members: [{ userId: req.user._id, role: PROJECT_ROLES.MANAGER }],
     });
 
     const populatedProject = await Project.findById(project._id).populate(
@@ -79,26 +128,59 @@ const createProject = async (req, res, next) => {
 
 // @desc    Update project
 // @route   PUT /api/projects/:id
-// @access  Private (Admin/Manager only)
+// @access  Private (Team Admin/Manager only)
 const updateProject = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    let project = await Project.findById(id);
-    if (!project) {
-      throw new NotFoundError("Project not found");
+    let project = await findVisibleProject(req.user, id);
+
+    // Verify user manages the project (and the target team when moving it)
+    await assertCan(
+      req.user,
+      "project:update",
+      project,
+      "Only Admins and Managers of the team can update projects"
+    );
+    const movingTeam =
+      req.body.teamId && req.body.teamId !== project.teamId.toString();
+    if (movingTeam) {
+      await assertCan(
+        req.user,
+        "project:update",
+        { teamId: req.body.teamId },
+        "Only Admins and Managers of the team can update projects"
+      );
     }
 
-    // Verify user belongs to project's team
-    if (req.user.teamId.toString() !== project.teamId.toString()) {
-      throw new ForbiddenError("You can only update projects in your own team");
+    assertProjectWritable(project);
+
+    // Members, workflow and archiving have endpoints and rules of their own
+    const update = Object.fromEntries(
+      UPDATABLE_FIELDS.filter((field) => req.body[field] !== undefined).map(
+        (field) => [field, req.body[field]]
+      )
+    );
+    // Project members must belong to the project's team
+    if (movingTeam) {
+      const stillMembers = await Membership.find({
+        teamId: req.body.teamId,
+        userId: { $in: project.members.map((m) => m.userId) },
+      }).distinct("userId");
+      update.members = project.members.filter((m) =>
+        stillMembers.some((userId) => userId.equals(m.userId))
+      );
     }
 
-    project = await Project.findByIdAndUpdate(id, req.body, {
+    project = await Project.findByIdAndUpdate(id, update, {
       new: true,
       runValidators: true,
     }).populate("teamId", "name");
 
+    if (movingTeam || req.body.visibility) {
+      await unassignUsersWithoutAccess(project, req.user);
+    }
+
     successResponse(res, HTTP_STATUS.OK, "Project updated successfully", {
       project,
     });
@@ -107,26 +189,274 @@ const updateProject = async (req, res, next) => {
   }
 };
 
-// @desc    Delete project
+// @desc    Archive project (read-only, hidden from listings by default)
+// @route   POST /api/projects/:id/archive
+// @access  Private (Team Admin/Manager only)
+const archiveProject = async (req, res, next) => {
+  try {
+    let project = await findVisibleProject(req.user, req.params.id);
+
+    await assertCan(
+      req.user,
+      "project:archive",
+      project,
+      "Only Admins and Managers of the team can archive projects"
+    );
+
+    if (project.archivedAt) {
+      throw new ValidationError("Project is already archived");
+    }
+
+    project = await Project.findByIdAndUpdate(
+      project._id,
+      { archivedAt: new Date(), archivedBy: req.user._id },
+      { new: true }
+    ).populate("teamId", "name");
+
+    await emitToProject(req.app.get("io"), project, "project-archived", {
+      project,
+    });
+
+    successResponse(res, HTTP_STATUS.OK, "Project archived successfully", {
+      project,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Restore an archived project
+// @route   POST /api/projects/:id/restore
+// @access  Private (Team Admin/Manager only)
+const restoreProject = async (req, res, next) => {
+  try {
+    let project = await findVisibleProject(req.user, req.params.id);
+
+    await assertCan(
+      req.user,
+      "project:archive",
+      project,
+      "Only Admins and Managers of the team can restore projects"
+    );
+
+    if (!project.archivedAt) {
+      throw new ValidationError("Project is not archived");
+    }
+
+    project = await Project.findByIdAndUpdate(
+      project._id,
+      { archivedAt: null, archivedBy: null },
+      { new: true }
+    ).populate("teamId", "name");
+
+    await emitToProject(req.app.get("io"), project, "project-restored", {
+      project,
+    });
+
+    successResponse(res, HTTP_STATUS.OK, "Project restored successfully", {
+      project,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete project with its tasks
 // @route   DELETE /api/projects/:id
-// @access  Private (Admin only)
+// @access  Private (Team Admin only)
 const deleteProject = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const project = await Project.findById(id);
-    if (!project) {
-      throw new NotFoundError("Project not found");
+    const project = await findVisibleProject(req.user, id);
+
+    // Verify user administers the project's team
+    await assertCan(
+      req.user,
+      "project:delete",
+      project,
+      "Only Admins of the team can delete projects"
+    );
+
+    // All or nothing, so a failure cannot leave orphaned tasks behind
+    const deleted = await withTransaction((session) =>
+      deleteProjectsCascade({ _id: project._id }, session)
+    );
+
+    await emitToProject(req.app.get("io"), project, "project-deleted", {
+      projectId: project._id,
+    });
+
+    successResponse(res, HTTP_STATUS.OK, "Project deleted successfully", {
+      deletedTasks: deleted.tasks,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List the explicit members of a project
+// @route   GET /api/projects/:id/members
+// @access  Private
+const getProjectMembers = async (req, res, next) => {
+  try {
+    const project = await findVisibleProject(req.user, req.params.id);
+    await project.populate("members.userId", "name email");
+
+    successResponse(res, HTTP_STATUS.OK, "Project members retrieved successfully", {
+      visibility: project.visibility,
+      members: project.members
+        .filter((m) => m.userId)
+        .map((m) => ({
+          _id: m.userId._id,
+          name: m.userId.name,
+          email: m.userId.email,
+          role: m.role,
+          addedAt: m.addedAt,
+        })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add a team member to a project or change their project role
+// @route   PUT /api/projects/:id/members/:userId
+// @access  Private (Team Admin/Project Manager only)
+const setProjectMember = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { role = PROJECT_ROLES.MEMBER } = req.body;
+
+    const project = await findVisibleProject(req.user, req.params.id);
+    await assertCan(
+      req.user,
+      "project:manage-members",
+      project,
+      "Only Admins and project Managers can manage project members"
+    );
+    assertProjectWritable(project);
+
+    const user = await User.findById(userId);
+    if (!user || !(await Membership.exists({ userId, teamId: project.teamId }))) {
+      throw new NotFoundError("User is not a member of this team");
+    }
+    if (user.deactivatedAt) {
+      throw new ValidationError("Deactivated users cannot be added to projects");
     }
 
-    // Verify user belongs to project's team
-    if (req.user.teamId.toString() !== project.teamId.toString()) {
-      throw new ForbiddenError("You can only delete projects in your own team");
+    const existing = project.members.find((m) => m.userId.equals(user._id));
+    if (existing) {
+      existing.role = role;
+    } else {
+      project.members.push({ userId: user._id, role });
     }
+    await project.save();
+
+    // A lower role can cost access to tasks that are no longer readable
+    await unassignUsersWithoutAccess(project, req.user);
+
+    successResponse(
+      res,
+      existing ? HTTP_STATUS.OK : HTTP_STATUS.CREATED,
+      existing ? "Project role updated successfully" : "Project member added successfully",
+      { member: { _id: user._id, name: user.name, email: user.email, role } }
+    );
+  } catch (error) {
+    next(error);
+  }
+};
 
-    await Project.findByIdAndDelete(id);
+// @desc    Remove a member from a project
+// @route   DELETE /api/projects/:id/members/:userId
+// @access  Private (Team Admin/Project Manager only)
+const removeProjectMember = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    const project = await findVisibleProject(req.user, req.params.id);
+    await assertCan(
+      req.user,
+      "project:manage-members",
+      project,
+      "Only Admins and project Managers can manage project members"
+    );
+    assertProjectWritable(project);
 
-    successResponse(res, HTTP_STATUS.OK, "Project deleted successfully", null);
+    const index = project.members.findIndex((m) => m.userId.equals(userId));
+    if (index === -1) {
+      throw new NotFoundError("User is not a member of this project");
+    }
+
+    project.members.splice(index, 1);
+    await project.save();
+
+    const unassigned = await unassignUsersWithoutAccess(project, req.user);
+
+    successResponse(res, HTTP_STATUS.OK, "Project member removed successfully", {
+      unassignedTasks: unassigned,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the workflow (statuses and transition rules) of a project
+// @route   GET /api/projects/:id/workflow
+// @access  Private
+const getProjectWorkflow = async (req, res, next) => {
+  try {
+    const project = await findVisibleProject(req.user, req.params.id);
+
+    successResponse(res, HTTP_STATUS.OK, "Workflow retrieved successfully", {
+      workflow: getWorkflow(project),
+      isDefault: project.workflow.statuses.length === 0,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Replace the workflow of a project
+// @route   PUT /api/projects/:id/workflow
+// @access  Private (Team Admin/Project Manager only)
+const updateProjectWorkflow = async (req, res, next) => {
+  try {
+    const { statuses, transitions = [], statusMap = {} } = req.body;
+
+    const project = await findVisibleProject(req.user, req.params.id);
+    await assertCan(
+      req.user,
+      "project:manage-workflow",
+      project,
+      "Only Admins and project Managers can change the workflow"
+    );
+    assertProjectWritable(project);
+
+    const workflow = { statuses, transitions };
+    assertValidWorkflow(workflow);
+
+    // Tasks follow the new workflow in the same transaction (unmapped
+    // statuses are rejected before anything is written)
+    await withTransaction(async (session) => {
+      await applyWorkflowToTasks(
+        project._id,
+        workflow,
+        { statusMap, actor: req.user },
+        session
+      );
+      project.workflow = workflow;
+      await project.save({ session });
+    });
+
+    await emitToProject(req.app.get("io"), project, "project-workflow-updated", {
+      projectId: project._id,
+      workflow: getWorkflow(project),
+    });
+
+    successResponse(res, HTTP_STATUS.OK, "Workflow updated successfully", {
+      workflow: getWorkflow(project),
+    });
   } catch (error) {
     next(error);
   }
@@ -136,5 +466,12 @@ module.exports = {
   getProjects,
   createProject,
   updateProject,
+  archiveProject,
+  restoreProject,
   deleteProject,
+  getProjectMembers,
+  setProjectMember,
+  removeProjectMember,
+  getProjectWorkflow,
+  updateProjectWorkflow,
 };
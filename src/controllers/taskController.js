@@ -1,75 +1,386 @@
+const mongoose = require("mongoose");
 const Task = require("../models/Task");
 const Project = require("../models/Project");
-const User = require("../models/User");
+const Label = require("../models/Label");
 const { successResponse } = require("../utils/responseHandler");
-const { NotFoundError, ForbiddenError } = require("../utils/errorTypes");
-const { HTTP_STATUS, ROLES } = require("../config/constants");
+const {
+  NotFoundError,
+  ValidationError,
+  ForbiddenError,
+} = require("../utils/errorTypes");
+const {
+  can,
+  assertCan,
+  projectsWhere,
+  findVisibleProject,
+} = require("../utils/policy");
+const {
+  assertProjectWritable,
+  emitToProject,
+} = require("../utils/projects");
+const {
+  getWorkflow,
+  assertStatus,
+  initialStatus,
+  assertTransition,
+  openTaskFilter,
+} = require("../utils/workflows");
+const { scheduleTaskReminders } = require("../utils/taskReminders");
+const { recordTaskActivity } = require("../utils/activity");
+const { verifyAssignees, sameAssignees } = require("../utils/assignees");
+const {
+  notifyWatchers,
+  notifyWatchersOfMany,
+} = require("../utils/watchers");
+const {
+  subtaskAncestors,
+  moveSubtree,
+  checkOpenSubtasks,
+  withProgress,
+  buildTaskTree,
+  deleteTaskTree,
+} = require("../utils/subtasks");
+const {
+  assertNotBlocked,
+  withBlockedState,
+  findUnblocked,
+  notifyUnblocked,
+} = require("../utils/dependencies");
+const {
+  splitLabelTerms,
+  labelFilter,
+  changedLabelIds,
+} = require("../utils/labels");
+const { rankInColumn, saveWithRank } = require("../utils/ranking");
+const { withLoggedTime } = require("../utils/timesheets");
+const { withTransaction } = require("../utils/transaction");
+const { getPagination, paginationMeta } = require("../utils/pagination");
+const {
+  HTTP_STATUS,
+  TASK_PRIORITIES,
+  ACTIVITY_ACTIONS,
+} = require("../config/constants");
+
+const PRIORITY_ORDER = Object.values(TASK_PRIORITIES);
+// Fields PUT /api/tasks/:id may set directly; the status category, ancestors,
+// rank, labels, watchers and project have endpoints and rules of their own
+const UPDATABLE_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "parentId",
+  "assignees",
+  "priority",
+  "estimateMinutes",
+  "startDate",
+  "dueDate",
+];
+const MAX_BULK_TASKS = 500;
+// The tree view is not paged (subtasks would be cut off from their parents)
+const MAX_TREE_TASKS = 1000;
+
+const timeOf = (date) => (date ? new Date(date).getTime() : null);
+const idString = (value) => (value ? String(value._id || value) : null);
+
+// A task cannot be due before it starts
+const assertDateRange = (startDate, dueDate) => {
+  if (startDate && dueDate && timeOf(startDate) > timeOf(dueDate)) {
+    throw new ValidationError("Due date cannot be before the start date");
+  }
+};
 
-// @desc    Get all tasks for a project
-// @route   GET /api/tasks?projectId=xxx
-// @access  Private
+const dateRange = (after, before) => {
+  const range = {};
+  if (after) range.$gte = new Date(after);
+  if (before) range.$lte = new Date(before);
+  return range;
+};
+
+// Filters of the task lists and bulk changes: ?status=todo,review
+// &assignee=me|none|<id>&priority=high,urgent&dueAfter=&dueBefore=
+// &overdue=true&startAfter=&startBefore=&createdAfter=&createdBefore=&search=
+// (ids are cast here since aggregation pipelines do not cast them)
+const taskFilters = (user, query) => {
+  const { status, assignee, priority, overdue, search } = query;
+  const filter = {};
+  const overdueOnly = String(overdue).toLowerCase() === "true";
+  if (status) {
+    filter.status = { $in: status.split(",") };
+  }
+  if (assignee === "none") {
+    filter.assignees = { $size: 0 };
+  } else if (assignee) {
+    filter.assignees =
+      assignee === "me" ? user._id : new mongoose.Types.ObjectId(assignee);
+  }
+  if (priority) {
+    filter.priority = { $in: priority.split(",") };
+  }
+  if (query.dueAfter || query.dueBefore || overdueOnly) {
+    filter.dueDate = {
+      $ne: null,
+      ...dateRange(query.dueAfter, query.dueBefore),
+    };
+  }
+  // Overdue: past the due date and not complete
+  if (overdueOnly) {
+    filter.dueDate.$lt = new Date();
+    Object.assign(filter, openTaskFilter());
+  }
+  if (query.startAfter || query.startBefore) {
+    filter.startDate = {
+      $ne: null,
+      ...dateRange(query.startAfter, query.startBefore),
+    };
+  }
+  if (query.createdAfter || query.createdBefore) {
+    filter.createdAt = dateRange(query.createdAfter, query.createdBefore);
+  }
+  // Words of the title and description (text index)
+  if (search) {
+    filter.$text = { $search: search };
+  }
+  return filter;
+};
+
+// The tasks the user may read, as a query clause, and the projects they are
+// in: all tasks of projects granting task:read-all (MANAGER/ADMIN/VIEWER),
+// only the ones assigned to them elsewhere (MEMBER). Without a project,
+// across every project the user can see (archived ones left out).
+const readableTasks = async (user, project = null) => {
+  if (project) {
+    return {
+      clause: (await can(user, "task:read-all", project))
+        ? { projectId: project._id }
+        : { projectId: project._id, assignees: user._id },
+      projectIds: [project._id],
+    };
+  }
+
+  const activeProjects = { archivedAt: null };
+  const managedProjects = await projectsWhere(
+    user,
+    "task:read-all",
+    activeProjects
+  );
+  const memberProjects = (
+    await projectsWhere(user, "project:read", activeProjects)
+  ).filter((id) => !managedProjects.some((managed) => managed.equals(id)));
+
+  return {
+    clause: {
+      $or: [
+        { projectId: { $in: managedProjects } },
+        { projectId: { $in: memberProjects }, assignees: user._id },
+      ],
+    },
+    projectIds: [...managedProjects, ...memberProjects],
+  };
+};
+
+// Filters, label terms and access rules of a task query in one filter. The
+// access clause goes under $and so it cannot clash with ?assignee.
+const taskQuery = async (user, query, access) => {
+  const filter = {
+    ...taskFilters(user, query),
+    ...(await labelFilter(
+      access.projectIds,
+      splitLabelTerms(query.label),
+      query.labelMode
+    )),
+  };
+  filter.$and = [...(filter.$and || []), access.clause];
+  return filter;
+};
+
+// One page of task ids sorted by urgency. Priorities are not stored in that
+// order, so they are ranked on the fly; tasks with no (or an unknown)
+// priority come last either way.
+const priorityPage = (filter, descending, pagination) =>
+  Task.aggregate([
+    { $match: filter },
+    {
+      $addFields: {
+        priorityRank: { $indexOfArray: [PRIORITY_ORDER, "$priority"] },
+      },
+    },
+    { $addFields: { priorityMissing: { $eq: ["$priorityRank", -1] } } },
+    {
+      $sort: {
+        priorityMissing: 1,
+        priorityRank: descending ? -1 : 1,
+        createdAt: 1,
+        _id: 1,
+      },
+    },
+    { $skip: pagination.skip },
+    { $limit: pagination.limit },
+    { $project: { _id: 1 } },
+  ]);
+
+// One page of task ids sorted on a stored field, so the indexes can serve
+// the sort. Tasks without the value come after all the others, oldest
+// first: the page is cut from those with a value and, once they run out,
+// from the rest.
+const fieldPage = async (filter, field, descending, pagination) => {
+  const withField = (condition) => ({
+    ...filter,
+    $and: [...(filter.$and || []), { [field]: condition }],
+  });
+  // Ranks are strings; the partial rank index only serves this condition
+  const hasValue = field === "rank" ? { $type: "string" } : { $ne: null };
+
+  const withValue = await Task.countDocuments(withField(hasValue));
+  const ids = [];
+  if (pagination.skip < withValue) {
+    ids.push(
+      ...(await Task.find(withField(hasValue))
+        .sort({ [field]: descending ? -1 : 1, _id: 1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .select("_id"))
+    );
+  }
+  if (ids.length < pagination.limit) {
+    ids.push(
+      ...(await Task.find(withField(null))
+        .sort({ createdAt: 1, _id: 1 })
+        .skip(Math.max(pagination.skip - withValue, 0))
+        .limit(pagination.limit - ids.length)
+        .select("_id"))
+    );
+  }
+  return ids;
+};
+
+// Ids of one page of the tasks matching `filter` for ?sort=field, or -field
+// for descending: board order by default (by rank within each status
+// column, tasks without a rank - created before ranks existed - last), best
+// matches first when searching. Priorities rank by urgency rather than
+// alphabetically; tasks without the value always come last.
+const sortedPage = (filter, { sort, search }, pagination) => {
+  if (!sort && search) {
+    return Task.find(filter)
+      .sort({ score: { $meta: "textScore" }, _id: 1 })
+      .skip(pagination.skip)
+      .limit(pagination.limit)
+      .select("_id");
+  }
+
+  const descending = Boolean(sort) && sort.startsWith("-");
+  const field = sort ? sort.replace(/^-/, "") : "rank";
+  return field === "priority"
+    ? priorityPage(filter, descending, pagination)
+    : fieldPage(filter, field, descending, pagination);
+};
+
+// One page of the tasks matching `filter`, sorted and paged by MongoDB, and
+// the number of matching tasks
+const findTaskPage = async (filter, query, pagination) => {
+  const [page, total] = await Promise.all([
+    sortedPage(filter, query, pagination),
+    Task.countDocuments(filter),
+  ]);
+
+  const tasks = await Task.find({ _id: { $in: page.map((task) => task._id) } })
+    .populate("projectId", "name")
+    .populate("assignees", "name email")
+    .populate("labels", "name color");
+  const byId = new Map(tasks.map((task) => [idString(task), task]));
+  return {
+    tasks: page.map((task) => byId.get(idString(task))).filter(Boolean),
+    total,
+  };
+};
+
+// Task list response: with roll-up progress, blocked state and logged time,
+// as a flat list or (with ?view=tree) nested under their parents
+const taskList = async (tasks, { view }) => {
+  const list = await withLoggedTime(
+    await withBlockedState(await withProgress(tasks))
+  );
+  return view === "tree" ? buildTaskTree(list) : list;
+};
+
+// Status fields for moving a task to `status`, following the project's
+// workflow (empty when the status does not change), and a warning when the
+// task is completed with open subtasks. Blocked tasks cannot be completed.
+const statusChange = async (user, task, status) => {
+  if (status === undefined || status === task.status) {
+    return { update: {}, warning: null };
+  }
+
+  const target = await assertTransition(
+    user,
+    task,
+    getWorkflow(task.projectId),
+    task.status,
+    status
+  );
+  await assertNotBlocked(task, target);
+  return {
+    update: { status: target.key, statusCategory: target.category },
+    warning: await checkOpenSubtasks(task, target),
+  };
+};
+
+// Load a task with its project; tasks whose project is gone count as missing
+const findTaskWithProject = async (id) => {
+  const task = await Task.findById(id).populate("projectId");
+  if (!task || !task.projectId) {
+    throw new NotFoundError("Task not found");
+  }
+  return task;
+};
+
+// @desc    Get tasks, one page at a time
+// @route   GET /api/tasks?projectId=&status=&assignee=&priority=&dueAfter=&dueBefore=&overdue=&startAfter=&startBefore=&createdAfter=&createdBefore=&label=&labelMode=&search=&sort=&view=&page=&limit=
+// @access  Private (members without task:read-all only get their tasks)
 const getTasks = async (req, res, next) => {
   try {
     const { projectId } = req.query;
 
-    if (!projectId) {
-      let tasks = await Task.find()
-        .populate("projectId", "name")
-        .populate("assignedTo", "name email");
-
-      // Filter tasks based on role:
-      // - MEMBER: Only see tasks assigned to them
-      // - MANAGER/ADMIN: See all tasks
-      if (req.user.role === ROLES.MEMBER) {
-        tasks = tasks.filter((task) => {
-          // Members only see tasks assigned to them (not unassigned tasks)
-          if (!task.assignedTo) return false;
-          const assignedToId =
-            typeof task.assignedTo === "object"
-              ? task.assignedTo._id.toString()
-              : task.assignedTo.toString();
-          return assignedToId === req.user.id.toString();
-        });
-      }
+    let project = null;
+    if (projectId) {
+      // Verify project exists and is visible to the user
+      project = await findVisibleProject(req.user, projectId);
+    }
 
+    const filter = await taskQuery(
+      req.user,
+      req.query,
+      await readableTasks(req.user, project)
+    );
+
+    // The tree comes whole, so a parent and its subtasks stay together
+    if (req.query.view === "tree") {
+      const total = await Task.countDocuments(filter);
+      if (total > MAX_TREE_TASKS) {
+        throw new ValidationError(
+          `The tree view is limited to ${MAX_TREE_TASKS} tasks; narrow the filters or use the flat view`
+        );
+      }
+      const { tasks } = await findTaskPage(filter, req.query, {
+        skip: 0,
+        limit: Math.max(total, 1),
+      });
       return successResponse(
         res,
         HTTP_STATUS.OK,
         "Tasks retrieved successfully",
-        { tasks }
+        { tasks: await taskList(tasks, req.query), pagination: null }
       );
     }
 
-    // Verify project exists
-    const project = await Project.findById(projectId);
-    if (!project) {
-      throw new NotFoundError("Project not found");
-    }
-
-    // Remove teamId-based access checks
-    // Any member can see their assigned tasks in any project
-
-    let tasks = await Task.find({ projectId })
-      .populate("projectId", "name")
-      .populate("assignedTo", "name email");
-
-    // Filter tasks based on role:
-    // - MEMBER: Only see tasks assigned to them
-    // - MANAGER/ADMIN: See all tasks
-    if (req.user.role === ROLES.MEMBER) {
-      tasks = tasks.filter((task) => {
-        // Members only see tasks assigned to them (not unassigned tasks)
-        if (!task.assignedTo) return false;
-        const assignedToId =
-          typeof task.assignedTo === "object"
-            ? task.assignedTo._id.toString()
-            : task.assignedTo.toString();
-        return assignedToId === req.user.id.toString();
-      });
-    }
+    const pagination = getPagination(req.query, {
+      defaultLimit: 50,
+      maxLimit: 200,
+    });
+    const { tasks, total } = await findTaskPage(filter, req.query, pagination);
 
     successResponse(res, HTTP_STATUS.OK, "Tasks retrieved successfully", {
-      tasks,
+      tasks: await taskList(tasks, req.query),
+      pagination: paginationMeta(pagination, total),
     });
   } catch (error) {
     next(error);
@@ -81,14 +392,18 @@ const getTasks = async (req, res, next) => {
 // @access  Private (Admin/Manager only - Members cannot create tasks)
 const createTask = async (req, res, next) => {
   try {
-    const { title, description, status, projectId, assignedTo } = req.body;
-
-    // Members cannot create tasks
-    if (req.user.role === ROLES.MEMBER) {
-      throw new ForbiddenError(
-        "Members cannot create tasks. Only Admins and Managers can create tasks."
-      );
-    }
+    const {
+      title,
+      description,
+      status,
+      projectId,
+      parentId,
+      assignees = [],
+      priority,
+      estimateMinutes,
+      startDate,
+      dueDate,
+    } = req.body;
 
     // Verify project exists
     const project = await Project.findById(projectId);
@@ -96,54 +411,77 @@ const createTask = async (req, res, next) => {
       throw new NotFoundError("Project not found");
     }
 
-    // Verify user belongs to project's team (if team exists)
-    if (
-      project.teamId &&
-      req.user.teamId &&
-      req.user.teamId.toString() !== project.teamId.toString()
-    ) {
-      throw new ForbiddenError(
-        "You can only create tasks in your team's projects"
-      );
-    }
+    // Verify user belongs to project's team
+    await assertCan(
+      req.user,
+      "project:read",
+      project,
+      "You can only create tasks in your team's projects"
+    );
 
-    // Only MANAGER can assign tasks to members
-    if (assignedTo && req.user.role !== ROLES.MANAGER) {
-      throw new ForbiddenError(
+    // Members cannot create tasks
+    await assertCan(
+      req.user,
+      "task:create",
+      project,
+      "Members cannot create tasks. Only Admins and Managers can create tasks."
+    );
+
+    assertProjectWritable(project);
+
+    if (assignees.length > 0) {
+      await assertCan(
+        req.user,
+        "task:assign",
+        project,
         "Only Managers can assign tasks to members. Admins can create tasks but cannot assign them."
       );
+      await verifyAssignees(assignees, project);
     }
 
-    // Verify assignee is a MEMBER (if provided)
-    if (assignedTo) {
-      const assignee = await User.findById(assignedTo);
-      if (!assignee) {
-        throw new NotFoundError("User not found");
-      }
-      if (assignee.role !== ROLES.MEMBER) {
-        throw new ForbiddenError("Tasks can only be assigned to members");
-      }
-    }
-
-    const task = await Task.create({
-      title,
-      description,
-      status,
-      projectId,
-      assignedTo,
+    assertDateRange(startDate, dueDate);
+    const ancestors = await subtaskAncestors(parentId, project._id);
+
+    // New tasks start in the first status of the workflow unless one is given
+    const workflow = getWorkflow(project);
+    const initial = status
+      ? assertStatus(workflow, status)
+      : initialStatus(workflow);
+
+    // New tasks go to the end of their column
+    const task = await saveWithRank(
+      () => rankInColumn({ projectId: project._id }, initial.key),
+      (rank) =>
+        Task.create({
+          title,
+          description,
+          status: initial.key,
+          statusCategory: initial.category,
+          projectId,
+          parentId: parentId || null,
+          ancestors,
+          assignees,
+          priority,
+          estimateMinutes,
+          startDate,
+          dueDate,
+          rank,
+        })
+    );
+    await scheduleTaskReminders(task);
+    await recordTaskActivity({
+      task,
+      actor: req.user,
+      action: ACTIVITY_ACTIONS.CREATED,
     });
 
     const populatedTask = await Task.findById(task._id)
       .populate("projectId", "name")
-      .populate("assignedTo", "name email");
+      .populate("assignees", "name email")
+      .populate("labels", "name color");
 
-    // Emit task creation to team room (if team exists)
-    const io = req.app.get("io");
-    if (io && project.teamId) {
-      io.to(`team:${project.teamId}`).emit("task-updated", populatedTask);
-    } else if (io) {
-      io.emit("task-updated", populatedTask); // Broadcast to all if no team
-    }
+    // Emit task creation to everyone who can see the project
+    await emitToProject(req.app.get("io"), project, "task-updated", populatedTask);
 
     successResponse(res, HTTP_STATUS.CREATED, "Task created successfully", {
       task: populatedTask,
@@ -153,79 +491,435 @@ const createTask = async (req, res, next) => {
   }
 };
 
+// Save `update` to a task and return it populated. A task moving to
+// `newStatus` goes to the end of that column on the board.
+const saveTaskUpdate = (task, update, newStatus = update.status) => {
+  const save = (rank) =>
+    Task.findByIdAndUpdate(
+      task._id,
+      { ...update, ...(rank && { rank }) },
+      { new: true, runValidators: true }
+    )
+      .populate("projectId", "name")
+      .populate("assignees", "name email")
+      .populate("labels", "name color");
+
+  if (!newStatus) return save(null);
+  return saveWithRank(() => rankInColumn(task, newStatus), save);
+};
+
+// Apply `fields` (UPDATABLE_FIELDS, plus labels already checked by the
+// caller) to a task under the rules of PUT /api/tasks/:id, log the change
+// and return the updated task with a warning (if any) and the activity
+// entry. Without task:update (MEMBER) only the status of assigned tasks can
+// change. Watchers and unblocked tasks are announced only with `io`.
+const applyTaskUpdate = async (user, task, fields, io) => {
+  const { assignees, status, startDate, dueDate, parentId } = fields;
+  const before = task;
+  let updated;
+  let warning = null;
+
+  const canUpdateAll = await can(user, "task:update", task);
+
+  if (!canUpdateAll) {
+    await assertCan(
+      user,
+      "task:update-status",
+      task,
+      "You can only update tasks assigned to you"
+    );
+    assertProjectWritable(task.projectId);
+
+    // Members can only update status, not other fields
+    const change = await statusChange(user, task, status);
+    warning = change.warning;
+    updated = await saveTaskUpdate(task, change.update);
+  } else {
+    assertProjectWritable(task.projectId);
+
+    // ADMIN and MANAGER can update all fields; assignment needs task:assign
+    if (assignees !== undefined) {
+      await assertCan(
+        user,
+        "task:assign",
+        task,
+        "Only Managers can assign tasks to members. Admins can update tasks but cannot assign them."
+      );
+    }
+
+    // Users added to the assignees must be assignable in the team
+    if (assignees !== undefined) {
+      await verifyAssignees(assignees, task.projectId, task.assignees);
+    }
+
+    assertDateRange(
+      startDate !== undefined ? startDate : task.startDate,
+      dueDate !== undefined ? dueDate : task.dueDate
+    );
+
+    const change = await statusChange(user, task, status);
+    warning = change.warning;
+    const updateData = { ...fields, ...change.update };
+
+    // Moving the task (with its subtasks) under another parent
+    if (
+      parentId !== undefined &&
+      idString(parentId) !== idString(task.parentId)
+    ) {
+      updateData.ancestors = await moveSubtree(task, parentId);
+    }
+
+    // A new due date or new assignees get reminded (and flagged) afresh
+    const dueDateChanged =
+      dueDate !== undefined && timeOf(dueDate) !== timeOf(task.dueDate);
+    const assigneesChanged =
+      assignees !== undefined && !sameAssignees(assignees, task.assignees);
+    if (dueDateChanged || assigneesChanged) {
+      updateData.remindedAt = null;
+    }
+    if (dueDateChanged) {
+      updateData.overdueAt = null;
+    }
+
+    updated = await saveTaskUpdate(task, updateData, change.update.status);
+
+    if (dueDateChanged || assigneesChanged) {
+      await scheduleTaskReminders(updated);
+    }
+  }
+
+  const entry = await recordTaskActivity({
+    task: updated,
+    before,
+    actor: user,
+    io,
+  });
+  await notifyUnblocked(io, updated, before.statusCategory);
+
+  return { task: updated, warning, entry };
+};
+
+// Delete a task with its subtasks under the rules of DELETE /api/tasks/:id
+// and return the ids of the deleted subtasks
+const removeTask = async (user, task, io) => {
+  // Verify user belongs to task's team
+  const project = task.projectId;
+  await assertCan(
+    user,
+    "project:read",
+    project,
+    "You can only delete tasks in your team's projects"
+  );
+
+  // Only ADMIN can delete tasks
+  await assertCan(user, "task:delete", project, "Only Admins can delete tasks");
+  assertProjectWritable(project);
+
+  // The task goes together with its subtasks, comments and scheduled
+  // reminders; its activity stays in the project's feed
+  const subtaskIds = await withTransaction((session) =>
+    deleteTaskTree(task, { actor: user }, session)
+  );
+
+  await notifyWatchers(io, task, {
+    actorId: user._id,
+    action: ACTIVITY_ACTIONS.DELETED,
+  });
+  return subtaskIds;
+};
+
 // @desc    Update task
 // @route   PUT /api/tasks/:id
 // @access  Private
 const updateTask = async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { assignedTo, status, title, description } = req.body;
-
-    let task = await Task.findById(id)
-      .populate("projectId")
-      .populate("assignedTo");
-    if (!task) {
-      throw new NotFoundError("Task not found");
+    const io = req.app.get("io");
+    const task = await findTaskWithProject(req.params.id);
+
+    // Only the updatable fields; anything else in the body is ignored
+    const fields = Object.fromEntries(
+      UPDATABLE_FIELDS.filter((field) => req.body[field] !== undefined).map(
+        (field) => [field, req.body[field]]
+      )
+    );
+    const { task: updatedTask, warning } = await applyTaskUpdate(
+      req.user,
+      task,
+      fields,
+      io
+    );
+
+    // Emit task update to everyone who can see the project
+    await emitToProject(io, updatedTask.projectId, "task-updated", updatedTask);
+
+    successResponse(res, HTTP_STATUS.OK, "Task updated successfully", {
+      task: updatedTask,
+      warnings: warning ? [warning] : [],
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Move a task on the board: into a status column, between two of
+//          its tasks (after previousTaskId / before nextTaskId) or at its end
+// @route   PUT /api/tasks/:id/move
+// @access  Private (Admin/Manager or the task's assignee)
+const moveTask = async (req, res, next) => {
+  try {
+    const { status, previousTaskId, nextTaskId } = req.body;
+
+    const task = await findTaskWithProject(req.params.id);
+    await assertCan(
+      req.user,
+      "task:update-status",
+      task,
+      "You can only move tasks assigned to you"
+    );
+    assertProjectWritable(task.projectId);
+
+    const targetStatus = status || task.status;
+    const { update, warning } = await statusChange(
+      req.user,
+      task,
+      targetStatus
+    );
+
+    // The rank is worked out against the column as it is now; a concurrent
+    // move into the same slot makes it try again
+    const movedTask = await saveWithRank(
+      () => rankInColumn(task, targetStatus, { previousTaskId, nextTaskId }),
+      (rank) =>
+        Task.findByIdAndUpdate(
+          task._id,
+          { ...update, rank },
+          { new: true, runValidators: true }
+        )
+          .populate("projectId", "name")
+          .populate("assignees", "name email")
+          .populate("labels", "name color")
+    );
+
+    await recordTaskActivity({
+      task: movedTask,
+      before: task,
+      actor: req.user,
+      io: req.app.get("io"),
+    });
+    await notifyUnblocked(req.app.get("io"), movedTask, task.statusCategory);
+
+    // Every open board puts the task in its new place
+    await emitToProject(req.app.get("io"), task.projectId, "task-moved", {
+      task: movedTask,
+      previousTaskId: previousTaskId || null,
+      nextTaskId: nextTaskId || null,
+    });
+
+    successResponse(res, HTTP_STATUS.OK, "Task moved successfully", {
+      task: movedTask,
+      warnings: warning ? [warning] : [],
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Tasks a bulk request applies to: the listed ones (ids of missing tasks and
+// tasks the user cannot read come back in `missing`) or the tasks of a
+// project matching `filter` that the user can read
+const selectBulkTasks = async (user, { taskIds, filter }) => {
+  if (taskIds) {
+    const found = await Task.find({ _id: { $in: taskIds } }).populate(
+      "projectId"
+    );
+    const readable = await Promise.all(
+      found.map((task) => task.projectId && can(user, "task:read", task))
+    );
+    const byId = new Map(
+      found
+        .filter((task, index) => readable[index])
+        .map((task) => [idString(task), task])
+    );
+    return {
+      tasks: taskIds.filter((id) => byId.has(id)).map((id) => byId.get(id)),
+      missing: taskIds.filter((id) => !byId.has(id)),
+    };
+  }
+
+  const project = await findVisibleProject(user, filter.projectId);
+
+  const query = await taskQuery(
+    user,
+    filter,
+    await readableTasks(user, project)
+  );
+
+  const count = await Task.countDocuments(query);
+  if (count > MAX_BULK_TASKS) {
+    throw new ValidationError(
+      `The filter matches ${count} tasks; bulk changes are limited to ${MAX_BULK_TASKS}`
+    );
+  }
+  const tasks = await Task.find(query).populate("projectId");
+  return { tasks, missing: [] };
+};
+
+// Apply the status, assignee and label changes of a bulk request to one
+// task, with the rules of PUT /api/tasks/:id. `projectLabels` caches the
+// labels looked up per project. Nothing is announced; bulkTasks batches it.
+const bulkUpdateTask = async (user, task, changes, projectLabels) => {
+  const { status, assignees, labels } = changes;
+
+  // Members may only change the status
+  if ((assignees || labels) && !(await can(user, "task:update", task))) {
+    throw new ForbiddenError(
+      "You can only change the status of tasks assigned to you"
+    );
+  }
+
+  const fields = {};
+  if (status !== undefined) fields.status = status;
+  if (assignees) {
+    const removed = new Set(assignees.remove || []);
+    const kept = task.assignees.map(idString).filter((id) => !removed.has(id));
+    fields.assignees = [...new Set([...kept, ...(assignees.add || [])])];
+  }
+  if (labels) {
+    const projectId = idString(task.projectId);
+    if (!projectLabels.has(projectId)) {
+      projectLabels.set(
+        projectId,
+        (await Label.find({ projectId, _id: { $in: labels.add || [] } })).map(
+          idString
+        )
+      );
+    }
+    const known = projectLabels.get(projectId);
+    if ((labels.add || []).some((id) => !known.includes(id))) {
+      throw new NotFoundError("Label not found in the task's project");
     }
+    fields.labels = changedLabelIds(task, labels);
+  }
 
-    // MEMBER can only update status of tasks assigned to them
-    if (req.user.role === ROLES.MEMBER) {
-      // Check if task is assigned to this member
-      const assignedToId = task.assignedTo
-        ? typeof task.assignedTo === "object"
-          ? task.assignedTo._id.toString()
-          : task.assignedTo.toString()
-        : null;
-
-      if (assignedToId !== req.user.id.toString()) {
-        throw new ForbiddenError("You can only update tasks assigned to you");
-      }
+  return applyTaskUpdate(user, task, fields, null);
+};
 
-      // Members can only update status, not other fields
-      const updateData = { status: req.body.status };
-      task = await Task.findByIdAndUpdate(id, updateData, {
-        new: true,
-        runValidators: true,
-      })
-        .populate("projectId", "name")
-        .populate("assignedTo", "name email");
-    } else {
-      // ADMIN and MANAGER can update all fields
-      // Only MANAGER can assign/update task assignment
-      if (assignedTo !== undefined && req.user.role !== ROLES.MANAGER) {
-        throw new ForbiddenError(
-          "Only Managers can assign tasks to members. Admins can update tasks but cannot assign them."
-        );
-      }
+// @desc    Change the status, assignees or labels of many tasks, or delete
+//          them, picked by id (taskIds) or by a filter on one project
+// @route   POST /api/tasks/bulk
+// @access  Private (each task checked like PUT/DELETE /api/tasks/:id)
+const bulkTasks = async (req, res, next) => {
+  try {
+    const { changes, delete: deleteTasks } = req.body;
+    const io = req.app.get("io");
 
-      // Verify assignee is a MEMBER (if updating assignee)
-      if (assignedTo) {
-        const assignee = await User.findById(assignedTo);
-        if (!assignee) {
-          throw new NotFoundError("User not found");
-        }
-        if (assignee.role !== ROLES.MEMBER) {
-          throw new ForbiddenError("Tasks can only be assigned to members");
+    const { tasks, missing } = await selectBulkTasks(req.user, req.body);
+
+    const results = missing.map((taskId) => ({
+      taskId,
+      success: false,
+      statusCode: HTTP_STATUS.NOT_FOUND,
+      error: "Task not found",
+    }));
+    // Per project, for one event to each project's audience
+    const batches = new Map();
+    const batchOf = (project) => {
+      const key = idString(project);
+      if (!batches.has(key)) {
+        batches.set(key, { project, updated: [], deleted: [], unblocked: [] });
+      }
+      return batches.get(key);
+    };
+    const projectLabels = new Map();
+    const deletedWith = new Map();
+    // Announced once the whole batch is done, rather than task by task
+    const watcherEvents = [];
+    const statusChanges = [];
+
+    // One task after the other; a failure does not stop the others
+    for (const task of tasks) {
+      const taskId = idString(task);
+      try {
+        if (deleteTasks) {
+          // Already gone with a parent deleted earlier in the batch
+          if (deletedWith.has(taskId)) {
+            results.push({
+              taskId,
+              success: true,
+              deletedWith: deletedWith.get(taskId),
+            });
+            continue;
+          }
+
+          const subtaskIds = await removeTask(req.user, task, null);
+          subtaskIds.forEach((id) => deletedWith.set(idString(id), taskId));
+          batchOf(task.projectId).deleted.push({ taskId: task._id, subtaskIds });
+          watcherEvents.push({
+            task,
+            event: { actorId: req.user._id, action: ACTIVITY_ACTIONS.DELETED },
+          });
+          results.push({ taskId, success: true });
+        } else {
+          const {
+            task: updatedTask,
+            warning,
+            entry,
+          } = await bulkUpdateTask(req.user, task, changes, projectLabels);
+          batchOf(task.projectId).updated.push(updatedTask);
+          watcherEvents.push({ task: updatedTask, event: entry });
+          statusChanges.push({
+            project: task.projectId,
+            task: updatedTask,
+            previousCategory: task.statusCategory,
+          });
+          results.push({
+            taskId,
+            success: true,
+            ...(warning && { warning }),
+          });
         }
+      } catch (error) {
+        if (!error.isOperational) throw error;
+        results.push({
+          taskId,
+          success: false,
+          statusCode: error.statusCode,
+          error: error.message,
+          ...(error.code && { code: error.code }),
+        });
       }
+    }
 
-      task = await Task.findByIdAndUpdate(id, req.body, {
-        new: true,
-        runValidators: true,
-      })
-        .populate("projectId", "name")
-        .populate("assignedTo", "name email");
+    // Tasks whose last open blocker was completed in the batch
+    const unblockedIds = new Set();
+    for (const { project, task, previousCategory } of statusChanges) {
+      for (const dependent of await findUnblocked(task, previousCategory)) {
+        if (unblockedIds.has(idString(dependent))) continue;
+        unblockedIds.add(idString(dependent));
+        batchOf(project).unblocked.push({
+          taskId: dependent._id,
+          title: dependent.title,
+          unblockedBy: task._id,
+        });
+      }
     }
 
-    // Emit task update to team room (if team exists)
-    const io = req.app.get("io");
-    if (io && task.projectId?.teamId) {
-      io.to(`team:${task.projectId.teamId}`).emit("task-updated", task);
-    } else if (io) {
-      io.emit("task-updated", task); // Broadcast to all if no team
+    for (const { project, updated, deleted, unblocked } of batches.values()) {
+      await emitToProject(io, project, "tasks-bulk-updated", {
+        projectId: project._id,
+        updated,
+        deleted,
+        unblocked,
+      });
     }
+    await notifyWatchersOfMany(io, watcherEvents);
 
-    successResponse(res, HTTP_STATUS.OK, "Task updated successfully", { task });
+    const succeeded = results.filter((result) => result.success).length;
+    successResponse(res, HTTP_STATUS.OK, "Bulk operation completed", {
+      results,
+      succeeded,
+      failed: results.length - succeeded,
+    });
   } catch (error) {
     next(error);
   }
@@ -236,27 +930,14 @@ const updateTask = async (req, res, next) => {
 // @access  Private (Admin only)
 const deleteTask = async (req, res, next) => {
   try {
-    const { id } = req.params;
-
-    const task = await Task.findById(id).populate("projectId");
-    if (!task) {
-      throw new NotFoundError("Task not found");
-    }
+    const task = await findTaskWithProject(req.params.id);
 
-    // Verify user belongs to task's team
-    const project = await Project.findById(task.projectId._id);
-    if (req.user.teamId.toString() !== project.teamId.toString()) {
-      throw new ForbiddenError(
-        "You can only delete tasks in your team's projects"
-      );
-    }
+    const subtaskIds = await removeTask(req.user, task, req.app.get("io"));
 
-    // Only ADMIN can delete tasks
-    if (req.user.role !== ROLES.ADMIN) {
-      throw new ForbiddenError("Only Admins can delete tasks");
-    }
-
-    await Task.findByIdAndDelete(id);
+    await emitToProject(req.app.get("io"), task.projectId, "task-deleted", {
+      taskId: task._id,
+      subtaskIds,
+    });
 
     successResponse(res, HTTP_STATUS.OK, "Task deleted successfully", null);
   } catch (error) {
@@ -268,5 +949,7 @@ module.exports = {
   getTasks,
   createTask,
   updateTask,
+  moveTask,
   deleteTask,
+  bulkTasks,
 };
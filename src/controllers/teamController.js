@@ -1,8 +1,75 @@
 const Team = require("../models/Team");
 const User = require("../models/User");
+const Membership = require("../models/Membership");
+const Project = require("../models/Project");
+const Message = require("../models/Message");
+const Invitation = require("../models/Invitation");
+const RoleChange = require("../models/RoleChange");
 const { successResponse } = require("../utils/responseHandler");
-const { NotFoundError, ForbiddenError } = require("../utils/errorTypes");
-const { HTTP_STATUS, ROLES } = require("../config/constants");
+const {
+  NotFoundError,
+  ForbiddenError,
+  ValidationError,
+} = require("../utils/errorTypes");
+const {
+  getMembership,
+  requireTeamRole,
+  addMembership,
+  removeMembership,
+  serializeMember,
+} = require("../utils/membership");
+const {
+  isAccountLocked,
+  unlockAccount,
+  recordAuthEvent,
+} = require("../utils/loginGuard");
+const { deactivateUser, reactivateUser } = require("../utils/accounts");
+const { can } = require("../utils/policy");
+const { deleteProjectsCascade } = require("../utils/projects");
+const { openTaskFilter } = require("../utils/workflows");
+const { unassignUsers, unwatchTasks } = require("../utils/assignees");
+const { withTransaction } = require("../utils/transaction");
+const { HTTP_STATUS, ROLES, AUTH_EVENTS } = require("../config/constants");
+
+// Verify the team exists (permissions are checked by authorize in the routes)
+const findTeam = async (teamId) => {
+  const team = await Team.findById(teamId);
+  if (!team) {
+    throw new NotFoundError("Team not found");
+  }
+
+  return team;
+};
+
+const getTeamMemberList = async (teamId, filter = {}) => {
+  const memberships = await Membership.find({ teamId, ...filter })
+    .sort({ createdAt: 1 })
+    .populate("userId", "name email twoFactorEnabled deactivatedAt");
+
+  return memberships.filter((m) => m.userId).map(serializeMember);
+};
+
+// Take a user out of a team: drop their membership, unassign their open
+// tasks in the team's projects, stop them watching its tasks and remove
+// their sockets from the team room
+const detachMember = async (req, userId, teamId) => {
+  await removeMembership(userId, teamId);
+
+  const projectIds = await Project.find({ teamId }).distinct("_id");
+  await unassignUsers(
+    { projectId: { $in: projectIds }, ...openTaskFilter() },
+    [userId],
+    { actor: req.user }
+  );
+  await unwatchTasks({ projectId: { $in: projectIds } }, [userId]);
+
+  const io = req.app.get("io");
+  if (io) {
+    io.in(`user:${userId}`).socketsLeave(`team:${teamId}`);
+    io.to(`team:${teamId}`).emit("member-removed", { teamId, userId });
+    io.to(`user:${userId}`).emit("removed-from-team", { teamId });
+  }
+};
 
 // @desc    Create team
 // @route   POST /api/teams
@@ -11,17 +78,14 @@ const createTeam = async (req, res, next) => {
   try {
     const { name, description } = req.body;
 
-    // Check if user already has a team
-    if (req.user.teamId) {
-      throw new ForbiddenError("You are already part of a team");
-    }
-
     const team = await Team.create({
       name,
       description,
       adminId: req.user.id,
     });
 
+    // The creator administers the new team, which becomes their active team
+    await addMembership(req.user._id, team._id, ROLES.ADMIN);
     await User.findByIdAndUpdate(req.user.id, { teamId: team._id });
 
     const populatedTeam = await Team.findById(team._id).populate("adminId", "name email");
@@ -34,25 +98,63 @@ const createTeam = async (req, res, next) => {
   }
 };
 
+// @desc    Get every team the user belongs to with their role in it
+// @route   GET /api/teams
+// @access  Private
+const getMyTeams = async (req, res, next) => {
+  try {
+    const memberships = await Membership.find({ userId: req.user._id })
+      .sort({ createdAt: 1 })
+      .populate("teamId", "name description adminId");
+
+    const teams = memberships
+      .filter((m) => m.teamId)
+      .map((m) => ({
+        team: m.teamId,
+        role: m.role,
+        active: m.teamId._id.equals(req.user.teamId),
+      }));
+
+    successResponse(res, HTTP_STATUS.OK, "Teams retrieved successfully", {
+      teams,
+      activeTeamId: req.user.teamId,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Select the active team
+// @route   PUT /api/teams/active
+// @access  Private
+const setActiveTeam = async (req, res, next) => {
+  try {
+    const { teamId } = req.body;
+
+    const membership = await requireTeamRole(req.user, teamId);
+    await User.findByIdAndUpdate(req.user._id, { teamId });
+
+    const team = await Team.findById(teamId).populate("adminId", "name email");
+
+    successResponse(res, HTTP_STATUS.OK, "Active team updated successfully", {
+      team,
+      role: membership.role,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get team members
 // @route   GET /api/teams/:teamId/members
-// @access  Private
+// @access  Private (Team members)
 const getTeamMembers = async (req, res, next) => {
   try {
     const { teamId } = req.params;
 
-    // Verify team exists
-    const team = await Team.findById(teamId);
-    if (!team) {
-      throw new NotFoundError("Team not found");
-    }
-
-    // Verify user belongs to team
-    if (req.user.teamId?.toString() !== teamId) {
-      throw new ForbiddenError("You do not have access to this team");
-    }
+    await findTeam(teamId);
 
-    const members = await User.find({ teamId }).select("-password");
+    const members = await getTeamMemberList(teamId);
 
     successResponse(res, HTTP_STATUS.OK, "Team members retrieved successfully", {
       members,
@@ -62,7 +164,7 @@ const getTeamMembers = async (req, res, next) => {
   }
 };
 
-// @desc    Get user's team
+// @desc    Get user's active team
 // @route   GET /api/teams/my-team
 // @access  Private
 const getMyTeam = async (req, res, next) => {
@@ -75,10 +177,11 @@ const getMyTeam = async (req, res, next) => {
     }
 
     const team = await Team.findById(req.user.teamId).populate("adminId", "name email");
-    const members = await User.find({ teamId: req.user.teamId }).select("-password");
+    const members = await getTeamMemberList(req.user.teamId);
 
     successResponse(res, HTTP_STATUS.OK, "Team retrieved successfully", {
       team,
+      role: req.user.role,
       members,
     });
   } catch (error) {
@@ -86,18 +189,15 @@ const getMyTeam = async (req, res, next) => {
   }
 };
 
-// @desc    Get all members (for task assignment)
+// @desc    Get all members of the active team (for task assignment)
 // @route   GET /api/teams/members/all
 // @access  Private (Manager/Admin only)
 const getAllMembers = async (req, res, next) => {
   try {
-    // Only MANAGER and ADMIN can get all members for task assignment
-    if (req.user.role !== ROLES.MANAGER && req.user.role !== ROLES.ADMIN) {
-      throw new ForbiddenError("Only Managers and Admins can view all members");
-    }
-
-    // Get all users with MEMBER role
-    const members = await User.find({ role: ROLES.MEMBER }).select("-password");
+    // Get users holding the MEMBER role in the active team
+    const members = await getTeamMemberList(req.user.teamId, {
+      role: ROLES.MEMBER,
+    });
 
     successResponse(res, HTTP_STATUS.OK, "Members retrieved successfully", {
       members,
@@ -107,4 +207,437 @@ const getAllMembers = async (req, res, next) => {
   }
 };
 
-module.exports = { createTeam, getTeamMembers, getMyTeam, getAllMembers };
+// @desc    Promote or demote a team member
+// @route   PUT /api/teams/:teamId/members/:userId/role
+// @access  Private (Team Admin only)
+const updateMemberRole = async (req, res, next) => {
+  try {
+    const { teamId, userId } = req.params;
+    const { role } = req.body;
+
+    const team = await findTeam(teamId);
+
+    const membership = await Membership.findOne({ userId, teamId }).populate(
+      "userId",
+      "name email twoFactorEnabled"
+    );
+    if (!membership || !membership.userId) {
+      throw new NotFoundError("User is not a member of this team");
+    }
+
+    if (membership.userId._id.equals(req.user._id)) {
+      throw new ForbiddenError("You cannot change your own role");
+    }
+
+    if (membership.userId._id.equals(team.adminId)) {
+      throw new ForbiddenError("The team owner's role cannot be changed");
+    }
+
+    if (membership.role === role) {
+      throw new ValidationError(`User already has the ${role} role`);
+    }
+
+    const fromRole = membership.role;
+    membership.role = role;
+    await membership.save();
+
+    await RoleChange.create({
+      userId: membership.userId._id,
+      teamId,
+      changedBy: req.user._id,
+      fromRole,
+      toRole: role,
+    });
+
+    // Roles are read from the database on every request, so active sessions
+    // pick up the change immediately; tell open sockets so clients can refresh
+    const io = req.app.get("io");
+    if (io) {
+      const payload = {
+        userId: membership.userId._id,
+        teamId,
+        role,
+        previousRole: fromRole,
+      };
+      io.to(`user:${membership.userId._id}`).emit("role-changed", payload);
+      io.to(`team:${teamId}`).emit("member-role-changed", payload);
+    }
+
+    successResponse(res, HTTP_STATUS.OK, "Role updated successfully", {
+      member: serializeMember(membership),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get role change history of a team
+// @route   GET /api/teams/:teamId/role-changes
+// @access  Private (Team Admin only)
+const getRoleChanges = async (req, res, next) => {
+  try {
+    const { teamId } = req.params;
+
+    const changes = await RoleChange.find({ teamId })
+      .sort({ createdAt: -1 })
+      .populate("userId", "name email")
+      .populate("changedBy", "name email");
+
+    successResponse(res, HTTP_STATUS.OK, "Role changes retrieved successfully", {
+      changes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rename or describe team
+// @route   PUT /api/teams/:teamId
+// @access  Private (Team Admin only)
+const updateTeam = async (req, res, next) => {
+  try {
+    const { teamId } = req.params;
+    const { name, description, requireTwoFactor } = req.body;
+
+    const team = await findTeam(teamId);
+
+    // Requiring 2FA without having it would lock the admin out immediately
+    if (requireTwoFactor && !team.requireTwoFactor && !req.user.twoFactorEnabled) {
+      throw new ValidationError(
+        "Enable two-factor authentication on your account before requiring it for the team"
+      );
+    }
+
+    if (name !== undefined) team.name = name;
+    if (description !== undefined) team.description = description;
+    if (requireTwoFactor !== undefined) team.requireTwoFactor = requireTwoFactor;
+    await team.save();
+
+    const populatedTeam = await Team.findById(team._id).populate("adminId", "name email");
+
+    const io = req.app.get("io");
+    if (io) {
+      io.to(`team:${teamId}`).emit("team-updated", populatedTeam);
+    }
+
+    successResponse(res, HTTP_STATUS.OK, "Team updated successfully", {
+      team: populatedTeam,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete team along with its projects, tasks, messages and invitations
+// @route   DELETE /api/teams/:teamId
+// @access  Private (Team owner only)
+const deleteTeam = async (req, res, next) => {
+  try {
+    const { teamId } = req.params;
+
+    await findTeam(teamId);
+
+    // All or nothing, so a failure cannot leave messages, invitations or
+    // memberships of a missing team behind
+    await withTransaction(async (session) => {
+      const memberIds = await Membership.find({ teamId })
+        .session(session)
+        .distinct("userId");
+
+      await deleteProjectsCascade({ teamId }, session);
+      await Message.deleteMany({ teamId }, { session });
+      await Invitation.deleteMany({ teamId }, { session });
+      await RoleChange.deleteMany({ teamId }, { session });
+      // One at a time: a session runs a single operation at once
+      for (const userId of memberIds) {
+        await removeMembership(userId, teamId, session);
+      }
+      await Team.findByIdAndDelete(teamId, { session });
+    });
+
+    const io = req.app.get("io");
+    if (io) {
+      io.to(`team:${teamId}`).emit("team-deleted", { teamId });
+      io.in(`team:${teamId}`).socketsLeave(`team:${teamId}`);
+    }
+
+    successResponse(res, HTTP_STATUS.OK, "Team deleted successfully", null);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a member from the team
+// @route   DELETE /api/teams/:teamId/members/:userId
+// @access  Private (Team Admin only)
+const removeMember = async (req, res, next) => {
+  try {
+    const { teamId, userId } = req.params;
+
+    const team = await findTeam(teamId);
+
+    const membership = await Membership.findOne({ userId, teamId });
+    if (!membership) {
+      throw new NotFoundError("User is not a member of this team");
+    }
+
+    if (membership.userId.equals(req.user._id)) {
+      throw new ForbiddenError("Use leave team to remove yourself");
+    }
+
+    if (membership.userId.equals(team.adminId)) {
+      throw new ForbiddenError("The team owner cannot be removed");
+    }
+
+    await detachMember(req, membership.userId, teamId);
+
+    successResponse(res, HTTP_STATUS.OK, "Member removed successfully", null);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Leave the team
+// @route   POST /api/teams/:teamId/leave
+// @access  Private (Team members)
+const leaveTeam = async (req, res, next) => {
+  try {
+    const { teamId } = req.params;
+
+    const team = await findTeam(teamId);
+
+    if (team.adminId.equals(req.user._id)) {
+      throw new ForbiddenError(
+        "The team owner must transfer ownership before leaving"
+      );
+    }
+
+    const membership = await getMembership(req.user._id, teamId);
+    if (membership.role === ROLES.ADMIN) {
+      const admins = await Membership.countDocuments({
+        teamId,
+        role: ROLES.ADMIN,
+      });
+      if (admins <= 1) {
+        throw new ForbiddenError("The last admin cannot leave the team");
+      }
+    }
+
+    await detachMember(req, req.user._id, teamId);
+
+    successResponse(res, HTTP_STATUS.OK, "You have left the team", null);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Hand team ownership to another member
+// @route   POST /api/teams/:teamId/transfer-ownership
+// @access  Private (Team owner only)
+const transferOwnership = async (req, res, next) => {
+  try {
+    const { teamId } = req.params;
+    const { userId } = req.body;
+
+    const team = await findTeam(teamId);
+
+    const membership = await Membership.findOne({ userId, teamId });
+    if (!membership) {
+      throw new NotFoundError("User is not a member of this team");
+    }
+
+    if (membership.userId.equals(req.user._id)) {
+      throw new ValidationError("You already own this team");
+    }
+
+    // The new owner must be able to administer the team
+    if (membership.role !== ROLES.ADMIN) {
+      await RoleChange.create({
+        userId: membership.userId,
+        teamId,
+        changedBy: req.user._id,
+        fromRole: membership.role,
+        toRole: ROLES.ADMIN,
+      });
+      membership.role = ROLES.ADMIN;
+      await membership.save();
+    }
+
+    team.adminId = membership.userId;
+    await team.save();
+
+    const populatedTeam = await Team.findById(team._id).populate("adminId", "name email");
+
+    const io = req.app.get("io");
+    if (io) {
+      io.to(`team:${teamId}`).emit("team-updated", populatedTeam);
+    }
+
+    successResponse(res, HTTP_STATUS.OK, "Ownership transferred successfully", {
+      team: populatedTeam,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Lift a member's login lockout
+// @route   POST /api/teams/:teamId/members/:userId/unlock
+// @access  Private (Team Admin only)
+const unlockMember = async (req, res, next) => {
+  try {
+    const { teamId, userId } = req.params;
+
+    const membership = await Membership.findOne({ userId, teamId }).populate(
+      "userId",
+      "name email"
+    );
+    if (!membership || !membership.userId) {
+      throw new NotFoundError("User is not a member of this team");
+    }
+
+    const user = membership.userId;
+    if (!(await isAccountLocked(user.email))) {
+      throw new ValidationError("Account is not locked");
+    }
+
+    await unlockAccount(user, req.user, req);
+
+    successResponse(res, HTTP_STATUS.OK, "Account unlocked successfully", null);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// An account is global (deactivating it signs it out and takes it off its
+// tasks in every team), so (re)activating it needs the right to manage the
+// members of every team of the user
+const assertManagesAllTeamsOf = async (actor, user) => {
+  const memberTeamIds = await Membership.find({ userId: user._id }).distinct(
+    "teamId"
+  );
+  for (const memberTeamId of memberTeamIds) {
+    if (!(await can(actor, "team:manage-members", { teamId: memberTeamId }))) {
+      throw new ForbiddenError(
+        "This user is a member of a team you do not administer"
+      );
+    }
+  }
+};
+
+// @desc    Deactivate a member's account, handing their open tasks over
+// @route   POST /api/teams/:teamId/members/:userId/deactivate
+// @access  Private (Team Admin only)
+const deactivateMember = async (req, res, next) => {
+  try {
+    const { teamId, userId } = req.params;
+    const { reassignTo = null } = req.body;
+
+    const membership = await Membership.findOne({ userId, teamId }).populate(
+      "userId",
+      "name email deactivatedAt"
+    );
+    if (!membership || !membership.userId) {
+      throw new NotFoundError("User is not a member of this team");
+    }
+
+    const user = membership.userId;
+    if (user._id.equals(req.user._id)) {
+      throw new ForbiddenError("You cannot deactivate your own account");
+    }
+    if (user.deactivatedAt) {
+      throw new ValidationError("Account is already deactivated");
+    }
+    if (await Team.exists({ adminId: user._id })) {
+      throw new ForbiddenError("Team owners cannot be deactivated");
+    }
+
+    await assertManagesAllTeamsOf(req.user, user);
+
+    if (reassignTo) {
+      const assignee = await User.findById(reassignTo);
+      if (!assignee || assignee.deactivatedAt || assignee._id.equals(user._id)) {
+        throw new ValidationError("Tasks cannot be reassigned to this user");
+      }
+      if (!(await can(assignee, "task:be-assigned", { teamId }))) {
+        throw new ForbiddenError(
+          "Tasks can only be assigned to members of the team"
+        );
+      }
+    }
+
+    const io = req.app.get("io");
+    const result = await deactivateUser(user, req.user, { teamId, reassignTo }, io);
+    await recordAuthEvent(AUTH_EVENTS.ACCOUNT_DEACTIVATED, {
+      user,
+      actor: req.user,
+      req,
+      metadata: { teamId, reassignTo },
+    });
+
+    if (io) {
+      io.to(`team:${teamId}`).emit("member-deactivated", {
+        teamId,
+        userId: user._id,
+        reassignTo,
+      });
+    }
+
+    successResponse(res, HTTP_STATUS.OK, "Account deactivated successfully", result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reactivate a member's account
+// @route   POST /api/teams/:teamId/members/:userId/reactivate
+// @access  Private (Team Admin only)
+const reactivateMember = async (req, res, next) => {
+  try {
+    const { teamId, userId } = req.params;
+
+    const membership = await Membership.findOne({ userId, teamId }).populate(
+      "userId",
+      "name email deactivatedAt"
+    );
+    if (!membership || !membership.userId) {
+      throw new NotFoundError("User is not a member of this team");
+    }
+
+    const user = membership.userId;
+    if (!user.deactivatedAt) {
+      throw new ValidationError("Account is not deactivated");
+    }
+    await assertManagesAllTeamsOf(req.user, user);
+
+    await reactivateUser(user);
+    await recordAuthEvent(AUTH_EVENTS.ACCOUNT_REACTIVATED, {
+      user,
+      actor: req.user,
+      req,
+    });
+
+    successResponse(res, HTTP_STATUS.OK, "Account reactivated successfully", null);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createTeam,
+  getMyTeams,
+  setActiveTeam,
+  getTeamMembers,
+  getMyTeam,
+  getAllMembers,
+  updateMemberRole,
+  getRoleChanges,
+  updateTeam,
+  deleteTeam,
+  removeMember,
+  leaveTeam,
+  transferOwnership,
+  unlockMember,
+  deactivateMember,
+  reactivateMember,
+};
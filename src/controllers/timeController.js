@@ -0,0 +1,293 @@
+const TimeEntry = require("../models/TimeEntry");
+const { successResponse } = require("../utils/responseHandler");
+const { NotFoundError, ValidationError } = require("../utils/errorTypes");
+const { assertCan, findReadableTask } = require("../utils/policy");
+const { assertProjectWritable } = require("../utils/projects");
+const {
+  assertEntryEditable,
+  stopTimer: endTimer,
+  loggedMinutes,
+  timesheetReport,
+  timesheetCsv,
+} = require("../utils/timesheets");
+const { HTTP_STATUS, TIME_ENTRY_SOURCES } = require("../config/constants");
+
+const MINUTE_MS = 60 * 1000;
+const MAX_REPORT_DAYS = 366;
+
+// Load a task the user may log time on
+const findLoggableTask = async (user, id) => {
+  const task = await findReadableTask(user, id);
+  await assertCan(
+    user,
+    "task:log-time",
+    task,
+    "You can only log time on tasks assigned to you"
+  );
+  assertProjectWritable(task.projectId);
+  return task;
+};
+
+const findTaskEntry = async (task, entryId) => {
+  const entry = await TimeEntry.findOne({ _id: entryId, taskId: task._id });
+  if (!entry) {
+    throw new NotFoundError("Time entry not found");
+  }
+  return entry;
+};
+
+const populateEntry = (query) => query.populate("userId", "name email");
+
+// Logged time cannot lie in the future
+const assertInPast = (endedAt) => {
+  if (endedAt > Date.now()) {
+    throw new ValidationError("Time cannot be logged in the future");
+  }
+};
+
+// @desc    Time logged on a task, newest first, with its estimate
+// @route   GET /api/tasks/:id/time
+// @access  Private (anyone who can read the task)
+const getTaskTime = async (req, res, next) => {
+  try {
+    const task = await findReadableTask(req.user, req.params.id);
+
+    const [entries, totals] = await Promise.all([
+      populateEntry(TimeEntry.find({ taskId: task._id }).sort({ startedAt: -1 })),
+      loggedMinutes([task._id]),
+    ]);
+
+    successResponse(res, HTTP_STATUS.OK, "Time entries retrieved successfully", {
+      entries,
+      loggedMinutes: totals.get(task._id.toString()) || 0,
+      estimateMinutes: task.estimateMinutes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start a timer on a task (stopping the user's running timer)
+// @route   POST /api/tasks/:id/time/start
+// @access  Private (Admin/Manager or an assignee)
+const startTimer = async (req, res, next) => {
+  try {
+    const { note = "" } = req.body;
+
+    const task = await findLoggableTask(req.user, req.params.id);
+
+    const running = await TimeEntry.findOne({
+      userId: req.user._id,
+      endedAt: null,
+    });
+    if (running && running.taskId.equals(task._id)) {
+      throw new ValidationError("A timer is already running on this task");
+    }
+    const stopped = running ? await endTimer(running) : null;
+
+    let entry;
+    try {
+      entry = await TimeEntry.create({
+        taskId: task._id,
+        projectId: task.projectId._id,
+        taskTitle: task.title,
+        userId: req.user._id,
+        source: TIME_ENTRY_SOURCES.TIMER,
+        startedAt: new Date(),
+        note,
+      });
+    } catch (error) {
+      // Another request started a timer in the meantime
+      if (error.code !== 11000) throw error;
+      throw new ValidationError("A timer is already running");
+    }
+
+    successResponse(res, HTTP_STATUS.CREATED, "Timer started", {
+      entry: await populateEntry(TimeEntry.findById(entry._id)),
+      stopped,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Stop my running timer on a task
+// @route   POST /api/tasks/:id/time/stop
+// @access  Private (whoever started the timer, even after losing access to
+//          the task)
+const stopTimer = async (req, res, next) => {
+  try {
+    const running = await TimeEntry.findOne({
+      taskId: req.params.id,
+      userId: req.user._id,
+      endedAt: null,
+    });
+    if (!running) {
+      throw new NotFoundError("No timer is running on this task");
+    }
+    await endTimer(running);
+
+    successResponse(res, HTTP_STATUS.OK, "Timer stopped", {
+      entry: await populateEntry(TimeEntry.findById(running._id)),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Log time on a task by hand
+// @route   POST /api/tasks/:id/time
+// @access  Private (Admin/Manager or an assignee)
+const logTime = async (req, res, next) => {
+  try {
+    const { minutes, note = "" } = req.body;
+
+    const task = await findLoggableTask(req.user, req.params.id);
+
+    // Without a start the time ends now
+    const startedAt = req.body.startedAt
+      ? new Date(req.body.startedAt)
+      : new Date(Date.now() - minutes * MINUTE_MS);
+    const endedAt = new Date(startedAt.getTime() + minutes * MINUTE_MS);
+    assertInPast(endedAt);
+
+    const entry = await TimeEntry.create({
+      taskId: task._id,
+      projectId: task.projectId._id,
+      taskTitle: task.title,
+      userId: req.user._id,
+      source: TIME_ENTRY_SOURCES.MANUAL,
+      startedAt,
+      endedAt,
+      minutes,
+      note,
+      loggedAt: new Date(),
+    });
+
+    successResponse(res, HTTP_STATUS.CREATED, "Time logged successfully", {
+      entry: await populateEntry(TimeEntry.findById(entry._id)),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change the note, start or length of my time entry
+// @route   PUT /api/tasks/:id/time/:entryId
+// @access  Private (the entry's owner, within the edit window)
+const updateTimeEntry = async (req, res, next) => {
+  try {
+    const { note, startedAt, minutes } = req.body;
+
+    const task = await findReadableTask(req.user, req.params.id);
+    const entry = await findTaskEntry(task, req.params.entryId);
+    assertEntryEditable(entry, req.user);
+    assertProjectWritable(task.projectId);
+
+    const running = !entry.endedAt;
+    if (running && minutes !== undefined) {
+      throw new ValidationError("Stop the timer before changing its length");
+    }
+
+    if (note !== undefined) entry.note = note;
+    if (startedAt !== undefined) entry.startedAt = new Date(startedAt);
+    if (minutes !== undefined) entry.minutes = minutes;
+    if (running) {
+      assertInPast(entry.startedAt);
+    } else {
+      entry.endedAt = new Date(entry.startedAt.getTime() + entry.minutes * MINUTE_MS);
+      assertInPast(entry.endedAt);
+    }
+    await entry.save();
+
+    successResponse(res, HTTP_STATUS.OK, "Time entry updated successfully", {
+      entry: await populateEntry(TimeEntry.findById(entry._id)),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete my time entry (or discard my running timer)
+// @route   DELETE /api/tasks/:id/time/:entryId
+// @access  Private (the entry's owner, within the edit window)
+const deleteTimeEntry = async (req, res, next) => {
+  try {
+    const task = await findReadableTask(req.user, req.params.id);
+    const entry = await findTaskEntry(task, req.params.entryId);
+    assertEntryEditable(entry, req.user);
+    assertProjectWritable(task.projectId);
+
+    await entry.deleteOne();
+
+    successResponse(res, HTTP_STATUS.OK, "Time entry deleted successfully", null);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    My running timer, if any
+// @route   GET /api/time/current
+// @access  Private
+const getCurrentTimer = async (req, res, next) => {
+  try {
+    const entry = await populateEntry(
+      TimeEntry.findOne({ userId: req.user._id, endedAt: null })
+    );
+
+    successResponse(res, HTTP_STATUS.OK, "Current timer retrieved successfully", {
+      entry,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Timesheet report: time per user, project, task and/or day
+// @route   GET /api/time/report?from=&to=&projectId=&userId=&groupBy=&timezone=&format=
+// @access  Private (Admin/Manager see everyone's time, others their own)
+const getTimesheetReport = async (req, res, next) => {
+  try {
+    const { projectId, userId, groupBy = "user,project", timezone, format } =
+      req.query;
+
+    // From `from` up to (not including) `to`, by default up to now
+    const from = new Date(req.query.from);
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    if (to - from > MAX_REPORT_DAYS * 24 * 60 * MINUTE_MS) {
+      throw new ValidationError(
+        `A report cannot cover more than ${MAX_REPORT_DAYS} days`
+      );
+    }
+
+    const report = await timesheetReport(req.user, {
+      from,
+      to,
+      projectId,
+      userId,
+      groupBy: [...new Set(groupBy.split(","))],
+      timezone: timezone || req.user.timezone || "UTC",
+    });
+
+    if (format === "csv") {
+      const day = (date) => date.toISOString().slice(0, 10);
+      res.attachment(`timesheet-${day(from)}-${day(to)}.csv`);
+      return res.type("text/csv").status(HTTP_STATUS.OK).send(timesheetCsv(report));
+    }
+
+    successResponse(res, HTTP_STATUS.OK, "Timesheet retrieved successfully", report);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTaskTime,
+  startTimer,
+  stopTimer,
+  logTime,
+  updateTimeEntry,
+  deleteTimeEntry,
+  getCurrentTimer,
+  getTimesheetReport,
+};
@@ -0,0 +1,213 @@
+const User = require("../models/User");
+const Team = require("../models/Team");
+const Membership = require("../models/Membership");
+const { successResponse } = require("../utils/responseHandler");
+const {
+  UnauthorizedError,
+  ValidationError,
+  ForbiddenError,
+} = require("../utils/errorTypes");
+const {
+  generateSecret,
+  matchCode,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  verifySecondFactor,
+} = require("../utils/twoFactor");
+const { recordAuthEvent } = require("../utils/loginGuard");
+const { HTTP_STATUS, AUTH_EVENTS } = require("../config/constants");
+
+// Teams of the user that require two-factor authentication
+const findEnforcingTeams = async (userId) => {
+  const teamIds = await Membership.find({ userId }).distinct("teamId");
+  return Team.find({ _id: { $in: teamIds }, requireTwoFactor: true }).select(
+    "name"
+  );
+};
+
+// @desc    Two-factor status of the current user
+// @route   GET /api/auth/2fa
+// @access  Private
+const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      "+twoFactorRecoveryCodes"
+    );
+    const requiredBy = await findEnforcingTeams(user._id);
+
+    successResponse(res, HTTP_STATUS.OK, "Two-factor status retrieved", {
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      recoveryCodesRemaining: user.twoFactorEnabled
+        ? user.twoFactorRecoveryCodes.length
+        : 0,
+      requiredBy,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start enrollment: generate a secret for the authenticator app
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      throw new ValidationError("Two-factor authentication is already enabled");
+    }
+
+    const secret = generateSecret();
+    await User.updateOne(
+      { _id: req.user._id },
+      { twoFactorSecret: secret, twoFactorLastStep: null }
+    );
+
+    successResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Scan the QR code or enter the secret in your authenticator app, then confirm with a code",
+      {
+        secret,
+        otpauthUrl: buildOtpauthUrl(secret, req.user.email),
+      }
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Finish enrollment with a code from the authenticator app
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select("+twoFactorSecret");
+    if (user.twoFactorEnabled) {
+      throw new ValidationError("Two-factor authentication is already enabled");
+    }
+    if (!user.twoFactorSecret) {
+      throw new ValidationError("Start two-factor setup first");
+    }
+
+    const step = matchCode(user.twoFactorSecret, req.body.code);
+    if (step === null) {
+      throw new UnauthorizedError("Invalid authentication code");
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        twoFactorLastStep: step,
+        twoFactorRecoveryCodes: hashes,
+      }
+    );
+    await recordAuthEvent(AUTH_EVENTS.TWO_FACTOR_ENABLED, {
+      user,
+      actor: user,
+      req,
+    });
+
+    successResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Two-factor authentication enabled. Store the recovery codes somewhere safe, they will not be shown again",
+      { recoveryCodes: codes }
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Turn two-factor authentication off
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user._id).select("+password");
+    if (!user.twoFactorEnabled) {
+      throw new ValidationError("Two-factor authentication is not enabled");
+    }
+
+    const requiredBy = await findEnforcingTeams(user._id);
+    if (requiredBy.length > 0) {
+      throw new ForbiddenError(
+        `Two-factor authentication is required by ${requiredBy
+          .map((team) => team.name)
+          .join(", ")}`
+      );
+    }
+
+    if (!(await user.comparePassword(password))) {
+      throw new UnauthorizedError("Current password is incorrect");
+    }
+    if (!(await verifySecondFactor(user._id, { code, recoveryCode }))) {
+      throw new UnauthorizedError("Invalid authentication code");
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        twoFactorEnabled: false,
+        twoFactorEnabledAt: null,
+        twoFactorSecret: null,
+        twoFactorLastStep: null,
+        twoFactorRecoveryCodes: [],
+      }
+    );
+    await recordAuthEvent(AUTH_EVENTS.TWO_FACTOR_DISABLED, {
+      user,
+      actor: user,
+      req,
+    });
+
+    successResponse(
+      res,
+      HTTP_STATUS.OK,
+      "Two-factor authentication disabled",
+      null
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Replace the recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    if (!req.user.twoFactorEnabled) {
+      throw new ValidationError("Two-factor authentication is not enabled");
+    }
+
+    if (!(await verifySecondFactor(req.user._id, { code: req.body.code }))) {
+      throw new UnauthorizedError("Invalid authentication code");
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: req.user._id },
+      { twoFactorRecoveryCodes: hashes }
+    );
+
+    successResponse(res, HTTP_STATUS.OK, "Recovery codes regenerated", {
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
@@ -0,0 +1,55 @@
+const Task = require("../models/Task");
+const { successResponse } = require("../utils/responseHandler");
+const { findReadableTask } = require("../utils/policy");
+const { HTTP_STATUS } = require("../config/constants");
+
+// Add or remove the user in the task's watchers
+const setWatching = async (req, res, watching) => {
+  const task = await findReadableTask(req.user, req.params.id);
+
+  const updated = await Task.findByIdAndUpdate(
+    task._id,
+    watching
+      ? { $addToSet: { watchers: req.user._id } }
+      : { $pull: { watchers: req.user._id } },
+    { new: true }
+  );
+
+  successResponse(
+    res,
+    HTTP_STATUS.OK,
+    watching ? "You are now watching this task" : "You stopped watching this task",
+    {
+      taskId: updated._id,
+      watching,
+      watcherCount: updated.watchers.length,
+    }
+  );
+};
+
+// @desc    Watch a task: get notified about its changes and comments
+// @route   POST /api/tasks/:id/watch
+// @access  Private (anyone who can read the task)
+const watchTask = async (req, res, next) => {
+  try {
+    await setWatching(req, res, true);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Stop watching a task
+// @route   DELETE /api/tasks/:id/watch
+// @access  Private (anyone who can read the task)
+const unwatchTask = async (req, res, next) => {
+  try {
+    await setWatching(req, res, false);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  watchTask,
+  unwatchTask,
+};
@@ -1,6 +1,23 @@
-const jwt = require("jsonwebtoken");
-const User = require("../models/User");
-const { UnauthorizedError } = require("../utils/errorTypes");
+const { verifyAccessToken } = require("../utils/sessionManager");
+const {
+  isPersonalAccessToken,
+  verifyPersonalAccessToken,
+} = require("../utils/accessTokens");
+const { resolveActiveTeam } = require("../utils/membership");
+const { UnauthorizedError, ForbiddenError } = require("../utils/errorTypes");
+
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Let personal access tokens reach the following routes. Reads need the
+ * `<resource>:read` scope, anything else `<resource>:write`.
+ * Must run before `protect`; routes without it only accept session tokens.
+ */
+const allowTokenScope = (resource) => (req, res, next) => {
+  const access = READ_METHODS.includes(req.method) ? "read" : "write";
+  req.requiredScope = `${resource}:${access}`;
+  next();
+};
 
 const protect = async (req, res, next) => {
   try {
@@ -18,16 +35,36 @@ const protect = async (req, res, next) => {
       throw new UnauthorizedError("No token provided, authorization denied");
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    let user;
+    if (isPersonalAccessToken(token)) {
+      if (!req.requiredScope) {
+        throw new ForbiddenError(
+          "Personal access tokens cannot be used for this endpoint"
+        );
+      }
 
-    // Get user from token
-    const user = await User.findById(decoded.id).select("-password");
+      const result = await verifyPersonalAccessToken(token, req);
+      if (!result.accessToken.hasScope(req.requiredScope)) {
+        throw new ForbiddenError(
+          `Access token is missing the ${req.requiredScope} scope`
+        );
+      }
 
-    if (!user) {
-      throw new UnauthorizedError("User not found");
+      user = result.user;
+      req.accessToken = result.accessToken;
+      req.authSession = null;
+    } else {
+      // Verify token and its server-side session
+      const result = await verifyAccessToken(token);
+
+      user = result.user;
+      req.accessToken = null;
+      req.authSession = result.session;
     }
 
+    // Active team (optionally switched per request) and the role held in it
+    req.membership = await resolveActiveTeam(user, req.headers["x-team-id"]);
+
     req.user = user;
     next();
   } catch (error) {
@@ -41,4 +78,4 @@ const protect = async (req, res, next) => {
   }
 };
 
-module.exports = { protect };
+module.exports = { protect, allowTokenScope };
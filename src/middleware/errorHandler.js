@@ -25,12 +25,20 @@ const errorHandler = (err, req, res, next) => {
     message = `Invalid ${err.path}: ${err.value}`;
   }
 
+  // Tell throttled clients when to retry
+  if (err.retryAfter) {
+    res.set("Retry-After", String(err.retryAfter));
+  }
+
   // Log error in development
   if (process.env.NODE_ENV === "development") {
     console.error("Error:", err);
   }
 
-  return errorResponse(res, statusCode, message);
+  // Machine-readable codes from our own errors (not Mongo's numeric codes)
+  const code = err.isOperational && typeof err.code === "string" ? err.code : null;
+
+  return errorResponse(res, statusCode, message, null, code);
 };
 
 module.exports = errorHandler;
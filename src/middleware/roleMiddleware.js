@@ -1,20 +1,22 @@
 const { ForbiddenError } = require("../utils/errorTypes");
-const { ROLES } = require("../config/constants");
+const { assertCan } = require("../utils/policy");
 
-const authorize = (...allowedRoles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return next(new ForbiddenError("User not authenticated"));
-    }
+// Checks a policy action (see config/permissions.js) against the team named
+// by `req.params.teamId`, or the user's active team when the route has none
+const authorize = (action, message = null) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        throw new ForbiddenError("User not authenticated");
+      }
 
-    if (!allowedRoles.includes(req.user.role)) {
-      return next(
-        new ForbiddenError("You do not have permission to perform this action")
-      );
+      const teamId = req.params.teamId || req.user.teamId;
+      await assertCan(req.user, action, teamId ? { teamId } : null, message);
+      next();
+    } catch (error) {
+      next(error);
     }
-
-    next();
   };
 };
 
-module.exports = { authorize, ROLES };
+module.exports = { authorize };
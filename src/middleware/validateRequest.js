@@ -1,8 +1,9 @@
 const { ValidationError } = require("../utils/errorTypes");
 
-const validateRequest = (schema) => {
+// Validates req.body by default; pass "query" to validate query parameters
+const validateRequest = (schema, source = "body") => {
   return (req, res, next) => {
-    const { error } = schema.validate(req.body, {
+    const { error } = schema.validate(req[source], {
       abortEarly: false,
       stripUnknown: true,
     });
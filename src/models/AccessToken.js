@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+const { TOKEN_SCOPES } = require("../config/constants");
+
+// Personal access token for scripts and integrations; only its hash is stored
+const accessTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Token name is required"],
+      trim: true,
+    },
+    tokenHash: {
+      type: String,
+      required: [true, "Token is required"],
+      unique: true,
+      select: false,
+    },
+    // First characters of the token, to help users recognise it
+    tokenPrefix: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: Object.values(TOKEN_SCOPES),
+        },
+      ],
+      default: [],
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry is required"],
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+accessTokenSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+accessTokenSchema.methods.hasScope = function (scope) {
+  return this.scopes.includes(scope);
+};
+
+accessTokenSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("AccessToken", accessTokenSchema);
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+const { AUTH_EVENTS } = require("../config/constants");
+
+const authEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.values(AUTH_EVENTS),
+      required: [true, "Event type is required"],
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null,
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("AuthEvent", authEventSchema);
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+const commentSchema = new mongoose.Schema(
+  {
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: [true, "Task is required"],
+    },
+    // Null once the author has deleted their account
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    authorDeletedAt: {
+      type: Date,
+      default: null,
+    },
+    content: {
+      type: String,
+      required: [true, "Comment content is required"],
+      trim: true,
+    },
+    // Team members mentioned with @name who can see the task
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+commentSchema.index({ taskId: 1, createdAt: 1 });
+
+module.exports = mongoose.model("Comment", commentSchema);
@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+const { ROLES } = require("../config/constants");
+
+const invitationSchema = new mongoose.Schema(
+  {
+    teamId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Team",
+      required: [true, "Team is required"],
+      index: true,
+    },
+    // Null for shareable codes that anyone can redeem
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null,
+    },
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    role: {
+      type: String,
+      enum: Object.values(ROLES),
+      default: ROLES.MEMBER,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Inviter is required"],
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry is required"],
+    },
+    maxUses: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    uses: {
+      type: Number,
+      default: 0,
+    },
+    acceptedBy: [
+      {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        acceptedAt: { type: Date, default: Date.now },
+      },
+    ],
+    declinedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+  }
+);
+
+invitationSchema.virtual("status").get(function () {
+  if (this.revokedAt) return "revoked";
+  if (this.declinedAt) return "declined";
+  if (this.uses >= this.maxUses) return "used";
+  if (this.expiresAt <= new Date()) return "expired";
+  return "pending";
+});
+
+invitationSchema.methods.isUsable = function () {
+  return this.status === "pending";
+};
+
+module.exports = mongoose.model("Invitation", invitationSchema);
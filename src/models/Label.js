@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// Label names are unique within a project regardless of case
+const NAME_COLLATION = { locale: "en", strength: 2 };
+
+const labelSchema = new mongoose.Schema(
+  {
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: [true, "Project is required"],
+    },
+    name: {
+      type: String,
+      required: [true, "Label name is required"],
+      trim: true,
+    },
+    color: {
+      type: String,
+      default: "#94a3b8",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+labelSchema.index(
+  { projectId: 1, name: 1 },
+  { unique: true, collation: NAME_COLLATION }
+);
+
+// Labels of the given projects with one of `names`, ignoring case
+labelSchema.statics.findByNames = function (projectIds, names) {
+  return this.find({
+    projectId: { $in: projectIds },
+    name: { $in: names },
+  }).collation(NAME_COLLATION);
+};
+
+module.exports = mongoose.model("Label", labelSchema);
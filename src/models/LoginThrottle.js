@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// Failed login bookkeeping, keyed by "account:<email>" or "ip:<address>"
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastFailureAt: {
+      type: Date,
+      default: null,
+    },
+    // Exponential backoff: no attempts accepted before this time
+    blockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // Temporary account lockout
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginThrottle", loginThrottleSchema);
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+const { ROLES } = require("../config/constants");
+
+const membershipSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    teamId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Team",
+      required: [true, "Team is required"],
+      index: true,
+    },
+    role: {
+      type: String,
+      enum: Object.values(ROLES),
+      default: ROLES.MEMBER,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+membershipSchema.index({ userId: 1, teamId: 1 }, { unique: true });
+
+module.exports = mongoose.model("Membership", membershipSchema);
@@ -7,10 +7,15 @@ const messageSchema = new mongoose.Schema(
       required: [true, "Message content is required"],
       trim: true,
     },
+    // Null once the sender has deleted their account
     senderId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: [true, "Sender is required"],
+      default: null,
+    },
+    senderDeletedAt: {
+      type: Date,
+      default: null,
     },
     teamId: {
       type: mongoose.Schema.Types.ObjectId,
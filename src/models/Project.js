@@ -1,4 +1,58 @@
 const mongoose = require("mongoose");
+const {
+  ROLES,
+  PROJECT_ROLES,
+  PROJECT_VISIBILITY,
+  STATUS_CATEGORIES,
+  OPEN_SUBTASK_POLICIES,
+} = require("../config/constants");
+
+const workflowStatusSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    category: {
+      type: String,
+      enum: Object.values(STATUS_CATEGORIES),
+      required: true,
+    },
+    color: {
+      type: String,
+      default: "#94a3b8",
+    },
+  },
+  { _id: false }
+);
+
+// A task may move `from` a status (or "*" for any) `to` another; when
+// `roles` is not empty only users with one of those project roles may
+const workflowTransitionSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      required: true,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    roles: [
+      {
+        type: String,
+        enum: [...new Set([...Object.values(ROLES), ...Object.values(PROJECT_ROLES)])],
+      },
+    ],
+  },
+  { _id: false }
+);
 
 const projectSchema = new mongoose.Schema(
   {
@@ -16,10 +70,62 @@ const projectSchema = new mongoose.Schema(
       ref: "Team",
       required: [true, "Team is required"],
     },
+    // "team": every team member can see it; "private": only team admins
+    // and the listed members
+    visibility: {
+      type: String,
+      enum: Object.values(PROJECT_VISIBILITY),
+      default: PROJECT_VISIBILITY.TEAM,
+    },
+    // Explicit members with a project role (see PROJECT_ROLES). On team
+    // projects a project role can only raise the member's team role.
+    members: [
+      {
+        _id: false,
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: Object.values(PROJECT_ROLES),
+          default: PROJECT_ROLES.MEMBER,
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Ordered statuses and transition rules; projects without statuses use
+    // DEFAULT_WORKFLOW
+    workflow: {
+      statuses: [workflowStatusSchema],
+      transitions: [workflowTransitionSchema],
+    },
+    // Whether completing a task with open subtasks only warns or is refused
+    openSubtasks: {
+      type: String,
+      enum: Object.values(OPEN_SUBTASK_POLICIES),
+      default: OPEN_SUBTASK_POLICIES.WARN,
+    },
+    // Archived projects are hidden by default and read-only until restored
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+    archivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+projectSchema.index({ "members.userId": 1 });
+
 module.exports = mongoose.model("Project", projectSchema);
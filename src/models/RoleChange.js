@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+const { ROLES } = require("../config/constants");
+
+const roleChangeSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+      index: true,
+    },
+    teamId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Team",
+      required: [true, "Team is required"],
+      index: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Actor is required"],
+    },
+    fromRole: {
+      type: String,
+      enum: Object.values(ROLES),
+      required: true,
+    },
+    toRole: {
+      type: String,
+      enum: Object.values(ROLES),
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("RoleChange", roleChangeSchema);
@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+const { JOB_TYPES, JOB_STATUS } = require("../config/constants");
+
+// Background jobs of the scheduler. They live in MongoDB so they survive
+// restarts, and a job is claimed atomically (status + lock) so only one
+// server instance runs it.
+const scheduledJobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.values(JOB_TYPES),
+      required: [true, "Job type is required"],
+    },
+    // One job per key, e.g. "task-reminder:<taskId>"; scheduling the same
+    // key again moves the existing job
+    key: {
+      type: String,
+      required: [true, "Job key is required"],
+      unique: true,
+    },
+    // Document the job is about (e.g. the task), so its jobs can be dropped
+    // together with it
+    subjectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+      index: true,
+    },
+    runAt: {
+      type: Date,
+      required: [true, "Run time is required"],
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: Object.values(JOB_STATUS),
+      default: JOB_STATUS.PENDING,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Instance running the job and until when; jobs of crashed instances
+    // are picked up again once the lock expires
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+scheduledJobSchema.index({ status: 1, runAt: 1 });
+// Finished jobs are kept for a week
+scheduledJobSchema.index(
+  { finishedAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("ScheduledJob", scheduledJobSchema);
@@ -1,5 +1,25 @@
 const mongoose = require("mongoose");
-const { TASK_STATUS } = require("../config/constants");
+const {
+  TASK_STATUS,
+  STATUS_CATEGORIES,
+  TASK_PRIORITIES,
+} = require("../config/constants");
+
+const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, "Checklist item text is required"],
+    trim: true,
+  },
+  done: {
+    type: Boolean,
+    default: false,
+  },
+  doneAt: {
+    type: Date,
+    default: null,
+  },
+});
 
 const taskSchema = new mongoose.Schema(
   {
@@ -12,19 +32,92 @@ const taskSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Key of a status in the project's workflow (see utils/workflows)
     status: {
       type: String,
-      enum: Object.values(TASK_STATUS),
+      trim: true,
       default: TASK_STATUS.TODO,
     },
+    // Category of that status, kept in sync when the status or the
+    // workflow changes so "open" and "done" tasks can be queried directly
+    statusCategory: {
+      type: String,
+      enum: Object.values(STATUS_CATEGORIES),
+      default: STATUS_CATEGORIES.NOT_STARTED,
+    },
     projectId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Project",
       required: [true, "Project is required"],
     },
-    assignedTo: {
+    assignees: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Users who follow the task's changes (see utils/watchers.js)
+    watchers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Subtasks point to their parent; `ancestors` holds the whole path from
+    // the top-level task down to the parent (see utils/subtasks.js)
+    parentId: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: "User",
+      ref: "Task",
+      default: null,
+    },
+    ancestors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Task",
+      },
+    ],
+    checklist: [checklistItemSchema],
+    // Labels of the task's project
+    labels: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Label",
+      },
+    ],
+    // Position on the board: tasks of a status column are ordered by rank
+    // (see utils/ranking.js); unique within the project
+    rank: {
+      type: String,
+      default: null,
+    },
+    priority: {
+      type: String,
+      enum: Object.values(TASK_PRIORITIES),
+      default: TASK_PRIORITIES.MEDIUM,
+    },
+    // Original estimate of the effort, compared with the time logged on
+    // the task (see models/TimeEntry.js)
+    estimateMinutes: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    startDate: {
+      type: Date,
+      default: null,
+    },
+    dueDate: {
+      type: Date,
+      default: null,
+    },
+    // Set by the reminder jobs once the assignees were reminded / the task was
+    // flagged overdue; cleared when the due date changes
+    remindedAt: {
+      type: Date,
+      default: null,
+    },
+    overdueAt: {
+      type: Date,
       default: null,
     },
   },
@@ -33,4 +126,22 @@ const taskSchema = new mongoose.Schema(
   }
 );
 
+taskSchema.index({ projectId: 1, dueDate: 1 });
+taskSchema.index({ projectId: 1, status: 1 });
+taskSchema.index({ projectId: 1, createdAt: -1 });
+taskSchema.index({ projectId: 1, startDate: 1 });
+taskSchema.index({ projectId: 1, updatedAt: -1 });
+taskSchema.index({ assignees: 1 });
+taskSchema.index({ ancestors: 1 });
+taskSchema.index({ labels: 1 });
+taskSchema.index(
+  { projectId: 1, rank: 1 },
+  { unique: true, partialFilterExpression: { rank: { $type: "string" } } }
+);
+// ?search= on the task lists; title words count more than description ones
+taskSchema.index(
+  { title: "text", description: "text" },
+  { weights: { title: 3, description: 1 }, name: "task_text_search" }
+);
+
 module.exports = mongoose.model("Task", taskSchema);
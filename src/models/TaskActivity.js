@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+const {
+  ACTIVITY_ACTIONS,
+  ACTIVITY_SOURCES,
+} = require("../config/constants");
+
+// Append-only log of task changes: who changed which fields of a task, from
+// where and when. Entries are never edited (only the actor is cleared when
+// their account is deleted) and are removed together with their project.
+const taskActivitySchema = new mongoose.Schema(
+  {
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: [true, "Task is required"],
+    },
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: [true, "Project is required"],
+    },
+    // Title at the time, so entries of deleted tasks still make sense
+    taskTitle: {
+      type: String,
+      default: null,
+    },
+    // Null once the actor has deleted their account
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    source: {
+      type: String,
+      enum: Object.values(ACTIVITY_SOURCES),
+      required: [true, "Source is required"],
+    },
+    action: {
+      type: String,
+      enum: Object.values(ACTIVITY_ACTIONS),
+      required: [true, "Action is required"],
+    },
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        from: { type: mongoose.Schema.Types.Mixed, default: null },
+        to: { type: mongoose.Schema.Types.Mixed, default: null },
+      },
+    ],
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+taskActivitySchema.index({ taskId: 1, createdAt: -1 });
+taskActivitySchema.index({ projectId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("TaskActivity", taskActivitySchema);
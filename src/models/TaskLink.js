@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+const { TASK_LINK_TYPES } = require("../config/constants");
+
+// A link between two tasks of the same project. For "blocked-by" links
+// `taskId` is blocked by `linkedTaskId`; "relates-to" links go both ways.
+const taskLinkSchema = new mongoose.Schema(
+  {
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: [true, "Project is required"],
+    },
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: [true, "Task is required"],
+    },
+    linkedTaskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: [true, "Linked task is required"],
+    },
+    type: {
+      type: String,
+      enum: Object.values(TASK_LINK_TYPES),
+      required: [true, "Link type is required"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+taskLinkSchema.index({ taskId: 1, linkedTaskId: 1, type: 1 }, { unique: true });
+taskLinkSchema.index({ linkedTaskId: 1, type: 1 });
+taskLinkSchema.index({ projectId: 1 });
+
+module.exports = mongoose.model("TaskLink", taskLinkSchema);
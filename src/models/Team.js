@@ -16,6 +16,11 @@ const teamSchema = new mongoose.Schema(
       ref: "User",
       required: [true, "Admin is required"],
     },
+    // Members must have two-factor authentication enabled to act in the team
+    requireTwoFactor: {
+      type: Boolean,
+      default: false,
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+const { TIME_ENTRY_SOURCES } = require("../config/constants");
+
+// Time spent on a task, logged manually or with a timer. A running timer is
+// an entry without `endedAt`; each user runs at most one. Entries stay in
+// the timesheets after their task is deleted, until the project is.
+const timeEntrySchema = new mongoose.Schema(
+  {
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: [true, "Task is required"],
+    },
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: [true, "Project is required"],
+    },
+    // Title at the time, so entries of deleted tasks still make sense
+    taskTitle: {
+      type: String,
+      default: null,
+    },
+    // Null once the user has deleted their account
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    source: {
+      type: String,
+      enum: Object.values(TIME_ENTRY_SOURCES),
+      required: [true, "Source is required"],
+    },
+    startedAt: {
+      type: Date,
+      required: [true, "Start time is required"],
+    },
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+    // Whole minutes, set once the entry has ended
+    minutes: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    // When the time was logged (timer stopped or manual entry saved); the
+    // owner may edit the entry for a while after that
+    loggedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+timeEntrySchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { endedAt: { $type: "null" } } }
+);
+timeEntrySchema.index({ taskId: 1, startedAt: -1 });
+timeEntrySchema.index({ projectId: 1, startedAt: 1 });
+
+module.exports = mongoose.model("TimeEntry", timeEntrySchema);
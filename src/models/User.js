@@ -1,6 +1,5 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
-const { ROLES } = require("../config/constants");
 
 const userSchema = new mongoose.Schema(
   {
@@ -17,17 +16,83 @@ const userSchema = new mongoose.Schema(
       required: [true, "Name is required"],
       trim: true,
     },
+    avatarUrl: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // IANA time zone, e.g. "Europe/Berlin"
+    timezone: {
+      type: String,
+      default: "UTC",
+    },
+    locale: {
+      type: String,
+      default: "en",
+    },
     password: {
       type: String,
       required: [true, "Password is required"],
       minlength: 6,
       select: false,
     },
-    role: {
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // New address the user asked for; it replaces `email` once verified
+    pendingEmail: {
       type: String,
-      enum: Object.values(ROLES),
-      default: ROLES.MEMBER,
+      lowercase: true,
+      trim: true,
+      default: null,
     },
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
+    // TOTP two-factor authentication; the secret is stored while enrolling
+    // and only takes effect once twoFactorEnabled is set
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorEnabledAt: {
+      type: Date,
+      default: null,
+    },
+    twoFactorSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // Last accepted time step, so a code cannot be used twice
+    twoFactorLastStep: {
+      type: Number,
+      default: null,
+      select: false,
+    },
+    // Hashes of the unused recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    // Deactivated accounts cannot log in or use existing sessions
+    deactivatedAt: {
+      type: Date,
+      default: null,
+    },
+    deactivatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Active team; roles live on the user's memberships (see Membership)
     teamId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Team",
@@ -39,12 +104,25 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+// Role in the active team, resolved per request from the user's membership
+userSchema
+  .virtual("role")
+  .get(function () {
+    return this.$locals.role || null;
+  })
+  .set(function (role) {
+    this.$locals.role = role;
+  });
+
 // Hash password before saving
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
 
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
   next();
 });
 
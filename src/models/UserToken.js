@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+const { USER_TOKEN_TYPES } = require("../config/constants");
+
+// Single-use tokens e-mailed to users (password reset, email verification);
+// only the hash of the token is stored
+const userTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(USER_TOKEN_TYPES),
+      required: [true, "Token type is required"],
+    },
+    tokenHash: {
+      type: String,
+      required: [true, "Token is required"],
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry is required"],
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("UserToken", userTokenSchema);
@@ -1,15 +1,121 @@
 const express = require("express");
 const router = express.Router();
-const { register, login, getMe } = require("../controllers/authController");
-const { registerSchema, loginSchema } = require("../validators/authValidator");
+const {
+  register,
+  login,
+  verifyTwoFactorLogin,
+  getMe,
+  updateProfile,
+  deleteMe,
+  getPermissions,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeUserSession,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerification,
+} = require("../controllers/authController");
+const {
+  createToken,
+  getTokens,
+  revokeToken,
+} = require("../controllers/accessTokenController");
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} = require("../controllers/twoFactorController");
+const {
+  registerSchema,
+  loginSchema,
+  refreshSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  changePasswordSchema,
+  verifyEmailSchema,
+  createAccessTokenSchema,
+  twoFactorCodeSchema,
+  verifyTwoFactorSchema,
+  disableTwoFactorSchema,
+  updateProfileSchema,
+  deleteAccountSchema,
+} = require("../validators/authValidator");
 const { validateRequest } = require("../middleware/validateRequest");
 const { protect } = require("../middleware/authMiddleware");
 
 // Public routes
 router.post("/register", validateRequest(registerSchema), register);
 router.post("/login", validateRequest(loginSchema), login);
+router.post(
+  "/2fa/verify",
+  validateRequest(verifyTwoFactorSchema),
+  verifyTwoFactorLogin
+);
+router.post("/refresh", validateRequest(refreshSchema), refresh);
+router.post(
+  "/forgot-password",
+  validateRequest(forgotPasswordSchema),
+  forgotPassword
+);
+router.post(
+  "/reset-password",
+  validateRequest(resetPasswordSchema),
+  resetPassword
+);
+router.post("/verify-email", validateRequest(verifyEmailSchema), verifyEmail);
 
 // Protected routes
-router.get("/me", protect, getMe);
+router
+  .route("/me")
+  .get(protect, getMe)
+  .put(protect, validateRequest(updateProfileSchema), updateProfile)
+  .delete(protect, validateRequest(deleteAccountSchema), deleteMe);
+router.get("/permissions", protect, getPermissions);
+router.post("/logout", protect, logout);
+router.post("/logout-all", protect, logoutAll);
+router.get("/sessions", protect, getSessions);
+router.delete("/sessions/:id", protect, revokeUserSession);
+router.put(
+  "/password",
+  protect,
+  validateRequest(changePasswordSchema),
+  changePassword
+);
+router.post("/resend-verification", protect, resendVerification);
+
+// Personal access tokens
+router
+  .route("/tokens")
+  .get(protect, getTokens)
+  .post(protect, validateRequest(createAccessTokenSchema), createToken);
+router.delete("/tokens/:id", protect, revokeToken);
+
+// Two-factor authentication
+router.get("/2fa", protect, getTwoFactorStatus);
+router.post("/2fa/setup", protect, setupTwoFactor);
+router.post(
+  "/2fa/enable",
+  protect,
+  validateRequest(twoFactorCodeSchema),
+  enableTwoFactor
+);
+router.post(
+  "/2fa/disable",
+  protect,
+  validateRequest(disableTwoFactorSchema),
+  disableTwoFactor
+);
+router.post(
+  "/2fa/recovery-codes",
+  protect,
+  validateRequest(twoFactorCodeSchema),
+  regenerateRecoveryCodes
+);
 
 module.exports = router;
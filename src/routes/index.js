@@ -6,6 +6,8 @@ const projectRoutes = require("./projectRoutes");
 const taskRoutes = require("./taskRoutes");
 const messageRoutes = require("./messageRoutes");
 const teamRoutes = require("./teamRoutes");
+const invitationRoutes = require("./invitationRoutes");
+const timeRoutes = require("./timeRoutes");
 
 // Mount routes
 router.use("/auth", authRoutes);
@@ -13,6 +15,8 @@ router.use("/projects", projectRoutes);
 router.use("/tasks", taskRoutes);
 router.use("/messages", messageRoutes);
 router.use("/teams", teamRoutes);
+router.use("/invitations", invitationRoutes);
+router.use("/time", timeRoutes);
 
 // Health check endpoint
 router.get("/health", (req, res) => {
@@ -0,0 +1,19 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getMyInvitations,
+  getInvitation,
+  acceptInvitation,
+  declineInvitation,
+} = require("../controllers/invitationController");
+const { protect } = require("../middleware/authMiddleware");
+
+// All routes are protected
+router.use(protect);
+
+router.get("/", getMyInvitations);
+router.get("/:code", getInvitation);
+router.post("/:code/accept", acceptInvitation);
+router.post("/:code/decline", declineInvitation);
+
+module.exports = router;
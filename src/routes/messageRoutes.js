@@ -6,10 +6,13 @@ const {
 } = require("../controllers/messageController");
 const { sendMessageSchema } = require("../validators/messageValidator");
 const { validateRequest } = require("../middleware/validateRequest");
-const { protect } = require("../middleware/authMiddleware");
+const {
+  protect,
+  allowTokenScope,
+} = require("../middleware/authMiddleware");
 
-// All routes are protected
-router.use(protect);
+// All routes are protected; personal access tokens need a messages:* scope
+router.use(allowTokenScope("messages"), protect);
 
 router
   .route("/")
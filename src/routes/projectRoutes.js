@@ -4,35 +4,78 @@ const {
   getProjects,
   createProject,
   updateProject,
+  archiveProject,
+  restoreProject,
   deleteProject,
+  getProjectMembers,
+  setProjectMember,
+  removeProjectMember,
+  getProjectWorkflow,
+  updateProjectWorkflow,
 } = require("../controllers/projectController");
+const { getProjectActivity } = require("../controllers/activityController");
+const {
+  getProjectDependencies,
+} = require("../controllers/dependencyController");
+const {
+  getLabels,
+  createLabel,
+  updateLabel,
+  deleteLabel,
+} = require("../controllers/labelController");
 const {
   createProjectSchema,
   updateProjectSchema,
+  projectMemberSchema,
+  workflowSchema,
+  labelSchema,
+  updateLabelSchema,
 } = require("../validators/projectValidator");
 const { validateRequest } = require("../middleware/validateRequest");
-const { protect } = require("../middleware/authMiddleware");
-const { authorize, ROLES } = require("../middleware/roleMiddleware");
+const {
+  protect,
+  allowTokenScope,
+} = require("../middleware/authMiddleware");
 
-// All routes are protected
-router.use(protect);
+// All routes are protected (personal access tokens need a projects:* scope);
+// roles are checked against the project's team in the controllers since a
+// user may hold different roles in each team
+router.use(allowTokenScope("projects"), protect);
 
 router
   .route("/")
   .get(getProjects)
-  .post(
-    authorize(ROLES.ADMIN, ROLES.MANAGER),
-    validateRequest(createProjectSchema),
-    createProject
-  );
+  .post(validateRequest(createProjectSchema), createProject);
 
 router
   .route("/:id")
-  .put(
-    authorize(ROLES.ADMIN, ROLES.MANAGER),
-    validateRequest(updateProjectSchema),
-    updateProject
-  )
-  .delete(authorize(ROLES.ADMIN), deleteProject);
+  .put(validateRequest(updateProjectSchema), updateProject)
+  .delete(deleteProject);
+
+router.post("/:id/archive", archiveProject);
+router.post("/:id/restore", restoreProject);
+
+router.get("/:id/members", getProjectMembers);
+router
+  .route("/:id/members/:userId")
+  .put(validateRequest(projectMemberSchema), setProjectMember)
+  .delete(removeProjectMember);
+
+router
+  .route("/:id/workflow")
+  .get(getProjectWorkflow)
+  .put(validateRequest(workflowSchema), updateProjectWorkflow);
+
+router
+  .route("/:id/labels")
+  .get(getLabels)
+  .post(validateRequest(labelSchema), createLabel);
+router
+  .route("/:id/labels/:labelId")
+  .put(validateRequest(updateLabelSchema), updateLabel)
+  .delete(deleteLabel);
+
+router.get("/:id/activity", getProjectActivity);
+router.get("/:id/dependencies", getProjectDependencies);
 
 module.exports = router;
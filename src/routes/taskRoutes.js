@@ -4,25 +4,78 @@ const {
   getTasks,
   createTask,
   updateTask,
+  moveTask,
   deleteTask,
+  bulkTasks,
 } = require("../controllers/taskController");
 const { handleAssistant } = require("../controllers/assistantController");
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+} = require("../controllers/commentController");
+const {
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
+} = require("../controllers/checklistController");
+const {
+  getTaskLinks,
+  createTaskLink,
+  deleteTaskLink,
+} = require("../controllers/dependencyController");
+const {
+  addTaskLabel,
+  removeTaskLabel,
+} = require("../controllers/labelController");
+const {
+  watchTask,
+  unwatchTask,
+} = require("../controllers/watcherController");
+const { getTaskActivity } = require("../controllers/activityController");
+const {
+  getTaskTime,
+  startTimer,
+  stopTimer,
+  logTime,
+  updateTimeEntry,
+  deleteTimeEntry,
+} = require("../controllers/timeController");
 const {
   createTaskSchema,
   updateTaskSchema,
+  moveTaskSchema,
+  checklistItemSchema,
+  updateChecklistItemSchema,
+  taskLinkSchema,
+  taskLabelSchema,
+  taskQuerySchema,
+  bulkTaskSchema,
 } = require("../validators/taskValidator");
+const { commentSchema } = require("../validators/commentValidator");
+const {
+  startTimerSchema,
+  timeEntrySchema,
+  updateTimeEntrySchema,
+} = require("../validators/timeValidator");
 const { validateRequest } = require("../middleware/validateRequest");
-const { protect } = require("../middleware/authMiddleware");
+const {
+  protect,
+  allowTokenScope,
+} = require("../middleware/authMiddleware");
 
-// All routes are protected
-router.use(protect);
+// All routes are protected; personal access tokens need a tasks:* scope
+router.use(allowTokenScope("tasks"), protect);
 
 // Assistant route (must be before /:id route)
 router.post("/assistant", handleAssistant);
 
+router.post("/bulk", validateRequest(bulkTaskSchema), bulkTasks);
+
 router
   .route("/")
-  .get(getTasks)
+  .get(validateRequest(taskQuerySchema, "query"), getTasks)
   .post(validateRequest(createTaskSchema), createTask);
 
 router
@@ -30,4 +83,50 @@ router
   .put(validateRequest(updateTaskSchema), updateTask)
   .delete(deleteTask);
 
+router.put("/:id/move", validateRequest(moveTaskSchema), moveTask);
+
+router
+  .route("/:id/comments")
+  .get(getComments)
+  .post(validateRequest(commentSchema), createComment);
+
+router
+  .route("/:id/comments/:commentId")
+  .put(validateRequest(commentSchema), updateComment)
+  .delete(deleteComment);
+
+router.post(
+  "/:id/checklist",
+  validateRequest(checklistItemSchema),
+  addChecklistItem
+);
+router
+  .route("/:id/checklist/:itemId")
+  .put(validateRequest(updateChecklistItemSchema), updateChecklistItem)
+  .delete(deleteChecklistItem);
+
+router
+  .route("/:id/links")
+  .get(getTaskLinks)
+  .post(validateRequest(taskLinkSchema), createTaskLink);
+router.delete("/:id/links/:linkId", deleteTaskLink);
+
+router.post("/:id/labels", validateRequest(taskLabelSchema), addTaskLabel);
+router.delete("/:id/labels/:labelId", removeTaskLabel);
+
+router.route("/:id/watch").post(watchTask).delete(unwatchTask);
+
+router
+  .route("/:id/time")
+  .get(getTaskTime)
+  .post(validateRequest(timeEntrySchema), logTime);
+router.post("/:id/time/start", validateRequest(startTimerSchema), startTimer);
+router.post("/:id/time/stop", stopTimer);
+router
+  .route("/:id/time/:entryId")
+  .put(validateRequest(updateTimeEntrySchema), updateTimeEntry)
+  .delete(deleteTimeEntry);
+
+router.get("/:id/activity", getTaskActivity);
+
 module.exports = router;
@@ -1,20 +1,133 @@
 const express = require("express");
 const router = express.Router();
-const { createTeam, getTeamMembers, getMyTeam, getAllMembers } = require("../controllers/teamController");
-const { createTeamSchema } = require("../validators/teamValidator");
+const {
+  createTeam,
+  getMyTeams,
+  setActiveTeam,
+  getTeamMembers,
+  getMyTeam,
+  getAllMembers,
+  updateMemberRole,
+  getRoleChanges,
+  updateTeam,
+  deleteTeam,
+  removeMember,
+  leaveTeam,
+  transferOwnership,
+  unlockMember,
+  deactivateMember,
+  reactivateMember,
+} = require("../controllers/teamController");
+const {
+  createInvitation,
+  getTeamInvitations,
+  revokeInvitation,
+} = require("../controllers/invitationController");
+const {
+  createTeamSchema,
+  setActiveTeamSchema,
+  updateRoleSchema,
+  updateTeamSchema,
+  transferOwnershipSchema,
+  deactivateMemberSchema,
+} = require("../validators/teamValidator");
+const {
+  createInvitationSchema,
+} = require("../validators/invitationValidator");
 const { validateRequest } = require("../middleware/validateRequest");
 const { protect } = require("../middleware/authMiddleware");
+const { authorize } = require("../middleware/roleMiddleware");
 
 router.use(protect);
 
+router
+  .route("/")
+  .get(getMyTeams)
+  .post(validateRequest(createTeamSchema), createTeam);
+
+router.put("/active", validateRequest(setActiveTeamSchema), setActiveTeam);
+router.get("/my-team", getMyTeam);
+router.get(
+  "/members/all",
+  authorize(
+    "team:view-all-members",
+    "Only Managers and Admins can view all members"
+  ),
+  getAllMembers
+);
+router.get("/:teamId/members", authorize("team:read"), getTeamMembers);
+
+router
+  .route("/:teamId")
+  .put(
+    authorize("team:update"),
+    validateRequest(updateTeamSchema),
+    updateTeam
+  )
+  .delete(
+    authorize("team:delete", "Only the team owner can delete the team"),
+    deleteTeam
+  );
+
+// Membership
+router.delete(
+  "/:teamId/members/:userId",
+  authorize("team:manage-members"),
+  removeMember
+);
+router.post(
+  "/:teamId/members/:userId/unlock",
+  authorize("team:manage-members"),
+  unlockMember
+);
 router.post(
-  "/",
-  validateRequest(createTeamSchema),
-  createTeam
+  "/:teamId/members/:userId/deactivate",
+  authorize("team:manage-members"),
+  validateRequest(deactivateMemberSchema),
+  deactivateMember
+);
+router.post(
+  "/:teamId/members/:userId/reactivate",
+  authorize("team:manage-members"),
+  reactivateMember
+);
+router.post("/:teamId/leave", authorize("team:leave"), leaveTeam);
+router.post(
+  "/:teamId/transfer-ownership",
+  authorize(
+    "team:transfer-ownership",
+    "Only the team owner can transfer ownership"
+  ),
+  validateRequest(transferOwnershipSchema),
+  transferOwnership
 );
 
-router.get("/my-team", getMyTeam);
-router.get("/members/all", getAllMembers);
-router.get("/:teamId/members", getTeamMembers);
+// Role management
+router.put(
+  "/:teamId/members/:userId/role",
+  authorize("team:manage-roles"),
+  validateRequest(updateRoleSchema),
+  updateMemberRole
+);
+router.get(
+  "/:teamId/role-changes",
+  authorize("team:manage-roles"),
+  getRoleChanges
+);
+
+// Invitations
+router
+  .route("/:teamId/invitations")
+  .get(authorize("team:invite"), getTeamInvitations)
+  .post(
+    authorize("team:invite"),
+    validateRequest(createInvitationSchema),
+    createInvitation
+  );
+router.delete(
+  "/:teamId/invitations/:id",
+  authorize("team:invite"),
+  revokeInvitation
+);
 
 module.exports = router;
@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getCurrentTimer,
+  getTimesheetReport,
+} = require("../controllers/timeController");
+const { timeReportQuerySchema } = require("../validators/timeValidator");
+const { validateRequest } = require("../middleware/validateRequest");
+const {
+  protect,
+  allowTokenScope,
+} = require("../middleware/authMiddleware");
+
+// All routes are protected; personal access tokens need a tasks:* scope
+router.use(allowTokenScope("tasks"), protect);
+
+router.get("/current", getCurrentTimer);
+router.get(
+  "/report",
+  validateRequest(timeReportQuerySchema, "query"),
+  getTimesheetReport
+);
+
+module.exports = router;
@@ -1,13 +1,20 @@
 require("dotenv").config();
 const app = require("./app");
 const connectDB = require("./config/database");
-const jwt = require("jsonwebtoken");
+const { verifyAccessToken } = require("./utils/sessionManager");
+const { can } = require("./utils/policy");
+const { startScheduler } = require("./utils/scheduler");
+const { migrateLegacyAssignees } = require("./utils/assignees");
 const { Server } = require("socket.io");
 
 const PORT = process.env.PORT || 5000;
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then update tasks stored by older versions
+connectDB()
+  .then(migrateLegacyAssignees)
+  .catch((error) => {
+    console.error(` Task assignee migration failed: ${error.message}`);
+  });
 
 // Start Server
 const server = app.listen(PORT, () => {
@@ -22,19 +29,20 @@ const io = new Server(server, {
     origin: process.env.CORS_ORIGIN || "http://localhost:5173",
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
     credentials: true,
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Team-Id"],
   },
 });
 
-// JWT auth for sockets
-io.use((socket, next) => {
+// JWT auth for sockets (revoked sessions are rejected)
+io.use(async (socket, next) => {
   try {
     const token = socket.handshake.auth?.token;
     if (!token) {
       return next(new Error("No auth token"));
     }
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    socket.data.userId = decoded.id;
+    const { user, session } = await verifyAccessToken(token);
+    socket.data.userId = user.id;
+    socket.data.sessionId = session.id;
     next();
   } catch (err) {
     next(new Error("Invalid or expired token"));
@@ -44,10 +52,21 @@ io.use((socket, next) => {
 io.on("connection", (socket) => {
   console.log(" Socket connected:", socket.id);
 
-  // Join team room
-  socket.on("join-team", (teamId) => {
+  // Rooms used to disconnect sockets when a session is revoked
+  socket.join(`session:${socket.data.sessionId}`);
+  socket.join(`user:${socket.data.userId}`);
+
+  // Join team room (members only, so removed members cannot rejoin)
+  socket.on("join-team", async (teamId) => {
     if (!teamId) return;
-    socket.join(`team:${teamId}`);
+    try {
+      if (!(await can({ _id: socket.data.userId }, "team:read", { teamId }))) {
+        return;
+      }
+      socket.join(`team:${teamId}`);
+    } catch (err) {
+      console.error(" Socket join-team error:", err.message);
+    }
   });
 
   // Leave team room
@@ -57,14 +76,21 @@ io.on("connection", (socket) => {
   });
 
   // Send message broadcast (fallback if emitted from client)
-  socket.on("send-message", ({ teamId, message }) => {
+  socket.on("send-message", async ({ teamId, message } = {}) => {
     if (!teamId || !message) return;
-    io.to(`team:${teamId}`).emit("new-message", {
-      content: message,
-      senderId: socket.data.userId,
-      teamId,
-      timestamp: new Date().toISOString(),
-    });
+    try {
+      if (!(await can({ _id: socket.data.userId }, "team:read", { teamId }))) {
+        return;
+      }
+      io.to(`team:${teamId}`).emit("new-message", {
+        content: message,
+        senderId: socket.data.userId,
+        teamId,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (err) {
+      console.error(" Socket send-message error:", err.message);
+    }
   });
 
   socket.on("disconnect", () => {
@@ -75,6 +101,10 @@ io.on("connection", (socket) => {
 // expose io to routes/controllers
 app.set("io", io);
 
+// Background jobs (due date reminders, overdue flags); safe to run on every
+// instance since each job is claimed by exactly one of them
+startScheduler({ io });
+
 // Handle unhandled promise rejections
 process.on("unhandledRejection", (err) => {
   console.error(` Unhandled Rejection: ${err.message}`);
@@ -0,0 +1,85 @@
+const crypto = require("crypto");
+const AccessToken = require("../models/AccessToken");
+const User = require("../models/User");
+const { hashToken } = require("./sessionManager");
+const { UnauthorizedError } = require("./errorTypes");
+
+// Personal access tokens are recognisable by their prefix, unlike JWTs
+const TOKEN_PREFIX = "tcp_";
+const DEFAULT_EXPIRE_DAYS = 30;
+// Avoid a write on every request from busy scripts
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const isPersonalAccessToken = (token) =>
+  typeof token === "string" && token.startsWith(TOKEN_PREFIX);
+
+/**
+ * Create a token for a user. The plain token is returned only here.
+ */
+const createAccessToken = async (
+  user,
+  { name, scopes, expiresInDays = DEFAULT_EXPIRE_DAYS }
+) => {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString("hex")}`;
+
+  const accessToken = await AccessToken.create({
+    userId: user._id,
+    name,
+    scopes: [...new Set(scopes)],
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 8),
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+  });
+
+  return { accessToken, token };
+};
+
+/**
+ * Resolve a personal access token to its user, recording when it was used
+ */
+const verifyPersonalAccessToken = async (token, req) => {
+  const accessToken = await AccessToken.findOne({
+    tokenHash: hashToken(token),
+  });
+  if (!accessToken || !accessToken.isActive()) {
+    throw new UnauthorizedError("Access token has expired or been revoked");
+  }
+
+  const user = await User.findById(accessToken.userId).select("-password");
+  if (!user) {
+    throw new UnauthorizedError("User not found");
+  }
+  if (user.deactivatedAt) {
+    throw new UnauthorizedError("Account has been deactivated");
+  }
+
+  const now = new Date();
+  if (
+    !accessToken.lastUsedAt ||
+    now - accessToken.lastUsedAt > LAST_USED_RESOLUTION_MS
+  ) {
+    accessToken.lastUsedAt = now;
+    accessToken.lastUsedIp = req?.ip || null;
+    await AccessToken.updateOne(
+      { _id: accessToken._id },
+      { lastUsedAt: now, lastUsedIp: accessToken.lastUsedIp }
+    );
+  }
+
+  return { user, accessToken };
+};
+
+const revokeUserAccessTokens = async (userId) => {
+  const result = await AccessToken.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  isPersonalAccessToken,
+  createAccessToken,
+  verifyPersonalAccessToken,
+  revokeUserAccessTokens,
+};
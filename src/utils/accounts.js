@@ -0,0 +1,140 @@
+const User = require("../models/User");
+const Membership = require("../models/Membership");
+const Project = require("../models/Project");
+const Team = require("../models/Team");
+const Message = require("../models/Message");
+const Comment = require("../models/Comment");
+const TaskActivity = require("../models/TaskActivity");
+const TaskLink = require("../models/TaskLink");
+const TimeEntry = require("../models/TimeEntry");
+const Invitation = require("../models/Invitation");
+const Session = require("../models/Session");
+const AccessToken = require("../models/AccessToken");
+const UserToken = require("../models/UserToken");
+const AuthEvent = require("../models/AuthEvent");
+const LoginThrottle = require("../models/LoginThrottle");
+const { revokeUserSessions } = require("./sessionManager");
+const { revokeUserAccessTokens } = require("./accessTokens");
+const { removeMembership } = require("./membership");
+const { openTaskFilter } = require("./workflows");
+const { unassignUsers, unwatchTasks } = require("./assignees");
+
+const openTasks = (projectIds = null) => ({
+  ...openTaskFilter(),
+  ...(projectIds ? { projectId: { $in: projectIds } } : {}),
+});
+
+/**
+ * Deactivate an account: sign it out everywhere and take it off the
+ * assignees of its open tasks in every team. On tasks in `teamId`,
+ * `reassignTo` (if given) takes its place. Only for actors who administer
+ * every team of the user.
+ */
+const deactivateUser = async (
+  user,
+  actor,
+  { teamId = null, reassignTo = null } = {},
+  io = null
+) => {
+  await User.updateOne(
+    { _id: user._id },
+    { deactivatedAt: new Date(), deactivatedBy: actor?._id || null }
+  );
+
+  await revokeUserSessions(user._id, "account-deactivated", io);
+  await revokeUserAccessTokens(user._id);
+
+  let reassigned = 0;
+  if (teamId && reassignTo) {
+    const projectIds = await Project.find({ teamId }).distinct("_id");
+    reassigned = await unassignUsers(openTasks(projectIds), [user._id], {
+      actor,
+      replacement: reassignTo,
+    });
+  }
+
+  const unassigned = await unassignUsers(openTasks(), [user._id], { actor });
+
+  return { reassigned, unassigned };
+};
+
+const reactivateUser = async (user) => {
+  await User.updateOne(
+    { _id: user._id },
+    { deactivatedAt: null, deactivatedBy: null }
+  );
+};
+
+/**
+ * Teams owned by the user; ownership has to be handed over (or the team
+ * deleted) before the account can go
+ */
+const findOwnedTeams = (userId) =>
+  Team.find({ adminId: userId }).select("name");
+
+/**
+ * Erase an account. Messages, comments and logged time stay without an
+ * author, tasks are unassigned and unwatched and every personal record is
+ * removed.
+ */
+const deleteAccount = async (user, io = null) => {
+  await Message.updateMany(
+    { senderId: user._id },
+    { senderId: null, senderDeletedAt: new Date() }
+  );
+  await Comment.updateMany(
+    { authorId: user._id },
+    { authorId: null, authorDeletedAt: new Date() }
+  );
+  await Comment.updateMany(
+    { mentions: user._id },
+    { $pull: { mentions: user._id } }
+  );
+  await unassignUsers({}, [user._id], { actor: user });
+  await unwatchTasks({}, [user._id]);
+  await TaskActivity.updateMany({ actorId: user._id }, { actorId: null });
+  await TaskLink.updateMany({ createdBy: user._id }, { createdBy: null });
+  await TimeEntry.deleteMany({ userId: user._id, endedAt: null });
+  await TimeEntry.updateMany({ userId: user._id }, { userId: null });
+
+  const teamIds = await Membership.find({ userId: user._id }).distinct(
+    "teamId"
+  );
+  await Promise.all(
+    teamIds.map((teamId) => removeMembership(user._id, teamId))
+  );
+
+  // Pending invitations sent by or to the user
+  await Invitation.updateMany(
+    { invitedBy: user._id, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  await Invitation.deleteMany({ email: user.email });
+
+  await Session.deleteMany({ userId: user._id });
+  await AccessToken.deleteMany({ userId: user._id });
+  await UserToken.deleteMany({ userId: user._id });
+  await AuthEvent.deleteMany({
+    $or: [{ userId: user._id }, { email: user.email }],
+  });
+  await LoginThrottle.deleteOne({ key: `account:${user.email}` });
+
+  await User.deleteOne({ _id: user._id });
+
+  if (io) {
+    teamIds.forEach((teamId) => {
+      io.to(`team:${teamId}`).emit("member-removed", {
+        teamId,
+        userId: user._id,
+      });
+    });
+    io.in(`user:${user._id}`).disconnectSockets(true);
+  }
+};
+
+module.exports = {
+  deactivateUser,
+  reactivateUser,
+  findOwnedTeams,
+  deleteAccount,
+};
@@ -0,0 +1,141 @@
+const Task = require("../models/Task");
+const TaskActivity = require("../models/TaskActivity");
+const { notifyWatchers } = require("./watchers");
+const {
+  ACTIVITY_ACTIONS,
+  ACTIVITY_SOURCES,
+} = require("../config/constants");
+
+// Task fields whose changes are logged
+const TRACKED_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "priority",
+  "estimateMinutes",
+  "startDate",
+  "dueDate",
+  "assignees",
+  "parentId",
+  "labels",
+];
+
+// Value as stored in the log: ids instead of populated documents, null for
+// empty values (and empty lists)
+const storedValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.map(storedValue) : null;
+  }
+  if (value === undefined || value === null || value === "") return null;
+  return value._id || value;
+};
+
+// Lists compare regardless of order
+const comparableValue = (value) => {
+  const stored = storedValue(value);
+  if (stored instanceof Date) return stored.getTime();
+  if (Array.isArray(stored)) return stored.map(String).sort().join(",");
+  return stored === null ? null : stored.toString();
+};
+
+/**
+ * Field changes between two versions of a task (documents or plain
+ * objects); pass `before = null` for a new task
+ */
+const diffTask = (before, after) =>
+  TRACKED_FIELDS.filter(
+    (field) =>
+      comparableValue(before ? before[field] : null) !==
+      comparableValue(after[field])
+  ).map((field) => ({
+    field,
+    from: storedValue(before ? before[field] : null),
+    to: storedValue(after[field]),
+  }));
+
+const buildEntry = (task, { actor, source, action, changes = [] }) => ({
+  taskId: task._id,
+  projectId: task.projectId._id || task.projectId,
+  taskTitle: task.title,
+  actorId: actor ? actor._id : null,
+  source,
+  action,
+  changes,
+});
+
+/**
+ * Log a change of one task. `before` is the task as it was (for updates),
+ * `task` as it is now; updates without a tracked change are not logged.
+ * Changes the diff cannot see (checklist items) are passed as `changes`.
+ * With `io`, the task's watchers are told about the entry.
+ */
+const recordTaskActivity = async (
+  {
+    task,
+    before = null,
+    actor,
+    source = ACTIVITY_SOURCES.REST,
+    action = ACTIVITY_ACTIONS.UPDATED,
+    changes: givenChanges = null,
+    io = null,
+  },
+  session = null
+) => {
+  const changes =
+    givenChanges ||
+    (action === ACTIVITY_ACTIONS.DELETED ? [] : diffTask(before, task));
+  if (action === ACTIVITY_ACTIONS.UPDATED && changes.length === 0) return null;
+
+  const [entry] = await TaskActivity.create(
+    [buildEntry(task, { actor, source, action, changes })],
+    { session }
+  );
+  await notifyWatchers(io, task, entry);
+  return entry;
+};
+
+/**
+ * Task.updateMany that logs the change of every matching task, for bulk
+ * changes such as unassigning a member who left. Updates with operators
+ * ($pull, ...) pass `after`, which returns a task as the update leaves it.
+ */
+const updateTasksWithActivity = async (
+  filter,
+  update,
+  {
+    actor = null,
+    source = ACTIVITY_SOURCES.REST,
+    after = (task) => ({ ...task.toObject(), ...update }),
+  } = {},
+  session = null
+) => {
+  const tasks = await Task.find(filter).session(session);
+  if (tasks.length === 0) return { modifiedCount: 0 };
+
+  // Logged first: without a transaction, running it again after a failed
+  // update still finds the tasks (the entries may then be logged twice)
+  const entries = tasks
+    .map((task) =>
+      buildEntry(task, {
+        actor,
+        source,
+        action: ACTIVITY_ACTIONS.UPDATED,
+        changes: diffTask(task, after(task)),
+      })
+    )
+    .filter((entry) => entry.changes.length > 0);
+  if (entries.length > 0) {
+    await TaskActivity.insertMany(entries, { session });
+  }
+
+  return Task.updateMany(
+    { _id: { $in: tasks.map((task) => task._id) } },
+    update,
+    { session }
+  );
+};
+
+module.exports = {
+  recordTaskActivity,
+  updateTasksWithActivity,
+};
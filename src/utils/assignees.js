@@ -0,0 +1,138 @@
+const mongoose = require("mongoose");
+const Task = require("../models/Task");
+const User = require("../models/User");
+const { NotFoundError, ValidationError } = require("./errorTypes");
+const { assertCan } = require("./policy");
+const { updateTasksWithActivity } = require("./activity");
+
+const MAX_TASK_ASSIGNEES = 10;
+
+const idOf = (value) => String(value._id || value);
+const objectId = (value) => new mongoose.Types.ObjectId(idOf(value));
+
+/**
+ * Check a task's new assignee list: at most MAX_TASK_ASSIGNEES users, and
+ * every one not in `current` exists, is active and may be assigned tasks
+ * in the project's team. Returns the newly added users.
+ */
+const verifyAssignees = async (assignees, project, current = []) => {
+  if (assignees.length > MAX_TASK_ASSIGNEES) {
+    throw new ValidationError(
+      `A task cannot have more than ${MAX_TASK_ASSIGNEES} assignees`
+    );
+  }
+
+  const currentIds = new Set(current.map(idOf));
+  const addedIds = [...new Set(assignees.map(idOf))].filter(
+    (id) => !currentIds.has(id)
+  );
+  const users = await User.find({ _id: { $in: addedIds } });
+  if (users.length !== addedIds.length) {
+    throw new NotFoundError("User not found");
+  }
+
+  for (const user of users) {
+    if (user.deactivatedAt) {
+      throw new ValidationError("Tasks cannot be assigned to a deactivated user");
+    }
+    await assertCan(
+      user,
+      "task:be-assigned",
+      project,
+      "Tasks can only be assigned to members of the team"
+    );
+  }
+
+  return users;
+};
+
+/**
+ * Whether two assignee lists hold the same users, in any order
+ */
+const sameAssignees = (a = [], b = []) =>
+  a.map(idOf).sort().join(",") === b.map(idOf).sort().join(",");
+
+/**
+ * Take users off the assignees of the tasks matching `filter`, handing
+ * each task over to `replacement` if given. Every change is logged for
+ * `actor`; returns how many tasks changed.
+ */
+const unassignUsers = async (
+  filter,
+  userIds,
+  { actor = null, replacement = null } = {},
+  session = null
+) => {
+  const removed = userIds.map(objectId);
+  const added = replacement ? [objectId(replacement)] : [];
+  const remaining = (task) => {
+    const kept = task.assignees.filter(
+      (id) => !removed.some((userId) => userId.equals(id))
+    );
+    return [...kept, ...added.filter((id) => !kept.some((k) => k.equals(id)))];
+  };
+
+  const result = await updateTasksWithActivity(
+    { ...filter, assignees: { $in: removed } },
+    [
+      {
+        $set: {
+          assignees: {
+            $setUnion: [{ $setDifference: ["$assignees", removed] }, added],
+          },
+        },
+      },
+    ],
+    {
+      actor,
+      after: (task) => ({ ...task.toObject(), assignees: remaining(task) }),
+    },
+    session
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Stop users from watching the tasks matching `filter` (they lost access)
+ */
+const unwatchTasks = (filter, userIds, session = null) =>
+  Task.updateMany(
+    { ...filter, watchers: { $in: userIds } },
+    { $pull: { watchers: { $in: userIds } } },
+    { session }
+  );
+
+/**
+ * Tasks saved before tasks could have several assignees hold a single
+ * `assignedTo`; move it into `assignees`. Safe to run on every start.
+ */
+const migrateLegacyAssignees = async () => {
+  const { modifiedCount } = await Task.collection.updateMany(
+    { assignedTo: { $exists: true } },
+    [
+      {
+        $set: {
+          assignees: {
+            $cond: [
+              { $eq: [{ $type: "$assignedTo" }, "objectId"] },
+              ["$assignedTo"],
+              { $ifNull: ["$assignees", []] },
+            ],
+          },
+        },
+      },
+      { $unset: "assignedTo" },
+    ]
+  );
+  if (modifiedCount > 0) {
+    console.log(` Moved the assignee of ${modifiedCount} task(s) to assignees`);
+  }
+};
+
+module.exports = {
+  verifyAssignees,
+  sameAssignees,
+  unassignUsers,
+  unwatchTasks,
+  migrateLegacyAssignees,
+};
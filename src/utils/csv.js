@@ -0,0 +1,25 @@
+// Cells starting with these are read as formulas by spreadsheet apps
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV text (RFC 4180, CRLF line ends) with a header row. `columns` are
+ * `{ header, value(row) }`.
+ */
+const toCsv = (columns, rows) =>
+  [
+    columns.map((column) => csvCell(column.header)),
+    ...rows.map((row) => columns.map((column) => csvCell(column.value(row)))),
+  ]
+    .map((cells) => cells.join(","))
+    .join("\r\n") + "\r\n";
+
+module.exports = { toCsv };
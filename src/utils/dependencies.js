@@ -0,0 +1,220 @@
+const Task = require("../models/Task");
+const TaskLink = require("../models/TaskLink");
+const { ValidationError, TaskBlockedError } = require("./errorTypes");
+const { openTaskFilter } = require("./workflows");
+const { emitToProject } = require("./projects");
+const {
+  STATUS_CATEGORIES,
+  TASK_LINK_TYPES,
+} = require("../config/constants");
+
+const idOf = (value) => String(value._id || value);
+
+/**
+ * Whether `taskId` waits for `targetId`, directly or through other tasks,
+ * following the project's blocked-by links
+ */
+const dependsOn = async (projectId, taskId, targetId) => {
+  const links = await TaskLink.find({
+    projectId,
+    type: TASK_LINK_TYPES.BLOCKED_BY,
+  })
+    .select("taskId linkedTaskId")
+    .lean();
+
+  const blockers = new Map();
+  for (const link of links) {
+    const id = idOf(link.taskId);
+    blockers.set(id, [...(blockers.get(id) || []), idOf(link.linkedTaskId)]);
+  }
+
+  const seen = new Set();
+  const queue = [idOf(taskId)];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (id === idOf(targetId)) return true;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    queue.push(...(blockers.get(id) || []));
+  }
+  return false;
+};
+
+/**
+ * Check that `task` may be linked to `linkedTask`: both in the same
+ * project, not linked that way yet and, for blocked-by links, without
+ * closing a cycle
+ */
+const assertLinkAllowed = async (task, linkedTask, type) => {
+  if (task._id.equals(linkedTask._id)) {
+    throw new ValidationError("A task cannot be linked to itself");
+  }
+  if (idOf(task.projectId) !== idOf(linkedTask.projectId)) {
+    throw new ValidationError("Only tasks of the same project can be linked");
+  }
+
+  const pairs = [{ taskId: task._id, linkedTaskId: linkedTask._id }];
+  if (type === TASK_LINK_TYPES.RELATES_TO) {
+    pairs.push({ taskId: linkedTask._id, linkedTaskId: task._id });
+  }
+  if (await TaskLink.exists({ type, $or: pairs })) {
+    throw new ValidationError("These tasks are already linked");
+  }
+
+  // `task` waiting for `linkedTask` closes a cycle if `linkedTask` already
+  // waits for `task`
+  if (
+    type === TASK_LINK_TYPES.BLOCKED_BY &&
+    (await dependsOn(idOf(task.projectId), linkedTask._id, task._id))
+  ) {
+    throw new ValidationError(
+      `"${linkedTask.title}" already depends on "${task.title}"; this link would create a cycle`
+    );
+  }
+};
+
+/**
+ * Open tasks that `task` is blocked by
+ */
+const openBlockers = async (task) => {
+  const blockerIds = await TaskLink.find({
+    taskId: task._id,
+    type: TASK_LINK_TYPES.BLOCKED_BY,
+  }).distinct("linkedTaskId");
+  if (blockerIds.length === 0) return [];
+
+  return Task.find({ _id: { $in: blockerIds }, ...openTaskFilter() }).select(
+    "title status"
+  );
+};
+
+/**
+ * Tasks cannot be completed while any of their blockers is still open
+ */
+const assertNotBlocked = async (task, target) => {
+  if (target.category !== STATUS_CATEGORIES.COMPLETE) return;
+
+  const blockers = await openBlockers(task);
+  if (blockers.length > 0) {
+    throw new TaskBlockedError(blockers);
+  }
+};
+
+/**
+ * Ids of the given tasks that still have an open blocker
+ */
+const blockedTaskIds = async (taskIds) => {
+  const links = await TaskLink.find({
+    taskId: { $in: taskIds },
+    type: TASK_LINK_TYPES.BLOCKED_BY,
+  })
+    .select("taskId linkedTaskId")
+    .lean();
+  if (links.length === 0) return new Set();
+
+  const openIds = new Set(
+    (
+      await Task.find({
+        _id: { $in: links.map((link) => link.linkedTaskId) },
+        ...openTaskFilter(),
+      }).distinct("_id")
+    ).map(String)
+  );
+  return new Set(
+    links
+      .filter((link) => openIds.has(idOf(link.linkedTaskId)))
+      .map((link) => idOf(link.taskId))
+  );
+};
+
+/**
+ * Plain task objects with their `blocked` state
+ */
+const withBlockedState = async (tasks) => {
+  const blocked = await blockedTaskIds(tasks.map((task) => task._id));
+  return tasks.map((task) => ({ ...task, blocked: blocked.has(idOf(task)) }));
+};
+
+/**
+ * The tasks `task` was the last open blocker of, if it has just been
+ * completed (it was in `previousCategory` before)
+ */
+const findUnblocked = async (task, previousCategory) => {
+  if (
+    previousCategory === STATUS_CATEGORIES.COMPLETE ||
+    task.statusCategory !== STATUS_CATEGORIES.COMPLETE
+  ) {
+    return [];
+  }
+
+  const dependentIds = await TaskLink.find({
+    linkedTaskId: task._id,
+    type: TASK_LINK_TYPES.BLOCKED_BY,
+  }).distinct("taskId");
+
+  const unblocked = [];
+  for (const dependent of await Task.find({ _id: { $in: dependentIds } })) {
+    if ((await openBlockers(dependent)).length === 0) unblocked.push(dependent);
+  }
+  return unblocked;
+};
+
+/**
+ * Once `task` is completed, tell the project about every task it was the
+ * last open blocker of (`task-unblocked`)
+ */
+const notifyUnblocked = async (io, task, previousCategory) => {
+  if (!io) return;
+
+  for (const dependent of await findUnblocked(task, previousCategory)) {
+    await emitToProject(io, task.projectId, "task-unblocked", {
+      taskId: dependent._id,
+      title: dependent.title,
+      unblockedBy: task._id,
+    });
+  }
+};
+
+/**
+ * Dependency graph of a project for rendering: the given tasks as nodes and
+ * the links between them as edges. Blocked-by edges point from the blocked
+ * task to its blocker.
+ */
+const dependencyGraph = async (tasks) => {
+  const taskIds = tasks.map((task) => task._id);
+  const [links, blocked] = await Promise.all([
+    TaskLink.find({
+      taskId: { $in: taskIds },
+      linkedTaskId: { $in: taskIds },
+    }),
+    blockedTaskIds(taskIds),
+  ]);
+
+  return {
+    nodes: tasks.map((task) => ({
+      _id: task._id,
+      title: task.title,
+      status: task.status,
+      statusCategory: task.statusCategory,
+      priority: task.priority,
+      assignees: task.assignees,
+      parentId: task.parentId,
+      blocked: blocked.has(idOf(task)),
+    })),
+    edges: links.map((link) => ({
+      _id: link._id,
+      from: link.taskId,
+      to: link.linkedTaskId,
+      type: link.type,
+    })),
+  };
+};
+
+module.exports = {
+  assertLinkAllowed,
+  assertNotBlocked,
+  withBlockedState,
+  findUnblocked,
+  notifyUnblocked,
+  dependencyGraph,
+};
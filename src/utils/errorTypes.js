@@ -13,6 +13,12 @@ class ValidationError extends AppError {
   }
 }
 
+class BadRequestError extends AppError {
+  constructor(message = "Bad request") {
+    super(message, 400);
+  }
+}
+
 class UnauthorizedError extends AppError {
   constructor(message = "Unauthorized access") {
     super(message, 401);
@@ -31,10 +37,50 @@ class NotFoundError extends AppError {
   }
 }
 
+class AccountLockedError extends AppError {
+  constructor(message = "Account is temporarily locked", retryAfter = null) {
+    super(message, 423);
+    this.code = "ACCOUNT_LOCKED";
+    this.retryAfter = retryAfter;
+  }
+}
+
+class TooManyAttemptsError extends AppError {
+  constructor(message = "Too many failed attempts", retryAfter = null) {
+    super(message, 429);
+    this.code = "TOO_MANY_ATTEMPTS";
+    this.retryAfter = retryAfter;
+  }
+}
+
+class TwoFactorRequiredError extends AppError {
+  constructor(
+    message = "This team requires two-factor authentication. Enable it on your account to continue"
+  ) {
+    super(message, 403);
+    this.code = "TWO_FACTOR_REQUIRED";
+  }
+}
+
+class TaskBlockedError extends AppError {
+  constructor(blockers) {
+    super(
+      `Task is blocked by open tasks: ${blockers.map((task) => `"${task.title}"`).join(", ")}`,
+      400
+    );
+    this.code = "TASK_BLOCKED";
+  }
+}
+
 module.exports = {
   AppError,
   ValidationError,
+  BadRequestError,
   UnauthorizedError,
   ForbiddenError,
   NotFoundError,
+  AccountLockedError,
+  TooManyAttemptsError,
+  TwoFactorRequiredError,
+  TaskBlockedError,
 };
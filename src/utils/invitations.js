@@ -0,0 +1,98 @@
+const crypto = require("crypto");
+const Invitation = require("../models/Invitation");
+const Membership = require("../models/Membership");
+const { addMembership } = require("./membership");
+const {
+  NotFoundError,
+  ForbiddenError,
+  ValidationError,
+} = require("./errorTypes");
+
+const generateInviteCode = () =>
+  crypto.randomBytes(6).toString("hex").toUpperCase();
+
+const buildInviteUrl = (code) => {
+  const baseUrl =
+    process.env.CLIENT_URL ||
+    process.env.CORS_ORIGIN ||
+    "http://localhost:5173";
+  return `${baseUrl}/invite/${code}`;
+};
+
+/**
+ * Find an invitation by code and make sure it can be used by this user
+ */
+const findInvitationForUser = async (code, user, session = null) => {
+  const invitation = await Invitation.findOne({
+    code: (code || "").toUpperCase(),
+  })
+    .session(session)
+    .populate("teamId", "name");
+  if (!invitation) {
+    throw new NotFoundError("Invitation not found");
+  }
+
+  if (!invitation.isUsable()) {
+    throw new ValidationError(`Invitation is ${invitation.status}`);
+  }
+
+  if (invitation.email && invitation.email !== user.email) {
+    throw new ForbiddenError(
+      "This invitation was sent to a different email address"
+    );
+  }
+
+  return invitation;
+};
+
+/**
+ * Redeem an invitation: claim one use atomically and add the user to the team.
+ * Pass a session to run inside a transaction.
+ */
+const redeemInvitation = async (user, code, session = null) => {
+  const invitation = await findInvitationForUser(code, user, session);
+
+  if (
+    await Membership.exists({
+      userId: user._id,
+      teamId: invitation.teamId._id,
+    }).session(session)
+  ) {
+    throw new ForbiddenError("You are already a member of this team");
+  }
+
+  const claimed = await Invitation.findOneAndUpdate(
+    {
+      _id: invitation._id,
+      revokedAt: null,
+      declinedAt: null,
+      expiresAt: { $gt: new Date() },
+      "acceptedBy.userId": { $ne: user._id },
+      $expr: { $lt: ["$uses", "$maxUses"] },
+    },
+    {
+      $inc: { uses: 1 },
+      $push: { acceptedBy: { userId: user._id, acceptedAt: new Date() } },
+    },
+    { new: true, session }
+  );
+  if (!claimed) {
+    throw new ValidationError("Invitation is no longer valid");
+  }
+
+  const membership = await addMembership(
+    user._id,
+    invitation.teamId._id,
+    invitation.role,
+    session
+  );
+
+  return { invitation: claimed, team: invitation.teamId, membership };
+};
+
+module.exports = {
+  generateInviteCode,
+  buildInviteUrl,
+  findInvitationForUser,
+  redeemInvitation,
+};
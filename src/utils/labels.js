@@ -0,0 +1,112 @@
+const Task = require("../models/Task");
+const Label = require("../models/Label");
+const { ValidationError } = require("./errorTypes");
+const { recordTaskActivity } = require("./activity");
+
+const MAX_TASK_LABELS = 20;
+
+const idOf = (value) => String(value._id || value);
+const isObjectId = (value) => /^[a-f0-9]{24}$/i.test(value);
+
+/**
+ * Label names or ids from a comma-separated list (?label=bug,frontend)
+ */
+const splitLabelTerms = (text) =>
+  (text || "")
+    .split(",")
+    .map((term) => term.trim())
+    .filter(Boolean);
+
+/**
+ * Labels of the given projects matching each term (a label id, or a name
+ * regardless of case), in the order of the terms. Terms matching nothing
+ * get an empty list.
+ */
+const resolveLabelTerms = async (projectIds, terms) => {
+  const ids = terms.filter(isObjectId);
+  const [byId, byName] = await Promise.all([
+    ids.length > 0
+      ? Label.find({ _id: { $in: ids }, projectId: { $in: projectIds } })
+      : [],
+    Label.findByNames(projectIds, terms),
+  ]);
+
+  const labels = [...byId, ...byName];
+  return terms.map((term) =>
+    labels.filter(
+      (label) =>
+        idOf(label) === term || label.name.toLowerCase() === term.toLowerCase()
+    )
+  );
+};
+
+/**
+ * Task filter for label terms: tasks carrying a label of any term ("or",
+ * the default) or a label of every term ("and")
+ */
+const labelFilter = async (projectIds, terms, mode = "or") => {
+  if (terms.length === 0) return {};
+
+  const groups = await resolveLabelTerms(projectIds, terms);
+  const idsOf = (labels) => labels.map((label) => label._id);
+  if (mode === "and") {
+    return {
+      $and: groups.map((labels) => ({ labels: { $in: idsOf(labels) } })),
+    };
+  }
+  return { labels: { $in: idsOf(groups.flat()) } };
+};
+
+/**
+ * Label ids of a task after adding and removing labels (at most
+ * MAX_TASK_LABELS)
+ */
+const changedLabelIds = (task, { add = [], remove = [] }) => {
+  const removed = new Set(remove.map(idOf));
+  const labels = [
+    ...new Set([
+      ...task.labels.map(idOf).filter((id) => !removed.has(id)),
+      ...add.map(idOf),
+    ]),
+  ];
+  if (labels.length > MAX_TASK_LABELS) {
+    throw new ValidationError(
+      `A task cannot have more than ${MAX_TASK_LABELS} labels`
+    );
+  }
+  return labels;
+};
+
+/**
+ * Add and remove labels of a task and log the change (telling its watchers
+ * with `io`). The labels must belong to the task's project. Returns the
+ * updated task.
+ */
+const changeTaskLabels = async (
+  task,
+  changes,
+  { actor, source, io = null } = {}
+) => {
+  const labels = changedLabelIds(task, changes);
+
+  const before = task.toObject();
+  const updated = await Task.findByIdAndUpdate(
+    task._id,
+    { labels },
+    { new: true }
+  )
+    .populate("projectId", "name")
+    .populate("assignees", "name email")
+    .populate("labels", "name color");
+  await recordTaskActivity({ task: updated, before, actor, source, io });
+
+  return updated;
+};
+
+module.exports = {
+  splitLabelTerms,
+  resolveLabelTerms,
+  labelFilter,
+  changedLabelIds,
+  changeTaskLabels,
+};
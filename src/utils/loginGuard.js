@@ -0,0 +1,168 @@
+const LoginThrottle = require("../models/LoginThrottle");
+const AuthEvent = require("../models/AuthEvent");
+const {
+  AccountLockedError,
+  TooManyAttemptsError,
+} = require("./errorTypes");
+const { AUTH_EVENTS } = require("../config/constants");
+
+const numberFromEnv = (name, fallback) =>
+  parseInt(process.env[name], 10) || fallback;
+
+// Failures allowed before backoff kicks in
+const FREE_ATTEMPTS = 3;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 15 * 60 * 1000;
+// Failure counters are forgotten after a quiet day
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const accountKey = (email) => `account:${(email || "").toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip || "unknown"}`;
+
+const secondsUntil = (date) =>
+  Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+const backoffDelay = (failures) => {
+  if (failures <= FREE_ATTEMPTS) return 0;
+  return Math.min(
+    BASE_DELAY_MS * 2 ** (failures - FREE_ATTEMPTS - 1),
+    MAX_DELAY_MS
+  );
+};
+
+const recordAuthEvent = (
+  type,
+  { user = null, email = null, actor = null, req = null, metadata = null }
+) =>
+  AuthEvent.create({
+    type,
+    userId: user?._id || null,
+    email: email || user?.email || null,
+    actorId: actor?._id || null,
+    ip: req?.ip || null,
+    userAgent: req?.headers?.["user-agent"] || null,
+    metadata,
+  });
+
+/**
+ * Reject the attempt up front when the account is locked or either the
+ * account or the IP is still inside its backoff window
+ */
+const assertLoginAllowed = async (email, ip) => {
+  const now = new Date();
+  const [account, client] = await Promise.all([
+    LoginThrottle.findOne({ key: accountKey(email) }),
+    LoginThrottle.findOne({ key: ipKey(ip) }),
+  ]);
+
+  if (account?.lockedUntil && account.lockedUntil > now) {
+    throw new AccountLockedError(
+      "Account is temporarily locked due to too many failed login attempts",
+      secondsUntil(account.lockedUntil)
+    );
+  }
+
+  const blockedUntil = [account?.blockedUntil, client?.blockedUntil]
+    .filter((date) => date && date > now)
+    .sort((a, b) => b - a)[0];
+  if (blockedUntil) {
+    throw new TooManyAttemptsError(
+      "Too many failed login attempts, please try again later",
+      secondsUntil(blockedUntil)
+    );
+  }
+};
+
+// Past `maxFailures` an account is locked (lockedUntil) while an IP is
+// simply blocked (blockedUntil) for `lockMs`
+const registerFailure = async (key, maxFailures, lockMs, lockField) => {
+  const now = new Date();
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: {
+        lastFailureAt: now,
+        expiresAt: new Date(now.getTime() + FAILURE_WINDOW_MS),
+      },
+    },
+    { upsert: true, new: true }
+  );
+
+  const delay = backoffDelay(throttle.failures);
+  const update = {
+    blockedUntil: delay ? new Date(now.getTime() + delay) : null,
+  };
+
+  let lockedUntil = null;
+  if (throttle.failures >= maxFailures) {
+    lockedUntil = new Date(now.getTime() + lockMs);
+    update[lockField] = lockedUntil;
+    update.failures = 0;
+    update.expiresAt = new Date(lockedUntil.getTime() + FAILURE_WINDOW_MS);
+  }
+
+  await LoginThrottle.updateOne({ _id: throttle._id }, update);
+  return { failures: throttle.failures, lockedUntil };
+};
+
+/**
+ * Count a failed login against the account and the IP; lock the account
+ * once it reaches LOGIN_MAX_ATTEMPTS
+ */
+const recordLoginFailure = async (email, req, user = null) => {
+  const maxAttempts = numberFromEnv("LOGIN_MAX_ATTEMPTS", 10);
+  const lockMs = numberFromEnv("LOGIN_LOCK_MINUTES", 15) * 60 * 1000;
+  const ipMaxAttempts = numberFromEnv("LOGIN_IP_MAX_ATTEMPTS", 50);
+
+  const [account] = await Promise.all([
+    registerFailure(accountKey(email), maxAttempts, lockMs, "lockedUntil"),
+    registerFailure(ipKey(req.ip), ipMaxAttempts, lockMs, "blockedUntil"),
+  ]);
+
+  await recordAuthEvent(AUTH_EVENTS.LOGIN_FAILED, {
+    user,
+    email,
+    req,
+    metadata: { failures: account.failures },
+  });
+
+  if (account.lockedUntil) {
+    await recordAuthEvent(AUTH_EVENTS.ACCOUNT_LOCKED, {
+      user,
+      email,
+      req,
+      metadata: { lockedUntil: account.lockedUntil, attempts: maxAttempts },
+    });
+  }
+
+  return account;
+};
+
+const recordLoginSuccess = async (email) => {
+  await LoginThrottle.deleteOne({ key: accountKey(email) });
+};
+
+const isAccountLocked = async (email) => {
+  const account = await LoginThrottle.findOne({ key: accountKey(email) });
+  return Boolean(account?.lockedUntil && account.lockedUntil > new Date());
+};
+
+/**
+ * Lift a lockout (and any backoff) on an account
+ */
+const unlockAccount = async (user, actor, req) => {
+  const result = await LoginThrottle.deleteOne({ key: accountKey(user.email) });
+
+  await recordAuthEvent(AUTH_EVENTS.ACCOUNT_UNLOCKED, { user, actor, req });
+  return result.deletedCount > 0;
+};
+
+module.exports = {
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  isAccountLocked,
+  unlockAccount,
+  recordAuthEvent,
+};
@@ -0,0 +1,66 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Mail transports implement `send(message)` where message is
+ * { from, to, subject, text }. The built-in ones never talk to a mail
+ * server, so development and tests work without SMTP; plug a real one in
+ * with setTransport().
+ */
+const transports = {
+  // Writes every message as a JSON file into MAIL_OUTBOX_DIR
+  outbox: {
+    async send(message) {
+      const dir = path.resolve(process.env.MAIL_OUTBOX_DIR || "outbox");
+      await fs.mkdir(dir, { recursive: true });
+
+      const file = path.join(
+        dir,
+        `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`
+      );
+      await fs.writeFile(file, JSON.stringify(message, null, 2));
+      return { id: path.basename(file) };
+    },
+  },
+
+  console: {
+    async send(message) {
+      console.log(
+        ` Mail to ${message.to}: ${message.subject}\n${message.text}`
+      );
+      return { id: null };
+    },
+  },
+};
+
+let activeTransport = null;
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || "outbox";
+    activeTransport = transports[name];
+    if (!activeTransport) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+  }
+  return activeTransport;
+};
+
+// Replace the transport, e.g. with an SMTP client or a test double
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const sendMail = ({ to, subject, text }) =>
+  getTransport().send({
+    from: process.env.MAIL_FROM || "no-reply@team-collaboration.local",
+    to,
+    subject,
+    text,
+  });
+
+module.exports = {
+  sendMail,
+  setTransport,
+};
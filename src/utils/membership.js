@@ -0,0 +1,152 @@
+const Membership = require("../models/Membership");
+const User = require("../models/User");
+const Project = require("../models/Project");
+const { ForbiddenError } = require("./errorTypes");
+const { ROLES } = require("../config/constants");
+
+const getMembership = async (userId, teamId) => {
+  if (!userId || !teamId) return null;
+  return Membership.findOne({ userId, teamId });
+};
+
+/**
+ * Make sure the user belongs to the team, optionally with one of the given roles
+ */
+const requireTeamRole = async (user, teamId, roles = null, message = null) => {
+  const membership = await getMembership(user._id, teamId);
+  if (!membership) {
+    throw new ForbiddenError(message || "You are not a member of this team");
+  }
+
+  if (roles && !roles.includes(membership.role)) {
+    throw new ForbiddenError(
+      message || "You do not have permission to perform this action"
+    );
+  }
+
+  return membership;
+};
+
+/**
+ * Map of teamId -> role for every team the user belongs to
+ */
+const getTeamRoles = async (userId) => {
+  const memberships = await Membership.find({ userId });
+  return new Map(memberships.map((m) => [m.teamId.toString(), m.role]));
+};
+
+// Users created before memberships existed only have `teamId` and a
+// stored global `role`; turn that into a membership the first time we see them
+const backfillLegacyMembership = async (user) => {
+  const raw = await User.collection.findOne(
+    { _id: user._id },
+    { projection: { role: 1 } }
+  );
+
+  return Membership.findOneAndUpdate(
+    { userId: user._id, teamId: user.teamId },
+    { $setOnInsert: { role: raw?.role || ROLES.MEMBER } },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Resolve the team the request acts on and the user's role in it.
+ * `requestedTeamId` (from the X-Team-Id header) overrides the stored active
+ * team for a single request.
+ */
+const resolveActiveTeam = async (user, requestedTeamId = null) => {
+  if (requestedTeamId) {
+    const membership = await requireTeamRole(
+      user,
+      requestedTeamId,
+      null,
+      "You are not a member of the selected team"
+    );
+    user.teamId = membership.teamId;
+    user.role = membership.role;
+    return membership;
+  }
+
+  let membership = await getMembership(user._id, user.teamId);
+
+  if (!membership && user.teamId) {
+    const hasMemberships = await Membership.exists({ userId: user._id });
+    membership = hasMemberships ? null : await backfillLegacyMembership(user);
+  }
+
+  // Stored active team is gone; fall back to any remaining membership
+  if (!membership) {
+    membership = await Membership.findOne({ userId: user._id }).sort({
+      createdAt: 1,
+    });
+    const teamId = membership ? membership.teamId : null;
+    if (String(teamId) !== String(user.teamId)) {
+      await User.updateOne({ _id: user._id }, { teamId });
+      user.teamId = teamId;
+    }
+  }
+
+  user.role = membership ? membership.role : ROLES.MEMBER;
+  return membership;
+};
+
+/**
+ * Add a user to a team; the team becomes active if they had none. Pass a
+ * session to run inside a transaction.
+ */
+const addMembership = async (
+  userId,
+  teamId,
+  role = ROLES.MEMBER,
+  session = null
+) => {
+  const [membership] = await Membership.create([{ userId, teamId, role }], {
+    session,
+  });
+  await User.updateOne({ _id: userId, teamId: null }, { teamId }, { session });
+  return membership;
+};
+
+/**
+ * Remove a user from a team (and its projects), moving their active team to
+ * another membership. Pass a session to run inside a transaction.
+ */
+const removeMembership = async (userId, teamId, session = null) => {
+  await Membership.deleteOne({ userId, teamId }, { session });
+  await Project.updateMany(
+    { teamId, "members.userId": userId },
+    { $pull: { members: { userId } } },
+    { session }
+  );
+
+  const user = await User.findById(userId).select("teamId").session(session);
+  if (user && String(user.teamId) === String(teamId)) {
+    const next = await Membership.findOne({ userId })
+      .sort({ createdAt: 1 })
+      .session(session);
+    user.teamId = next ? next.teamId : null;
+    await user.save({ session });
+  }
+};
+
+const serializeMember = (membership) => ({
+  _id: membership.userId._id,
+  name: membership.userId.name,
+  email: membership.userId.email,
+  twoFactorEnabled: Boolean(membership.userId.twoFactorEnabled),
+  deactivated: Boolean(membership.userId.deactivatedAt),
+  role: membership.role,
+  teamId: membership.teamId,
+  joinedAt: membership.createdAt,
+});
+
+module.exports = {
+  getMembership,
+  requireTeamRole,
+  getTeamRoles,
+  resolveActiveTeam,
+  addMembership,
+  removeMembership,
+  serializeMember,
+};
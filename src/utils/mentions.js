@@ -0,0 +1,64 @@
+const Membership = require("../models/Membership");
+const { can, resolveProject } = require("./policy");
+
+// Characters that may not directly follow a mentioned name
+const NAME_CHAR = /[\p{L}\p{N}_]/u;
+
+/**
+ * Users mentioned as @name in a comment on a task: active members of the
+ * project's team who can read the task. Full names match, and so do first
+ * names no other member shares; the longest matching name wins, so
+ * "@Ann Lee" is not read as "@Ann".
+ */
+const resolveMentions = async (content, task) => {
+  if (!content.includes("@")) return [];
+
+  const project = await resolveProject(task);
+  const memberships = await Membership.find({
+    teamId: project.teamId,
+  }).populate("userId", "name deactivatedAt");
+  const members = memberships
+    .map((m) => m.userId)
+    .filter((user) => user && !user.deactivatedAt);
+
+  const firstNames = new Map();
+  members.forEach((user) => {
+    const first = user.name.toLowerCase().split(/\s+/)[0];
+    firstNames.set(first, (firstNames.get(first) || 0) + 1);
+  });
+
+  const aliases = members
+    .flatMap((user) => {
+      const fullName = user.name.toLowerCase();
+      const first = fullName.split(/\s+/)[0];
+      return first !== fullName && firstNames.get(first) === 1
+        ? [[fullName, user], [first, user]]
+        : [[fullName, user]];
+    })
+    .sort(([a], [b]) => b.length - a.length);
+
+  const text = content.toLowerCase();
+  const mentioned = new Map();
+  for (let at = text.indexOf("@"); at !== -1; at = text.indexOf("@", at + 1)) {
+    // Skip e-mail addresses and the like
+    if (at > 0 && !/\s/.test(text[at - 1])) continue;
+
+    const rest = text.slice(at + 1);
+    const match = aliases.find(
+      ([alias]) =>
+        rest.startsWith(alias) && !NAME_CHAR.test(rest.charAt(alias.length))
+    );
+    if (match) {
+      mentioned.set(match[1]._id.toString(), match[1]);
+    }
+  }
+
+  // Mentioning someone must not reveal a task they cannot see
+  const users = [...mentioned.values()];
+  const readable = await Promise.all(
+    users.map((user) => can(user, "task:read", task))
+  );
+  return users.filter((user, index) => readable[index]).map((user) => user._id);
+};
+
+module.exports = { resolveMentions };
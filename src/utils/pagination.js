@@ -0,0 +1,25 @@
+/**
+ * Page and limit from ?page=&limit= (1-based pages, limit capped at
+ * `maxLimit`), plus the number of documents to skip
+ */
+const getPagination = (query, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || defaultLimit, 1),
+    maxLimit
+  );
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Pagination block returned next to a page of results
+const paginationMeta = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  pages: Math.ceil(total / limit),
+});
+
+module.exports = {
+  getPagination,
+  paginationMeta,
+};
@@ -0,0 +1,342 @@
+const Project = require("../models/Project");
+const Task = require("../models/Task");
+const Team = require("../models/Team");
+const User = require("../models/User");
+const { getTeamRoles } = require("./membership");
+const {
+  ForbiddenError,
+  NotFoundError,
+  TwoFactorRequiredError,
+} = require("./errorTypes");
+const { PERMISSIONS } = require("../config/permissions");
+const { ROLES, PROJECT_VISIBILITY } = require("../config/constants");
+
+/**
+ * Team roles of the user. Roles in teams that require two-factor
+ * authentication are withheld (and the teams listed in `blocked`) until the
+ * user enables it.
+ */
+const loadAccess = async (user) => {
+  const roles = await getTeamRoles(user._id);
+  const blocked = new Set();
+
+  // Socket handlers only pass `{ _id }`
+  const twoFactorEnabled =
+    user.twoFactorEnabled ??
+    Boolean(await User.exists({ _id: user._id, twoFactorEnabled: true }));
+
+  if (!twoFactorEnabled && roles.size > 0) {
+    const enforcing = await Team.find({
+      _id: { $in: [...roles.keys()] },
+      requireTwoFactor: true,
+    }).distinct("_id");
+
+    enforcing.forEach((teamId) => {
+      roles.delete(teamId.toString());
+      blocked.add(teamId.toString());
+    });
+  }
+
+  return { roles, blocked };
+};
+
+// Access is loaded once per user object (i.e. once per request or socket event)
+const accessCache = new WeakMap();
+
+const getAccess = (user) => {
+  if (!accessCache.has(user)) {
+    accessCache.set(user, loadAccess(user));
+  }
+  return accessCache.get(user);
+};
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const isTeamDoc = (resource) => resource?.constructor?.modelName === "Team";
+const isProjectDoc = (resource) =>
+  resource?.constructor?.modelName === "Project";
+
+const PROJECT_ACCESS_FIELDS = "teamId visibility members";
+
+const hasAccessFields = (project) =>
+  ["teamId", "visibility", "members"].every((field) =>
+    project.isSelected(field)
+  );
+
+/**
+ * The project (with its access fields) behind a project or task resource
+ */
+const resolveProject = async (resource) => {
+  const project = isProjectDoc(resource) ? resource : resource?.projectId;
+  if (!project) return null;
+  if (isProjectDoc(project) && hasAccessFields(project)) return project;
+
+  return Project.findById(idOf(project)).select(PROJECT_ACCESS_FIELDS);
+};
+
+const ROLE_RANK = { VIEWER: 0, MEMBER: 1, MANAGER: 2, ADMIN: 3 };
+
+/**
+ * Role of the user in a project. Team admins are ADMIN in every project of
+ * their team; private projects need an explicit membership; on team projects
+ * an explicit membership can only raise the team role.
+ */
+const projectRoleFor = (user, teamRole, project) => {
+  if (!teamRole) return null;
+  if (teamRole === ROLES.ADMIN) return ROLES.ADMIN;
+
+  const member = (project.members || []).find(
+    (m) => idOf(m.userId).toString() === user._id.toString()
+  );
+
+  if (project.visibility === PROJECT_VISIBILITY.PRIVATE) {
+    return member ? member.role : null;
+  }
+  if (member && ROLE_RANK[member.role] > ROLE_RANK[teamRole]) {
+    return member.role;
+  }
+  return teamRole;
+};
+
+/**
+ * Work out which team a resource belongs to: a team, anything carrying a
+ * `teamId` (projects, invitations, `{ teamId }`), or a task via its project
+ */
+const resolveTeamId = async (resource) => {
+  if (isTeamDoc(resource)) return resource._id;
+  if (resource.teamId) return idOf(resource.teamId);
+
+  if (resource.projectId) {
+    if (resource.projectId.teamId) return idOf(resource.projectId.teamId);
+    const project = await Project.findById(idOf(resource.projectId)).select(
+      "teamId"
+    );
+    return project ? project.teamId : null;
+  }
+
+  return null;
+};
+
+const isAssignee = (user, resource) =>
+  (resource?.assignees || []).some(
+    (assignee) => idOf(assignee).toString() === user._id.toString()
+  );
+
+const isTeamOwner = async (user, resource, teamId) => {
+  const team = isTeamDoc(resource)
+    ? resource
+    : await Team.findById(teamId).select("adminId");
+  return Boolean(team) && team.adminId.toString() === user._id.toString();
+};
+
+const getRule = (action) => {
+  const rule = PERMISSIONS[action];
+  if (!rule) {
+    throw new Error(`Unknown permission: ${action}`);
+  }
+  return rule;
+};
+
+const isProjectAction = (action) =>
+  action.startsWith("project:") || action.startsWith("task:");
+
+const check = async (user, action, resource) => {
+  const rule = getRule(action);
+  if (!user) return { allowed: false };
+
+  // Project and task actions on an existing project use the project role
+  const project =
+    resource && isProjectAction(action) ? await resolveProject(resource) : null;
+
+  let teamId;
+  if (project) {
+    teamId = idOf(project.teamId);
+  } else {
+    teamId = resource ? await resolveTeamId(resource) : user.teamId;
+  }
+  if (!teamId) return { allowed: false };
+
+  const { roles, blocked } = await getAccess(user);
+  if (blocked.has(teamId.toString())) {
+    return { allowed: false, twoFactorRequired: true };
+  }
+
+  const teamRole = roles.get(teamId.toString());
+  const role = project ? projectRoleFor(user, teamRole, project) : teamRole;
+
+  // Assignees and owners still need a role: users who left the team or the
+  // private project keep no rights on the tasks they were assigned
+  const allowed =
+    role &&
+    (rule.roles.includes(role) ||
+      (rule.assignee && isAssignee(user, resource)) ||
+      (rule.owner && (await isTeamOwner(user, resource, teamId))));
+
+  return { allowed: Boolean(allowed) };
+};
+
+/**
+ * Can the user perform `action` on `resource`?
+ * Without a resource the user's active team is used.
+ */
+const can = async (user, action, resource = null) =>
+  (await check(user, action, resource)).allowed;
+
+/**
+ * Like `can`, but throws a ForbiddenError when the action is not allowed
+ * (TwoFactorRequiredError when the team demands 2FA the user lacks)
+ */
+const assertCan = async (user, action, resource = null, message = null) => {
+  const { allowed, twoFactorRequired } = await check(user, action, resource);
+  if (twoFactorRequired) {
+    throw new TwoFactorRequiredError();
+  }
+  if (!allowed) {
+    throw new ForbiddenError(
+      message || "You do not have permission to perform this action"
+    );
+  }
+};
+
+/**
+ * Role of the user in the project behind a project or task resource
+ * (null without access)
+ */
+const getProjectRole = async (user, resource) => {
+  const project = await resolveProject(resource);
+  if (!project) return null;
+
+  const { roles } = await getAccess(user);
+  const teamRole = roles.get(idOf(project.teamId).toString());
+  return projectRoleFor(user, teamRole, project);
+};
+
+/**
+ * Mongo filter for the projects the user can see, optionally in one team
+ */
+const visibleProjectsFilter = async (user, teamId = null) => {
+  const { roles } = await getAccess(user);
+
+  const entries = [...roles.entries()].filter(
+    ([id]) => !teamId || id === teamId.toString()
+  );
+  const adminTeams = entries
+    .filter(([, role]) => role === ROLES.ADMIN)
+    .map(([id]) => id);
+  const otherTeams = entries
+    .filter(([, role]) => role !== ROLES.ADMIN)
+    .map(([id]) => id);
+
+  return {
+    $or: [
+      { teamId: { $in: adminTeams } },
+      {
+        teamId: { $in: otherTeams },
+        visibility: PROJECT_VISIBILITY.TEAM,
+      },
+      { teamId: { $in: otherTeams }, "members.userId": user._id },
+    ],
+  };
+};
+
+/**
+ * Ids of the visible projects in which the user's role grants `action`
+ */
+const projectsWhere = async (user, action, filter = {}) => {
+  const rule = getRule(action);
+  const { roles } = await getAccess(user);
+
+  const projects = await Project.find({
+    $and: [await visibleProjectsFilter(user), filter],
+  }).select(PROJECT_ACCESS_FIELDS);
+
+  return projects
+    .filter((project) => {
+      const teamRole = roles.get(project.teamId.toString());
+      const role = projectRoleFor(user, teamRole, project);
+      return role && rule.roles.includes(role);
+    })
+    .map((project) => project._id);
+};
+
+/**
+ * Effective permissions of the user in a team (or in one of its projects),
+ * for the frontend: `granted` actions are always allowed, `assignedOnly`
+ * ones only on tasks assigned to the user
+ */
+const getEffectivePermissions = async (user, teamId, project = null) => {
+  const { roles, blocked } = await getAccess(user);
+  const twoFactorRequired = Boolean(teamId) && blocked.has(teamId.toString());
+  if (twoFactorRequired) {
+    return {
+      teamId,
+      role: null,
+      owner: false,
+      twoFactorRequired,
+      granted: [],
+      assignedOnly: [],
+    };
+  }
+
+  const teamRole = teamId ? roles.get(teamId.toString()) || null : null;
+  const role = project ? projectRoleFor(user, teamRole, project) : teamRole;
+  const owner = teamRole ? await isTeamOwner(user, null, teamId) : false;
+
+  const granted = [];
+  const assignedOnly = [];
+  Object.entries(PERMISSIONS)
+    .filter(([action]) => !project || isProjectAction(action))
+    .forEach(([action, rule]) => {
+      if ((role && rule.roles.includes(role)) || (rule.owner && owner)) {
+        granted.push(action);
+      } else if (role && rule.assignee) {
+        assignedOnly.push(action);
+      }
+    });
+
+  return {
+    teamId,
+    projectId: project ? project._id : null,
+    role,
+    owner,
+    twoFactorRequired,
+    granted,
+    assignedOnly,
+  };
+};
+
+/**
+ * Load a project the user can see; private projects and projects of other
+ * teams look missing
+ */
+const findVisibleProject = async (user, id) => {
+  const project = await Project.findById(id);
+  if (!project || !(await can(user, "project:read", project))) {
+    throw new NotFoundError("Project not found");
+  }
+  return project;
+};
+
+/**
+ * Load a task (with its project) the user can read; tasks they cannot see
+ * look missing
+ */
+const findReadableTask = async (user, id) => {
+  const task = await Task.findById(id).populate("projectId");
+  if (!task || !task.projectId || !(await can(user, "task:read", task))) {
+    throw new NotFoundError("Task not found");
+  }
+  return task;
+};
+
+module.exports = {
+  can,
+  assertCan,
+  findVisibleProject,
+  findReadableTask,
+  resolveProject,
+  getProjectRole,
+  visibleProjectsFilter,
+  projectsWhere,
+  getEffectivePermissions,
+};
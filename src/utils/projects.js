@@ -0,0 +1,185 @@
+const Project = require("../models/Project");
+const Task = require("../models/Task");
+const Comment = require("../models/Comment");
+const TaskActivity = require("../models/TaskActivity");
+const TaskLink = require("../models/TaskLink");
+const TimeEntry = require("../models/TimeEntry");
+const Label = require("../models/Label");
+const Membership = require("../models/Membership");
+const { ForbiddenError } = require("./errorTypes");
+const { can, resolveProject } = require("./policy");
+const { openTaskFilter } = require("./workflows");
+const { cancelJobsFor } = require("./scheduler");
+const { unassignUsers, unwatchTasks } = require("./assignees");
+const { ROLES, PROJECT_VISIBILITY } = require("../config/constants");
+
+/**
+ * Archived projects are read-only until restored
+ */
+const assertProjectWritable = (project) => {
+  if (project?.archivedAt) {
+    throw new ForbiddenError("Project is archived and read-only");
+  }
+};
+
+/**
+ * Delete the matching tasks with their comments, links and scheduled jobs
+ * and return how many tasks were deleted. Pass a session to run inside a
+ * transaction; without one, the tasks go last so that running it again
+ * after a failure finishes the job.
+ */
+const deleteTasksCascade = async (filter, session = null) => {
+  const taskIds = await Task.find(filter).session(session).distinct("_id");
+  if (taskIds.length === 0) return 0;
+
+  await cancelJobsFor(taskIds, session);
+  await Comment.deleteMany({ taskId: { $in: taskIds } }, { session });
+  await TaskLink.deleteMany(
+    {
+      $or: [
+        { taskId: { $in: taskIds } },
+        { linkedTaskId: { $in: taskIds } },
+      ],
+    },
+    { session }
+  );
+  // Logged time stays in the timesheets; running timers are dropped
+  await TimeEntry.deleteMany(
+    { taskId: { $in: taskIds }, endedAt: null },
+    { session }
+  );
+
+  const tasks = await Task.deleteMany({ _id: { $in: taskIds } }, { session });
+  return tasks.deletedCount;
+};
+
+/**
+ * Delete the matching projects and everything that hangs off them.
+ * Pass a session to run inside a transaction; as with deleteTasksCascade,
+ * the projects go last.
+ */
+const deleteProjectsCascade = async (filter, session = null) => {
+  const projectIds = await Project.find(filter)
+    .session(session)
+    .distinct("_id");
+  if (projectIds.length === 0) return { projects: 0, tasks: 0 };
+
+  const tasks = await deleteTasksCascade(
+    { projectId: { $in: projectIds } },
+    session
+  );
+  await TaskActivity.deleteMany({ projectId: { $in: projectIds } }, { session });
+  await TimeEntry.deleteMany({ projectId: { $in: projectIds } }, { session });
+  await Label.deleteMany({ projectId: { $in: projectIds } }, { session });
+  const projects = await Project.deleteMany(
+    { _id: { $in: projectIds } },
+    { session }
+  );
+
+  return { projects: projects.deletedCount, tasks };
+};
+
+/**
+ * Ids of everyone who can see a private project: team admins and members
+ */
+const projectAudience = async (project) => {
+  const admins = await Membership.find({
+    teamId: project.teamId._id || project.teamId,
+    role: ROLES.ADMIN,
+  }).distinct("userId");
+
+  return [
+    ...new Set(
+      [...admins, ...project.members.map((m) => m.userId)].map(String)
+    ),
+  ];
+};
+
+/**
+ * Emit a socket event to the people who can see the project: the team room
+ * for team projects, the personal rooms of its audience for private ones
+ */
+const emitToProject = async (io, project, event, payload) => {
+  if (!io || !project) return;
+
+  const fullProject = await resolveProject(project);
+  if (!fullProject) return;
+
+  if (fullProject.visibility !== PROJECT_VISIBILITY.PRIVATE) {
+    const teamId = fullProject.teamId._id || fullProject.teamId;
+    io.to(`team:${teamId}`).emit(event, payload);
+    return;
+  }
+
+  const userIds = await projectAudience(fullProject);
+  if (userIds.length > 0) {
+    io.to(userIds.map((userId) => `user:${userId}`)).emit(event, payload);
+  }
+};
+
+/**
+ * Emit a socket event about a task (such as its comments) to the personal
+ * rooms of the project's audience who can read that task, rather than to
+ * the whole team
+ */
+const emitToTaskReaders = async (io, task, event, payload) => {
+  if (!io || !task) return;
+
+  const project = await resolveProject(task);
+  if (!project) return;
+
+  const userIds =
+    project.visibility === PROJECT_VISIBILITY.PRIVATE
+      ? await projectAudience(project)
+      : await Membership.find({
+          teamId: project.teamId._id || project.teamId,
+        }).distinct("userId");
+
+  const readers = [];
+  for (const userId of userIds.map(String)) {
+    if (await can({ _id: userId }, "task:read", task)) {
+      readers.push(userId);
+    }
+  }
+  if (readers.length > 0) {
+    io.to(readers.map((userId) => `user:${userId}`)).emit(event, payload);
+  }
+};
+
+/**
+ * Unassign open tasks of the project from users who can no longer see it
+ * (after a visibility or membership change made by `actor`); they stop
+ * watching its tasks as well. Returns how many tasks were unassigned.
+ */
+const unassignUsersWithoutAccess = async (project, actor = null) => {
+  const [assignees, watchers] = await Promise.all([
+    Task.find({ projectId: project._id, ...openTaskFilter() }).distinct(
+      "assignees"
+    ),
+    Task.find({ projectId: project._id }).distinct("watchers"),
+  ]);
+
+  const lostAccess = [];
+  for (const userId of new Set([...assignees, ...watchers].map(String))) {
+    if (!(await can({ _id: userId }, "project:read", project))) {
+      lostAccess.push(userId);
+    }
+  }
+  if (lostAccess.length === 0) return 0;
+
+  await unwatchTasks({ projectId: project._id }, lostAccess);
+  return unassignUsers(
+    { projectId: project._id, ...openTaskFilter() },
+    lostAccess,
+    { actor }
+  );
+};
+
+module.exports = {
+  assertProjectWritable,
+  emitToProject,
+  emitToTaskReaders,
+  unassignUsersWithoutAccess,
+  deleteTasksCascade,
+  deleteProjectsCascade,
+};
@@ -0,0 +1,147 @@
+const Task = require("../models/Task");
+
+// Ranks are base-36 digit strings read as fractions (0.xyz), compared as
+// plain strings. They never end in "0", so string and numeric order agree
+// and there is always room for another rank between two of them.
+const DIGITS = "0123456789abcdefghijklmnopqrstuvwxyz";
+const BASE = DIGITS.length;
+const MAX_ATTEMPTS = 5;
+
+const digitAt = (rank, index, fallback) =>
+  rank !== null && index < rank.length ? DIGITS.indexOf(rank[index]) : fallback;
+
+/**
+ * A rank strictly between `lower` and `upper` (null for an open end)
+ */
+const rankBetween = (lower, upper) => {
+  let rank = "";
+  let bound = upper;
+  for (let index = 0; ; index++) {
+    const low = digitAt(lower, index, 0);
+    const high = digitAt(bound, index, BASE);
+    if (low === high) {
+      rank += DIGITS[low];
+      continue;
+    }
+
+    const middle = Math.floor((low + high) / 2);
+    if (middle > low) return rank + DIGITS[middle];
+
+    // Adjacent digits: keep the lower one, anything after it will do
+    rank += DIGITS[low];
+    bound = null;
+  }
+};
+
+// Two random digits (the last one never "0") so that users dropping tasks
+// into the same slot at the same time get different ranks
+const withJitter = (rank) =>
+  rank +
+  DIGITS[Math.floor(Math.random() * BASE)] +
+  DIGITS[1 + Math.floor(Math.random() * (BASE - 1))];
+
+const columnFilter = (projectId, status, task = null) => ({
+  projectId: projectId._id || projectId,
+  status,
+  ...(task?._id && { _id: { $ne: task._id } }),
+});
+
+const rankOf = async (query) => (await query.select("rank"))?.rank ?? null;
+
+/**
+ * Rank the tasks of a status column that have none yet (created before
+ * ranks existed), oldest first after the ranked ones
+ */
+const rankUnrankedTasks = async (projectId, status) => {
+  const unranked = await Task.find({
+    ...columnFilter(projectId, status),
+    rank: null,
+  }).sort({ createdAt: 1 });
+  if (unranked.length === 0) return;
+
+  let last = await rankOf(
+    Task.findOne({
+      ...columnFilter(projectId, status),
+      rank: { $ne: null },
+    }).sort({ rank: -1 })
+  );
+  for (const task of unranked) {
+    last = withJitter(rankBetween(last, null));
+    // Another request may be ranking the same tasks
+    await Task.updateOne({ _id: task._id, rank: null }, { rank: last }).catch(
+      (error) => {
+        if (error.code !== 11000) throw error;
+      }
+    );
+  }
+};
+
+/**
+ * Rank placing `task` in the `status` column right after `previousTaskId`,
+ * else right before `nextTaskId`, else at the end of the column. Neighbours
+ * are looked up in the column as it is now, so stale ones (moved away by
+ * someone else in the meantime) are skipped.
+ */
+const rankInColumn = async (
+  task,
+  status,
+  { previousTaskId = null, nextTaskId = null } = {}
+) => {
+  await rankUnrankedTasks(task.projectId, status);
+
+  const column = columnFilter(task.projectId, status, task);
+  const neighbour = (id) =>
+    id
+      ? Task.findOne({ ...column, _id: { $eq: id, $ne: task._id } }).select(
+          "rank"
+        )
+      : null;
+
+  const [previous, next] = await Promise.all([
+    neighbour(previousTaskId),
+    neighbour(nextTaskId),
+  ]);
+
+  let lower = null;
+  let upper = null;
+  if (previous?.rank) {
+    lower = previous.rank;
+    upper = await rankOf(
+      Task.findOne({ ...column, rank: { $gt: lower } }).sort({ rank: 1 })
+    );
+  } else if (next?.rank) {
+    upper = next.rank;
+    lower = await rankOf(
+      Task.findOne({ ...column, rank: { $lt: upper, $ne: null } }).sort({
+        rank: -1,
+      })
+    );
+  } else {
+    lower = await rankOf(
+      Task.findOne({ ...column, rank: { $ne: null } }).sort({ rank: -1 })
+    );
+  }
+
+  return withJitter(rankBetween(lower, upper));
+};
+
+/**
+ * Run `save(rank)` with a rank from `computeRank()`, computing a new one
+ * when a concurrent move took the same rank (unique per project)
+ */
+const saveWithRank = async (computeRank, save) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await save(await computeRank());
+    } catch (error) {
+      const rankTaken = error.code === 11000 && error.keyPattern?.rank;
+      if (!rankTaken || attempt >= MAX_ATTEMPTS) throw error;
+    }
+  }
+};
+
+module.exports = {
+  rankBetween,
+  rankInColumn,
+  saveWithRank,
+};
@@ -11,12 +11,16 @@ const successResponse = (res, statusCode, message, data = null) => {
   return res.status(statusCode).json(response);
 };
 
-const errorResponse = (res, statusCode, message, errors = null) => {
+const errorResponse = (res, statusCode, message, errors = null, code = null) => {
   const response = {
     success: false,
     message,
   };
 
+  if (code) {
+    response.code = code;
+  }
+
   if (errors) {
     response.errors = errors;
   }
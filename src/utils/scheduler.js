@@ -0,0 +1,172 @@
+const crypto = require("crypto");
+const os = require("os");
+const ScheduledJob = require("../models/ScheduledJob");
+const { JOB_STATUS } = require("../config/constants");
+
+// Identifies this process in job locks
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto
+  .randomBytes(3)
+  .toString("hex")}`;
+
+// How long a claimed job stays locked before another instance may retry it
+const LOCK_MS = 5 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+
+const handlers = new Map();
+let timer = null;
+let running = false;
+
+/**
+ * Register the function that runs jobs of a type:
+ * handler(payload, context) where context is what startScheduler received
+ */
+const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Create the job with this key, or move the existing one to the new time
+ * and payload (resetting its attempts)
+ */
+const scheduleJob = (
+  { type, key, subjectId = null, runAt, payload = {} },
+  session = null
+) =>
+  ScheduledJob.findOneAndUpdate(
+    { key },
+    {
+      $set: {
+        type,
+        subjectId,
+        runAt,
+        payload,
+        status: JOB_STATUS.PENDING,
+        attempts: 0,
+        lockedBy: null,
+        lockedUntil: null,
+        lastError: null,
+        finishedAt: null,
+      },
+    },
+    { upsert: true, new: true, session }
+  );
+
+const unfinished = { $in: [JOB_STATUS.PENDING, JOB_STATUS.RUNNING] };
+
+// Drop the jobs with these keys that have not finished yet
+const cancelJobs = (keys, session = null) =>
+  ScheduledJob.deleteMany({ key: { $in: keys }, status: unfinished }, { session });
+
+// Drop the unfinished jobs about these documents (e.g. deleted tasks)
+const cancelJobsFor = (subjectIds, session = null) =>
+  ScheduledJob.deleteMany(
+    { subjectId: { $in: subjectIds }, status: unfinished },
+    { session }
+  );
+
+// Atomically take the next due job (or one whose lock expired)
+const claimNextJob = () => {
+  const now = new Date();
+  return ScheduledJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: JOB_STATUS.PENDING, runAt: { $lte: now } },
+        { status: JOB_STATUS.RUNNING, lockedUntil: { $lte: now } },
+      ],
+    },
+    {
+      $set: {
+        status: JOB_STATUS.RUNNING,
+        lockedBy: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + LOCK_MS),
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Updates only apply while this instance still holds the job, so a job that
+// was rescheduled in the meantime is left alone
+const finishJob = (job, update) =>
+  ScheduledJob.updateOne(
+    { _id: job._id, status: JOB_STATUS.RUNNING, lockedBy: INSTANCE_ID },
+    { $set: { lockedBy: null, lockedUntil: null, ...update } }
+  );
+
+const runJob = async (job, context) => {
+  try {
+    const handler = handlers.get(job.type);
+    if (!handler) {
+      throw new Error(`No handler for job type ${job.type}`);
+    }
+    await handler(job.payload, context);
+
+    await finishJob(job, { status: JOB_STATUS.DONE, finishedAt: new Date() });
+  } catch (error) {
+    console.error(` Job ${job.key} failed: ${error.message}`);
+
+    // Retry with a growing delay, then give up
+    const failed = job.attempts >= MAX_ATTEMPTS;
+    await finishJob(job, {
+      status: failed ? JOB_STATUS.FAILED : JOB_STATUS.PENDING,
+      runAt: new Date(Date.now() + job.attempts * job.attempts * 60 * 1000),
+      lastError: error.message,
+      finishedAt: failed ? new Date() : null,
+    });
+  }
+};
+
+/**
+ * Run every job that is due; returns how many ran
+ */
+const runDueJobs = async (context = {}) => {
+  let count = 0;
+  let job;
+  while ((job = await claimNextJob())) {
+    await runJob(job, context);
+    count += 1;
+  }
+  return count;
+};
+
+/**
+ * Poll for due jobs every SCHEDULER_POLL_SECONDS (default 30). Each server
+ * instance may run its own scheduler.
+ */
+const startScheduler = (context = {}) => {
+  if (timer) return;
+
+  const seconds = parseInt(process.env.SCHEDULER_POLL_SECONDS, 10);
+  const intervalMs = (Number.isFinite(seconds) && seconds > 0 ? seconds : 30) * 1000;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runDueJobs(context);
+    } catch (error) {
+      console.error(` Scheduler error: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+};
+
+const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  registerJobHandler,
+  scheduleJob,
+  cancelJobs,
+  cancelJobsFor,
+  runDueJobs,
+  startScheduler,
+  stopScheduler,
+};
@@ -0,0 +1,203 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const { UnauthorizedError } = require("./errorTypes");
+
+const DEFAULT_ACCESS_EXPIRE = "15m";
+const DEFAULT_REFRESH_EXPIRE_DAYS = 30;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const refreshExpiryDate = () => {
+  const days =
+    parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) ||
+    DEFAULT_REFRESH_EXPIRE_DAYS;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Short-lived access token bound to a server-side session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || DEFAULT_ACCESS_EXPIRE,
+  });
+};
+
+// Refresh tokens are "<sessionId>.<secret>"; only the hash of the whole token is stored
+const generateRefreshToken = (sessionId) => {
+  return `${sessionId}.${crypto.randomBytes(40).toString("hex")}`;
+};
+
+const clientInfo = (req) => ({
+  userAgent: req?.headers?.["user-agent"] || null,
+  ip: req?.ip || null,
+});
+
+/**
+ * Start a new session for a user and issue its first token pair
+ */
+const createSession = async (user, req) => {
+  const session = new Session({
+    userId: user._id,
+    expiresAt: refreshExpiryDate(),
+    ...clientInfo(req),
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    session,
+    accessToken: generateAccessToken(user._id, session._id),
+    refreshToken,
+  };
+};
+
+/**
+ * Disconnect every socket that authenticated with the given session
+ */
+const disconnectSessionSockets = (io, sessionId) => {
+  if (io) {
+    io.in(`session:${sessionId}`).disconnectSockets(true);
+  }
+};
+
+const revokeSession = async (sessionId, reason = "logout", io = null) => {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+
+  disconnectSessionSockets(io, sessionId);
+  return session;
+};
+
+const revokeUserSessions = async (
+  userId,
+  reason = "logout-all",
+  io = null,
+  { exceptSessionId = null } = {}
+) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const sessions = await Session.find(filter).select("_id");
+  await Session.updateMany(
+    { _id: { $in: sessions.map((s) => s._id) } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  sessions.forEach((s) => disconnectSessionSockets(io, s._id));
+  return sessions.length;
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation).
+ * Presenting an already-rotated token revokes the session, since it means
+ * the token has leaked. The new token only replaces the one presented, so
+ * of two concurrent refreshes with the same token only one succeeds.
+ */
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId] = (refreshToken || "").split(".");
+  if (!sessionId || !/^[a-f0-9]{24}$/i.test(sessionId)) {
+    throw new UnauthorizedError("Invalid refresh token");
+  }
+
+  const session = await Session.findById(sessionId).select(
+    "+refreshTokenHash"
+  );
+  if (!session || !session.isActive()) {
+    throw new UnauthorizedError("Session has expired or been revoked");
+  }
+
+  const rejectReusedToken = async () => {
+    await revokeSession(session._id, "refresh-token-reuse", req?.app?.get("io"));
+    throw new UnauthorizedError("Refresh token has already been used");
+  };
+
+  if (session.refreshTokenHash !== hashToken(refreshToken)) {
+    await rejectReusedToken();
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user) {
+    await revokeSession(session._id, "user-missing");
+    throw new UnauthorizedError("User not found");
+  }
+  if (user.deactivatedAt) {
+    await revokeSession(session._id, "account-deactivated");
+    throw new UnauthorizedError("Account has been deactivated");
+  }
+
+  const newRefreshToken = generateRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    {
+      _id: session._id,
+      refreshTokenHash: hashToken(refreshToken),
+      revokedAt: null,
+    },
+    {
+      refreshTokenHash: hashToken(newRefreshToken),
+      lastUsedAt: new Date(),
+      expiresAt: refreshExpiryDate(),
+      ...clientInfo(req),
+    },
+    { new: true }
+  );
+  // Another refresh with the same token got there first
+  if (!rotated) {
+    await rejectReusedToken();
+  }
+
+  return {
+    user,
+    session: rotated,
+    accessToken: generateAccessToken(user._id, session._id),
+    refreshToken: newRefreshToken,
+  };
+};
+
+/**
+ * Verify an access token and make sure its session is still live.
+ * Shared by the HTTP `protect` middleware and the Socket.IO handshake.
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (!decoded.sid) {
+    throw new UnauthorizedError("Invalid token");
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (
+    !session ||
+    !session.isActive() ||
+    session.userId.toString() !== decoded.id.toString()
+  ) {
+    throw new UnauthorizedError("Session has expired or been revoked");
+  }
+
+  const user = await User.findById(decoded.id).select("-password");
+  if (!user) {
+    throw new UnauthorizedError("User not found");
+  }
+  if (user.deactivatedAt) {
+    throw new UnauthorizedError("Account has been deactivated");
+  }
+
+  return { user, session };
+};
+
+module.exports = {
+  hashToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  verifyAccessToken,
+};
@@ -0,0 +1,211 @@
+const Task = require("../models/Task");
+const Project = require("../models/Project");
+const { ValidationError } = require("./errorTypes");
+const { openTaskFilter } = require("./workflows");
+const { deleteTasksCascade } = require("./projects");
+const { recordTaskActivity } = require("./activity");
+const {
+  STATUS_CATEGORIES,
+  OPEN_SUBTASK_POLICIES,
+  ACTIVITY_ACTIONS,
+} = require("../config/constants");
+
+/**
+ * How many levels of subtasks a top-level task may have: TASK_MAX_DEPTH,
+ * default 3 (0 turns subtasks off)
+ */
+const maxDepth = () => {
+  const depth = parseInt(process.env.TASK_MAX_DEPTH, 10);
+  return Number.isFinite(depth) && depth >= 0 ? depth : 3;
+};
+
+const idOf = (value) => String(value._id || value);
+
+/**
+ * Ancestors of a task placed under `parentId` (none for a top-level task).
+ * The parent must belong to the same project, and the task together with
+ * `height` levels of its own subtasks must stay within the depth limit.
+ */
+const subtaskAncestors = async (parentId, projectId, height = 0) => {
+  if (!parentId) return [];
+
+  const parent = await Task.findById(parentId);
+  if (!parent || idOf(parent.projectId) !== idOf(projectId)) {
+    throw new ValidationError("The parent must be a task of the same project");
+  }
+
+  const ancestors = [...parent.ancestors, parent._id];
+  if (ancestors.length + height > maxDepth()) {
+    throw new ValidationError(
+      `Subtasks cannot be nested more than ${maxDepth()} levels deep`
+    );
+  }
+  return ancestors;
+};
+
+/**
+ * Move a task with all its subtasks under `parentId`, or to the top level
+ * with null. Updates the subtasks' paths and returns the task's new
+ * ancestors for the caller to save along with `parentId`.
+ */
+const moveSubtree = async (task, parentId) => {
+  const descendants = await Task.find({ ancestors: task._id });
+  if (
+    parentId &&
+    [task, ...descendants].some((t) => idOf(t) === idOf(parentId))
+  ) {
+    throw new ValidationError(
+      "A task cannot be moved under itself or one of its subtasks"
+    );
+  }
+
+  const depth = task.ancestors.length + 1;
+  const height = descendants.reduce(
+    (max, d) => Math.max(max, d.ancestors.length - depth + 1),
+    0
+  );
+  const ancestors = await subtaskAncestors(parentId, task.projectId, height);
+
+  // Subtasks keep their path below the moved task
+  if (descendants.length > 0) {
+    await Task.bulkWrite(
+      descendants.map((d) => ({
+        updateOne: {
+          filter: { _id: d._id },
+          update: {
+            ancestors: [...ancestors, task._id, ...d.ancestors.slice(depth)],
+          },
+        },
+      }))
+    );
+  }
+  return ancestors;
+};
+
+/**
+ * Completing a task that still has open subtasks: refused on projects set to
+ * "block", allowed with a warning (returned) on "warn" projects. Returns
+ * null when there is nothing to warn about.
+ */
+const checkOpenSubtasks = async (task, target) => {
+  if (target.category !== STATUS_CATEGORIES.COMPLETE) return null;
+
+  const open = await Task.countDocuments({
+    ancestors: task._id,
+    ...openTaskFilter(),
+  });
+  if (open === 0) return null;
+
+  const message = `"${task.title}" still has ${open} open subtask${open === 1 ? "" : "s"}`;
+  const project = await Project.findById(idOf(task.projectId)).select(
+    "openSubtasks"
+  );
+  if (project?.openSubtasks === OPEN_SUBTASK_POLICIES.BLOCK) {
+    throw new ValidationError(`${message}; complete them first`);
+  }
+  return message;
+};
+
+/**
+ * Roll-up progress (0-100) of each task, keyed by id. Complete tasks are at
+ * 100; other tasks average their checklist items (0 or 100 each) and their
+ * direct subtasks (their own progress); open tasks with neither are at 0.
+ */
+const computeProgress = async (tasks) => {
+  if (tasks.length === 0) return new Map();
+
+  const descendants = await Task.find({
+    ancestors: { $in: tasks.map((task) => task._id) },
+  })
+    .select("parentId statusCategory checklist.done")
+    .lean();
+
+  const children = new Map();
+  for (const task of descendants) {
+    const parentId = idOf(task.parentId);
+    children.set(parentId, [...(children.get(parentId) || []), task]);
+  }
+
+  const memo = new Map();
+  const progressOf = (task) => {
+    const id = idOf(task);
+    if (!memo.has(id)) {
+      const units = [
+        ...(task.checklist || []).map((item) => (item.done ? 100 : 0)),
+        ...(children.get(id) || []).map(progressOf),
+      ];
+      let progress = 0;
+      if (task.statusCategory === STATUS_CATEGORIES.COMPLETE) {
+        progress = 100;
+      } else if (units.length > 0) {
+        progress = units.reduce((sum, unit) => sum + unit, 0) / units.length;
+      }
+      memo.set(id, progress);
+    }
+    return memo.get(id);
+  };
+
+  return new Map(
+    tasks.map((task) => [idOf(task), Math.round(progressOf(task))])
+  );
+};
+
+/**
+ * Plain task objects with their roll-up `progress`
+ */
+const withProgress = async (tasks) => {
+  const progress = await computeProgress(tasks);
+  return tasks.map((task) => ({
+    ...task.toObject(),
+    progress: progress.get(idOf(task)),
+  }));
+};
+
+/**
+ * Nest tasks under their parents (`subtasks`), keeping their order. Tasks
+ * whose parent is not in the list are roots.
+ */
+const buildTaskTree = (tasks) => {
+  const nodes = new Map(
+    tasks.map((task) => [idOf(task), { ...task, subtasks: [] }])
+  );
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentId && nodes.get(idOf(node.parentId));
+    (parent ? parent.subtasks : roots).push(node);
+  }
+  return roots;
+};
+
+/**
+ * Delete a task with all its subtasks (and their comments and jobs) and log
+ * every deletion. Returns the ids of the deleted subtasks.
+ */
+const deleteTaskTree = async (task, { actor, source }, session = null) => {
+  const subtasks = await Task.find({ ancestors: task._id }).session(session);
+
+  // Logged before deleting, so that without a transaction a failed deletion
+  // can be run again
+  for (const deleted of [task, ...subtasks]) {
+    await recordTaskActivity(
+      { task: deleted, actor, source, action: ACTIVITY_ACTIONS.DELETED },
+      session
+    );
+  }
+  await deleteTasksCascade(
+    { _id: { $in: [task._id, ...subtasks.map((subtask) => subtask._id)] } },
+    session
+  );
+
+  return subtasks.map((subtask) => subtask._id);
+};
+
+module.exports = {
+  subtaskAncestors,
+  moveSubtree,
+  checkOpenSubtasks,
+  withProgress,
+  buildTaskTree,
+  deleteTaskTree,
+};
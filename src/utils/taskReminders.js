@@ -0,0 +1,167 @@
+const Task = require("../models/Task");
+const { sendMail } = require("./mailer");
+const { emitToProject } = require("./projects");
+const { openTaskFilter } = require("./workflows");
+const {
+  registerJobHandler,
+  scheduleJob,
+  cancelJobs,
+} = require("./scheduler");
+const { JOB_TYPES } = require("../config/constants");
+
+const reminderLeadMs = () => {
+  const hours = parseInt(process.env.TASK_REMINDER_HOURS, 10);
+  return (Number.isFinite(hours) && hours > 0 ? hours : 24) * 60 * 60 * 1000;
+};
+
+const reminderKey = (taskId) => `${JOB_TYPES.TASK_REMINDER}:${taskId}`;
+const overdueKey = (taskId) => `${JOB_TYPES.TASK_OVERDUE}:${taskId}`;
+
+const buildTaskUrl = (task) => {
+  const baseUrl =
+    process.env.CLIENT_URL ||
+    process.env.CORS_ORIGIN ||
+    "http://localhost:5173";
+  return `${baseUrl}/projects/${task.projectId._id || task.projectId}?task=${task._id}`;
+};
+
+// Due date in the user's own timezone and locale
+const formatDueDate = (date, user) => {
+  try {
+    return date.toLocaleString(user.locale || "en", {
+      timeZone: user.timezone || "UTC",
+      dateStyle: "medium",
+      timeStyle: "short",
+    });
+  } catch (error) {
+    return date.toISOString();
+  }
+};
+
+/**
+ * (Re)schedule the reminder and overdue jobs of a task after its due date,
+ * assignees or status changed. Tasks without a due date have none; the
+ * assignees are reminded TASK_REMINDER_HOURS (default 24) before it.
+ */
+const scheduleTaskReminders = async (task) => {
+  if (!task.dueDate) {
+    await cancelJobs([reminderKey(task._id), overdueKey(task._id)]);
+    return;
+  }
+
+  const dueDate = new Date(task.dueDate);
+  const payload = {
+    taskId: task._id.toString(),
+    dueDate: dueDate.toISOString(),
+  };
+
+  if (task.assignees.length > 0 && dueDate > new Date()) {
+    await scheduleJob({
+      type: JOB_TYPES.TASK_REMINDER,
+      key: reminderKey(task._id),
+      subjectId: task._id,
+      runAt: new Date(Math.max(Date.now(), dueDate - reminderLeadMs())),
+      payload,
+    });
+  } else {
+    await cancelJobs([reminderKey(task._id)]);
+  }
+
+  await scheduleJob({
+    type: JOB_TYPES.TASK_OVERDUE,
+    key: overdueKey(task._id),
+    subjectId: task._id,
+    runAt: dueDate,
+    payload,
+  });
+};
+
+/**
+ * Claim a notification for an open task whose due date is still the one the
+ * job was scheduled for. The flag is set in the same update, so a task is
+ * reminded or flagged at most once per due date even with several instances;
+ * deliverClaimed gives the claim back if the notification fails.
+ */
+const claimTask = (taskId, dueDate, flag, extra = {}) =>
+  Task.findOneAndUpdate(
+    {
+      _id: taskId,
+      dueDate: new Date(dueDate),
+      [flag]: null,
+      ...extra,
+      ...openTaskFilter(),
+    },
+    { [flag]: new Date() },
+    { new: true }
+  )
+    .populate("projectId", "name")
+    .populate("assignees", "name email timezone locale deactivatedAt");
+
+/**
+ * Run `send` for a claimed task. When it throws, the claim is released
+ * (unless the due date changed since) before the error reaches the
+ * scheduler, so the retried job can claim the task again.
+ */
+const deliverClaimed = async (task, flag, send) => {
+  try {
+    await send();
+  } catch (error) {
+    await Task.updateOne(
+      { _id: task._id, dueDate: task.dueDate, [flag]: task[flag] },
+      { [flag]: null }
+    );
+    throw error;
+  }
+};
+
+// Assignees who still get notified about the task
+const activeAssignees = (task) =>
+  (task?.assignees || []).filter((assignee) => !assignee.deactivatedAt);
+
+registerJobHandler(
+  JOB_TYPES.TASK_REMINDER,
+  async ({ taskId, dueDate }, { io }) => {
+    const task = await claimTask(taskId, dueDate, "remindedAt", {
+      "assignees.0": { $exists: true },
+    });
+    if (!task) return;
+
+    await deliverClaimed(task, "remindedAt", async () => {
+      for (const assignee of activeAssignees(task)) {
+        if (io) {
+          io.to(`user:${assignee._id}`).emit("task-reminder", { task });
+        }
+
+        await sendMail({
+          to: assignee.email,
+          subject: `Reminder: "${task.title}" is due soon`,
+          text: `Hi ${assignee.name},\n\nThe task "${task.title}" in ${task.projectId.name} is due ${formatDueDate(task.dueDate, assignee)}.\n\n${buildTaskUrl(task)}`,
+        });
+      }
+    });
+  }
+);
+
+registerJobHandler(
+  JOB_TYPES.TASK_OVERDUE,
+  async ({ taskId, dueDate }, { io }) => {
+    const task = await claimTask(taskId, dueDate, "overdueAt");
+    if (!task) return;
+
+    await deliverClaimed(task, "overdueAt", async () => {
+      await emitToProject(io, task.projectId, "task-overdue", { task });
+
+      for (const assignee of activeAssignees(task)) {
+        await sendMail({
+          to: assignee.email,
+          subject: `Overdue: "${task.title}"`,
+          text: `Hi ${assignee.name},\n\nThe task "${task.title}" in ${task.projectId.name} was due ${formatDueDate(task.dueDate, assignee)} and is not complete yet.\n\n${buildTaskUrl(task)}`,
+        });
+      }
+    });
+  }
+);
+
+module.exports = {
+  scheduleTaskReminders,
+};
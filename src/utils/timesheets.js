@@ -0,0 +1,236 @@
+const mongoose = require("mongoose");
+const Task = require("../models/Task");
+const User = require("../models/User");
+const Project = require("../models/Project");
+const TimeEntry = require("../models/TimeEntry");
+const { ForbiddenError } = require("./errorTypes");
+const { projectsWhere } = require("./policy");
+const { toCsv } = require("./csv");
+
+const MINUTE_MS = 60 * 1000;
+
+const editWindowDays = () => {
+  const days = parseInt(process.env.TIME_ENTRY_EDIT_DAYS, 10);
+  return Number.isFinite(days) && days >= 0 ? days : 7;
+};
+
+/**
+ * Time entries can only be changed by their owner, within
+ * TIME_ENTRY_EDIT_DAYS (default 7) of logging them; running timers any time
+ */
+const assertEntryEditable = (entry, user) => {
+  if (!entry.userId || !entry.userId.equals(user._id)) {
+    throw new ForbiddenError("You can only change your own time entries");
+  }
+
+  const days = editWindowDays();
+  if (entry.loggedAt && Date.now() - entry.loggedAt > days * 24 * 60 * MINUTE_MS) {
+    throw new ForbiddenError(
+      `Time entries can only be changed within ${days} days of logging them`
+    );
+  }
+};
+
+/**
+ * End a running timer at `at`; it counts at least one minute
+ */
+const stopTimer = async (entry, at = new Date()) => {
+  entry.endedAt = at;
+  entry.minutes = Math.max(1, Math.round((at - entry.startedAt) / MINUTE_MS));
+  entry.loggedAt = at;
+  await entry.save();
+  return entry;
+};
+
+/**
+ * Minutes logged on each of the given tasks (finished entries only), by id
+ */
+const loggedMinutes = async (taskIds) => {
+  const totals = await TimeEntry.aggregate([
+    { $match: { taskId: { $in: taskIds }, endedAt: { $ne: null } } },
+    { $group: { _id: "$taskId", minutes: { $sum: "$minutes" } } },
+  ]);
+  return new Map(totals.map((total) => [total._id.toString(), total.minutes]));
+};
+
+/**
+ * Plain task objects with the minutes logged on them (`loggedMinutes`)
+ */
+const withLoggedTime = async (tasks) => {
+  const totals = await loggedMinutes(tasks.map((task) => task._id));
+  return tasks.map((task) => ({
+    ...task,
+    loggedMinutes: totals.get(task._id.toString()) || 0,
+  }));
+};
+
+/**
+ * Entries a user may see in reports: every entry in projects where they may
+ * view timesheets, their own ones in the other projects they can see
+ */
+const visibleEntriesFilter = async (user, projectFilter = {}) => {
+  const [readable, managed] = await Promise.all([
+    projectsWhere(user, "project:read", projectFilter),
+    projectsWhere(user, "project:view-timesheets", projectFilter),
+  ]);
+  const own = readable.filter((id) => !managed.some((m) => m.equals(id)));
+
+  return {
+    $or: [
+      { projectId: { $in: managed } },
+      { projectId: { $in: own }, userId: user._id },
+    ],
+  };
+};
+
+// Minutes as decimal hours for spreadsheets
+const hours = (minutes) =>
+  minutes === null || minutes === undefined ? null : (minutes / 60).toFixed(2);
+
+const byName = (docs, field) =>
+  new Map(docs.map((doc) => [doc._id.toString(), doc[field]]));
+
+/**
+ * Finished time entries between `from` and `to` (by start time), summed per
+ * combination of `groupBy` keys (user, project, task, date). Dates are days
+ * in `timezone`. Task rows carry the task's estimate and all the time ever
+ * logged on it, so actual and estimated effort can be compared.
+ */
+const timesheetReport = async (
+  user,
+  { from, to, projectId = null, userId = null, groupBy, timezone = "UTC" }
+) => {
+  const match = {
+    ...(await visibleEntriesFilter(user, projectId ? { _id: projectId } : {})),
+    endedAt: { $ne: null },
+    startedAt: { $gte: from, $lt: to },
+  };
+  if (userId) match.userId = new mongoose.Types.ObjectId(userId);
+
+  const keys = {
+    user: "$userId",
+    project: "$projectId",
+    task: "$taskId",
+    date: {
+      $dateToString: { format: "%Y-%m-%d", date: "$startedAt", timezone },
+    },
+  };
+  const groups = await TimeEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: Object.fromEntries(groupBy.map((key) => [key, keys[key]])),
+        minutes: { $sum: "$minutes" },
+        entries: { $sum: 1 },
+        taskTitle: { $last: "$taskTitle" },
+      },
+    },
+  ]);
+
+  const idsOf = (key) => [
+    ...new Set(groups.map((group) => group._id[key]).filter(Boolean).map(String)),
+  ];
+  const [users, projects, tasks] = await Promise.all([
+    groupBy.includes("user")
+      ? User.find({ _id: { $in: idsOf("user") } }).select("name email")
+      : [],
+    groupBy.includes("project")
+      ? Project.find({ _id: { $in: idsOf("project") } }).select("name")
+      : [],
+    groupBy.includes("task")
+      ? Task.find({ _id: { $in: idsOf("task") } }).select("title estimateMinutes")
+      : [],
+  ]);
+  const userNames = byName(users, "name");
+  const projectNames = byName(projects, "name");
+  const taskDocs = new Map(tasks.map((task) => [task._id.toString(), task]));
+  const taskTotals = groupBy.includes("task")
+    ? await loggedMinutes(idsOf("task").map((id) => new mongoose.Types.ObjectId(id)))
+    : new Map();
+
+  const rows = groups.map(({ _id: key, minutes, entries, taskTitle }) => {
+    const row = {};
+    if (groupBy.includes("user")) {
+      row.user = key.user
+        ? { _id: key.user, name: userNames.get(String(key.user)) ?? null }
+        : null;
+    }
+    if (groupBy.includes("project")) {
+      row.project = {
+        _id: key.project,
+        name: projectNames.get(String(key.project)) ?? null,
+      };
+    }
+    if (groupBy.includes("task")) {
+      const task = taskDocs.get(String(key.task));
+      row.task = {
+        _id: key.task,
+        title: task ? task.title : taskTitle,
+        deleted: !task,
+        estimateMinutes: task ? task.estimateMinutes : null,
+        loggedMinutes: taskTotals.get(String(key.task)) || 0,
+      };
+    }
+    if (groupBy.includes("date")) row.date = key.date;
+    return { ...row, minutes, entries };
+  });
+
+  // Rows in groupBy order: by name, title or date
+  const sortValue = (row, key) =>
+    ({
+      user: row.user?.name,
+      project: row.project?.name,
+      task: row.task?.title,
+      date: row.date,
+    })[key] || "";
+  rows.sort((a, b) => {
+    for (const key of groupBy) {
+      const order = String(sortValue(a, key)).localeCompare(String(sortValue(b, key)));
+      if (order !== 0) return order;
+    }
+    return 0;
+  });
+
+  return {
+    from,
+    to,
+    timezone,
+    groupBy,
+    totalMinutes: rows.reduce((sum, row) => sum + row.minutes, 0),
+    rows,
+  };
+};
+
+/**
+ * The report as CSV, one line per row with its group columns first
+ */
+const timesheetCsv = ({ groupBy, rows }) => {
+  const columns = {
+    user: [{ header: "User", value: (row) => row.user?.name ?? "Deleted user" }],
+    project: [{ header: "Project", value: (row) => row.project.name }],
+    task: [
+      { header: "Task", value: (row) => row.task.title },
+      { header: "Estimate (h)", value: (row) => hours(row.task.estimateMinutes) },
+      { header: "Logged on task (h)", value: (row) => hours(row.task.loggedMinutes) },
+    ],
+    date: [{ header: "Date", value: (row) => row.date }],
+  };
+
+  return toCsv(
+    [
+      ...groupBy.flatMap((key) => columns[key]),
+      { header: "Hours", value: (row) => hours(row.minutes) },
+      { header: "Entries", value: (row) => row.entries },
+    ],
+    rows
+  );
+};
+
+module.exports = {
+  assertEntryEditable,
+  stopTimer,
+  loggedMinutes,
+  withLoggedTime,
+  timesheetReport,
+  timesheetCsv,
+};
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// Standalone servers (the usual local setup) have no transactions
+const isTransactionUnsupported = (error) =>
+  error?.code === 20 ||
+  /Transaction numbers are only allowed|replica set/i.test(error?.message || "");
+
+// Transactions are required in production unless MONGODB_REQUIRE_TRANSACTIONS
+// says otherwise
+const transactionsRequired = () => {
+  const setting = process.env.MONGODB_REQUIRE_TRANSACTIONS;
+  if (setting === "true" || setting === "false") return setting === "true";
+  return process.env.NODE_ENV === "production";
+};
+
+let warnedStandalone = false;
+
+/**
+ * Run `work(session)` in a transaction. When transactions are not required
+ * (see MONGODB_REQUIRE_TRANSACTIONS), a standalone MongoDB runs `work` once
+ * without one (`session` is null): a failure halfway then leaves the steps
+ * done so far in place, so `work` must write in an order that makes running
+ * it again finish the job. Otherwise the error reaches the caller.
+ */
+const withTransaction = async (work) => {
+  try {
+    return await mongoose.connection.transaction((session) => work(session));
+  } catch (error) {
+    if (!isTransactionUnsupported(error) || transactionsRequired()) throw error;
+
+    if (!warnedStandalone) {
+      warnedStandalone = true;
+      console.warn(
+        "⚠️  MongoDB does not support transactions (standalone server); multi-step changes run without one"
+      );
+    }
+    return work(null);
+  }
+};
+
+module.exports = { withTransaction };
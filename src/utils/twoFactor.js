@@ -0,0 +1,174 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const { hashToken } = require("./sessionManager");
+
+// RFC 6238 defaults understood by every authenticator app
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next code to tolerate clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, "0");
+  });
+
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = "";
+  input
+    .replace(/=+$/, "")
+    .toUpperCase()
+    .split("")
+    .forEach((char) => {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index !== -1) bits += index.toString(2).padStart(5, "0");
+    });
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+// HOTP (RFC 4226) for one time step
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+ * Time step matched by `code`, or null. Steps at or before `lastStep` are
+ * refused so an observed code cannot be replayed.
+ */
+const matchCode = (secret, code, lastStep = null) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+
+  const now = currentStep();
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step += 1) {
+    if (lastStep !== null && step <= lastStep) continue;
+
+    const expected = Buffer.from(generateCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const buildOtpauthUrl = (secret, email) => {
+  const issuer = process.env.TWO_FACTOR_ISSUER || "Team Collaboration";
+  const label = encodeURIComponent(`${issuer}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+const normalizeRecoveryCode = (code) =>
+  String(code || "")
+    .replace(/[\s-]/g, "")
+    .toLowerCase();
+
+/**
+ * Fresh recovery codes: the plain codes for the user, the hashes for storage
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))),
+  };
+};
+
+/**
+ * Check a TOTP code against the user's enabled secret and remember its step
+ */
+const verifyTotp = async (userId, code) => {
+  const user = await User.findById(userId).select(
+    "+twoFactorSecret +twoFactorLastStep"
+  );
+  if (!user || !user.twoFactorEnabled || !user.twoFactorSecret) return false;
+
+  const step = matchCode(user.twoFactorSecret, code, user.twoFactorLastStep);
+  if (step === null) return false;
+
+  // Conditional update so two requests cannot both use the same code
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { twoFactorLastStep: null },
+        { twoFactorLastStep: { $lt: step } },
+      ],
+    },
+    { twoFactorLastStep: step }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Use up one recovery code; each code works only once
+ */
+const useRecoveryCode = async (userId, code) => {
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      twoFactorEnabled: true,
+      twoFactorRecoveryCodes: hashToken(normalizeRecoveryCode(code)),
+    },
+    { $pull: { twoFactorRecoveryCodes: hashToken(normalizeRecoveryCode(code)) } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Second factor from a request body: either `code` (TOTP) or `recoveryCode`
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  if (code) return verifyTotp(userId, code);
+  if (recoveryCode) return useRecoveryCode(userId, recoveryCode);
+  return false;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  matchCode,
+  currentStep,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  verifySecondFactor,
+};
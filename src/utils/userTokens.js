@@ -0,0 +1,135 @@
+const crypto = require("crypto");
+const UserToken = require("../models/UserToken");
+const { hashToken } = require("./sessionManager");
+const { sendMail } = require("./mailer");
+const { ValidationError } = require("./errorTypes");
+const { USER_TOKEN_TYPES } = require("../config/constants");
+
+const numberFromEnv = (name, fallback) =>
+  parseInt(process.env[name], 10) || fallback;
+
+// Login challenges only bridge the password and the second factor
+const TWO_FACTOR_CHALLENGE_MS = 5 * 60 * 1000;
+
+const tokenLifetimeMs = (type) => {
+  switch (type) {
+    case USER_TOKEN_TYPES.PASSWORD_RESET:
+      return numberFromEnv("PASSWORD_RESET_EXPIRE_MINUTES", 60) * 60 * 1000;
+    case USER_TOKEN_TYPES.TWO_FACTOR_CHALLENGE:
+      return TWO_FACTOR_CHALLENGE_MS;
+    default:
+      return numberFromEnv("EMAIL_VERIFICATION_EXPIRE_HOURS", 48) * 60 * 60 * 1000;
+  }
+};
+
+const buildClientUrl = (pathname, token) => {
+  const baseUrl =
+    process.env.CLIENT_URL ||
+    process.env.CORS_ORIGIN ||
+    "http://localhost:5173";
+  return `${baseUrl}${pathname}?token=${token}`;
+};
+
+/**
+ * Invalidate the unused tokens of the given type
+ */
+const revokeUserTokens = (user, type) =>
+  UserToken.deleteMany({ userId: user._id, type, usedAt: null });
+
+/**
+ * Issue a fresh token of the given type, invalidating any earlier unused one
+ */
+const issueUserToken = async (user, type) => {
+  await revokeUserTokens(user, type);
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await UserToken.create({
+    userId: user._id,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + tokenLifetimeMs(type)),
+  });
+
+  return token;
+};
+
+const usableTokenFilter = (token, type) => ({
+  tokenHash: hashToken(token || ""),
+  type,
+  usedAt: null,
+  expiresAt: { $gt: new Date() },
+});
+
+/**
+ * Look up a usable token without using it up
+ */
+const findUserToken = async (token, type) => {
+  const userToken = await UserToken.findOne(usableTokenFilter(token, type));
+  if (!userToken) {
+    throw new ValidationError("Token is invalid or has expired");
+  }
+
+  return userToken;
+};
+
+/**
+ * Mark a token as used and return it; each token can be consumed only once
+ */
+const consumeUserToken = async (token, type) => {
+  const userToken = await UserToken.findOneAndUpdate(
+    usableTokenFilter(token, type),
+    { usedAt: new Date() },
+    { new: true }
+  );
+  if (!userToken) {
+    throw new ValidationError("Token is invalid or has expired");
+  }
+
+  return userToken;
+};
+
+// Sent to the pending address while the user is changing their email
+const sendVerificationEmail = async (user) => {
+  const token = await issueUserToken(user, USER_TOKEN_TYPES.EMAIL_VERIFICATION);
+
+  await sendMail({
+    to: user.pendingEmail || user.email,
+    subject: "Verify your email address",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "Please confirm your email address by opening the link below:",
+      buildClientUrl("/verify-email", token),
+      "",
+      `Verification token: ${token}`,
+    ].join("\n"),
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueUserToken(user, USER_TOKEN_TYPES.PASSWORD_RESET);
+
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "Someone asked to reset the password of your account. If it was you, open the link below:",
+      buildClientUrl("/reset-password", token),
+      "",
+      `Reset token: ${token}`,
+      "",
+      "If you did not ask for this, you can ignore this email.",
+    ].join("\n"),
+  });
+};
+
+module.exports = {
+  revokeUserTokens,
+  issueUserToken,
+  findUserToken,
+  consumeUserToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+};
@@ -0,0 +1,89 @@
+const User = require("../models/User");
+const { can } = require("./policy");
+
+const idOf = (value) => String(value._id || value);
+
+// Watchers of the task to tell about `event`: not its actor
+const watcherIdsFor = (task, event) => {
+  const actorId = event.actorId ? idOf(event.actorId) : null;
+  return (task.watchers || []).map(idOf).filter((id) => id !== actorId);
+};
+
+// The active `users` among those watchers who can still read the task
+const recipientsFor = async (task, event, users) => {
+  const watcherIds = new Set(watcherIdsFor(task, event));
+  const watchers = users.filter((user) => watcherIds.has(idOf(user)));
+  const readable = await Promise.all(
+    watchers.map((user) => can(user, "task:read", task))
+  );
+  return watchers.filter((user, index) => readable[index]);
+};
+
+const activeUsers = (userIds) =>
+  User.find({ _id: { $in: userIds }, deactivatedAt: null }).select("_id");
+
+const watcherPayload = (task, event) => ({
+  taskId: task._id,
+  taskTitle: task.title,
+  projectId: task.projectId._id || task.projectId,
+  actorId: event.actorId ? idOf(event.actorId) : null,
+  action: event.action,
+  changes: event.changes || [],
+  ...(event.comment && { comment: event.comment }),
+});
+
+/**
+ * Tell the watchers of a task what happened to it (`watched-task-updated`
+ * in their `user:` rooms): an activity entry, or `{ actorId, action,
+ * comment }` for events the log does not hold. The actor is left out, and
+ * so is anyone who is deactivated or can no longer read the task.
+ */
+const notifyWatchers = async (io, task, event) => {
+  if (!io || !event) return;
+
+  const watcherIds = watcherIdsFor(task, event);
+  if (watcherIds.length === 0) return;
+
+  const recipients = await recipientsFor(
+    task,
+    event,
+    await activeUsers(watcherIds)
+  );
+  if (recipients.length === 0) return;
+
+  io.to(recipients.map((user) => `user:${user._id}`)).emit(
+    "watched-task-updated",
+    watcherPayload(task, event)
+  );
+};
+
+/**
+ * notifyWatchers for many tasks changed at once (bulk changes): each
+ * watcher gets a single `watched-tasks-updated` with the `updates` of all
+ * the tasks they were told about. `events` are `{ task, event }`.
+ */
+const notifyWatchersOfMany = async (io, events) => {
+  const relevant = events.filter(({ event }) => event);
+  if (!io || relevant.length === 0) return;
+
+  const watcherIds = [
+    ...new Set(relevant.flatMap(({ task, event }) => watcherIdsFor(task, event))),
+  ];
+  if (watcherIds.length === 0) return;
+  const users = await activeUsers(watcherIds);
+
+  const updatesByUser = new Map();
+  for (const { task, event } of relevant) {
+    for (const user of await recipientsFor(task, event, users)) {
+      const key = idOf(user);
+      if (!updatesByUser.has(key)) updatesByUser.set(key, []);
+      updatesByUser.get(key).push(watcherPayload(task, event));
+    }
+  }
+
+  for (const [userId, updates] of updatesByUser) {
+    io.to(`user:${userId}`).emit("watched-tasks-updated", { updates });
+  }
+};
+
+module.exports = { notifyWatchers, notifyWatchersOfMany };
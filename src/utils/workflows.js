@@ -0,0 +1,225 @@
+const Project = require("../models/Project");
+const Task = require("../models/Task");
+const { ForbiddenError, ValidationError } = require("./errorTypes");
+const { getProjectRole } = require("./policy");
+const { updateTasksWithActivity } = require("./activity");
+const {
+  TASK_STATUS,
+  STATUS_CATEGORIES,
+  WORKFLOW_ANY_STATUS,
+  DEFAULT_WORKFLOW,
+} = require("../config/constants");
+
+// Words the assistant understands for "the first status of a category"
+const CATEGORY_WORDS = {
+  completed: STATUS_CATEGORIES.COMPLETE,
+  complete: STATUS_CATEGORIES.COMPLETE,
+  finished: STATUS_CATEGORIES.COMPLETE,
+  started: STATUS_CATEGORIES.ACTIVE,
+};
+
+/**
+ * Workflow of a project; projects without statuses of their own use the
+ * default one
+ */
+const getWorkflow = (project) => {
+  const workflow = project?.workflow;
+  if (!workflow || !workflow.statuses || workflow.statuses.length === 0) {
+    return DEFAULT_WORKFLOW;
+  }
+  return { statuses: workflow.statuses, transitions: workflow.transitions };
+};
+
+/**
+ * Workflow of the project behind a project or task resource, loading the
+ * project when it was not populated with its workflow
+ */
+const resolveWorkflow = async (resource) => {
+  const isProject = (doc) => doc?.constructor?.modelName === "Project";
+
+  let project = isProject(resource) ? resource : resource?.projectId;
+  if (project && !(isProject(project) && project.isSelected("workflow"))) {
+    project = await Project.findById(project._id || project).select("workflow");
+  }
+  return getWorkflow(project);
+};
+
+const findStatus = (workflow, key) =>
+  workflow.statuses.find((status) => status.key === key);
+
+/**
+ * The workflow status with this key; throws a ValidationError otherwise
+ */
+const assertStatus = (workflow, key) => {
+  const status = findStatus(workflow, key);
+  if (!status) {
+    throw new ValidationError(
+      `Status must be one of ${workflow.statuses.map((s) => s.key).join(", ")}`
+    );
+  }
+  return status;
+};
+
+// New tasks start in the first not-started status (or the first status)
+const initialStatus = (workflow) =>
+  workflow.statuses.find(
+    (status) => status.category === STATUS_CATEGORIES.NOT_STARTED
+  ) || workflow.statuses[0];
+
+/**
+ * Throw unless the user may move a task of the project from `from` to `to`
+ * and return the target status. Without transition rules every move is
+ * allowed; otherwise a rule must match the move and, when it lists roles,
+ * the user's role in the project.
+ */
+const assertTransition = async (user, resource, workflow, from, to) => {
+  const target = assertStatus(workflow, to);
+  if (from === to || workflow.transitions.length === 0) return target;
+
+  const rules = workflow.transitions.filter(
+    (rule) =>
+      rule.to === to && (rule.from === WORKFLOW_ANY_STATUS || rule.from === from)
+  );
+  if (rules.length === 0) {
+    const source = findStatus(workflow, from);
+    throw new ValidationError(
+      `Tasks cannot move from "${source ? source.name : from}" to "${target.name}"`
+    );
+  }
+
+  if (rules.some((rule) => !rule.roles || rule.roles.length === 0)) {
+    return target;
+  }
+
+  const role = await getProjectRole(user, resource);
+  if (!rules.some((rule) => rule.roles.includes(role))) {
+    const roles = [...new Set(rules.flatMap((rule) => rule.roles))];
+    throw new ForbiddenError(
+      `Only ${roles.join(", ")} can move tasks to "${target.name}"`
+    );
+  }
+  return target;
+};
+
+/**
+ * Check a workflow before saving it: transitions may only name its statuses
+ */
+const assertValidWorkflow = ({ statuses, transitions = [] }) => {
+  const keys = new Set(statuses.map((status) => status.key));
+
+  transitions.forEach((rule) => {
+    [rule.from, rule.to]
+      .filter((key) => key !== WORKFLOW_ANY_STATUS)
+      .forEach((key) => {
+        if (!keys.has(key)) {
+          throw new ValidationError(
+            `Transition refers to unknown status "${key}"`
+          );
+        }
+      });
+  });
+};
+
+/**
+ * Move the project's tasks onto a new workflow: tasks in removed statuses
+ * go to the status `statusMap` names for them, and every task gets the
+ * category of its status. Throws when a removed status is still in use and
+ * not mapped. Status moves are logged as changes made by `actor`.
+ */
+const applyWorkflowToTasks = async (
+  projectId,
+  workflow,
+  { statusMap = {}, actor = null } = {},
+  session = null
+) => {
+  const usedKeys = await Task.find({ projectId })
+    .session(session)
+    .distinct("status");
+
+  const removed = usedKeys.filter((key) => !findStatus(workflow, key));
+  const unmapped = removed.filter(
+    (key) => !findStatus(workflow, statusMap[key])
+  );
+  if (unmapped.length > 0) {
+    throw new ValidationError(
+      `Tasks still use the removed statuses ${unmapped.join(", ")}; map them to new statuses with statusMap`
+    );
+  }
+
+  for (const key of removed) {
+    await updateTasksWithActivity(
+      { projectId, status: key },
+      { status: statusMap[key] },
+      { actor },
+      session
+    );
+  }
+  for (const status of workflow.statuses) {
+    await Task.updateMany(
+      { projectId, status: status.key },
+      { statusCategory: status.category },
+      { session }
+    );
+  }
+};
+
+/**
+ * Status named by free text such as "in progress" or "Done": matched against
+ * the keys and names of the workflow, or a category word like "completed"
+ */
+const matchStatus = (workflow, text) => {
+  if (!text) return null;
+
+  const wanted = text.toLowerCase().trim().replace(/\s+/g, " ");
+  const status = workflow.statuses.find(
+    (s) =>
+      s.key === wanted.replace(/ /g, "-") || s.name.toLowerCase() === wanted
+  );
+  if (status) return status;
+
+  const category = CATEGORY_WORDS[wanted];
+  return category
+    ? workflow.statuses.find((s) => s.category === category) || null
+    : null;
+};
+
+/**
+ * First status mentioned anywhere in the text, trying longer phrases first
+ * so "code review" wins over "review"
+ */
+const findStatusIn = (workflow, text) => {
+  const lowerText = text.toLowerCase();
+
+  const candidates = workflow.statuses
+    .flatMap((status) => [
+      [status.name.toLowerCase(), status],
+      [status.key, status],
+      [status.key.replace(/-/g, " "), status],
+    ])
+    .sort(([a], [b]) => b.length - a.length);
+
+  const found = candidates.find(([phrase]) => lowerText.includes(phrase));
+  return found ? found[1] : null;
+};
+
+// Mongo filter for tasks that are not complete. Tasks saved before
+// workflows existed carry no category, so their status decides.
+const openTaskFilter = () => ({
+  $nor: [
+    { statusCategory: STATUS_CATEGORIES.COMPLETE },
+    { statusCategory: null, status: TASK_STATUS.DONE },
+  ],
+});
+
+module.exports = {
+  getWorkflow,
+  resolveWorkflow,
+  assertStatus,
+  initialStatus,
+  assertTransition,
+  assertValidWorkflow,
+  applyWorkflowToTasks,
+  matchStatus,
+  findStatusIn,
+  openTaskFilter,
+};
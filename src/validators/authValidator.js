@@ -1,5 +1,5 @@
 const Joi = require("joi");
-const { ROLES } = require("../config/constants");
+const { TOKEN_SCOPES } = require("../config/constants");
 
 const registerSchema = Joi.object({
   email: Joi.string().email().required().messages({
@@ -14,10 +14,7 @@ const registerSchema = Joi.object({
     "string.min": "Password must be at least 6 characters",
     "any.required": "Password is required",
   }),
-  role: Joi.string()
-    .valid(...Object.values(ROLES))
-    .default(ROLES.MEMBER),
-  teamId: Joi.string().hex().length(24).allow(null).optional(),
+  inviteCode: Joi.string().alphanum().max(32).optional(),
 });
 
 const loginSchema = Joi.object({
@@ -30,7 +27,162 @@ const loginSchema = Joi.object({
   }),
 });
 
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required().messages({
+    "any.required": "Refresh token is required",
+  }),
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    "string.email": "Please provide a valid email",
+    "any.required": "Email is required",
+  }),
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required().messages({
+    "any.required": "Reset token is required",
+  }),
+  password: Joi.string().min(6).required().messages({
+    "string.min": "Password must be at least 6 characters",
+    "any.required": "Password is required",
+  }),
+});
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required().messages({
+    "any.required": "Current password is required",
+  }),
+  newPassword: Joi.string()
+    .min(6)
+    .invalid(Joi.ref("currentPassword"))
+    .required()
+    .messages({
+      "string.min": "Password must be at least 6 characters",
+      "any.invalid": "New password must be different from the current one",
+      "any.required": "New password is required",
+    }),
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required().messages({
+    "any.required": "Verification token is required",
+  }),
+});
+
+const createAccessTokenSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required().messages({
+    "any.required": "Token name is required",
+  }),
+  scopes: Joi.array()
+    .items(
+      Joi.string()
+        .valid(...Object.values(TOKEN_SCOPES))
+        .messages({
+          "any.only": `Scopes must be among: ${Object.values(TOKEN_SCOPES).join(", ")}`,
+        })
+    )
+    .min(1)
+    .required()
+    .messages({
+      "array.min": "At least one scope is required",
+      "any.required": "Scopes are required",
+    }),
+  expiresInDays: Joi.number().integer().min(1).max(365).optional(),
+});
+
+const isTimeZone = (value, helpers) => {
+  try {
+    new Intl.DateTimeFormat("en", { timeZone: value });
+    return value;
+  } catch (error) {
+    return helpers.error("any.invalid");
+  }
+};
+
+const updateProfileSchema = Joi.object({
+  name: Joi.string().min(2).max(50).messages({
+    "string.min": "Name must be at least 2 characters",
+  }),
+  email: Joi.string().email().messages({
+    "string.email": "Please provide a valid email",
+  }),
+  currentPassword: Joi.string(),
+  avatarUrl: Joi.string()
+    .uri({ scheme: ["http", "https"] })
+    .max(500)
+    .allow(null)
+    .messages({ "string.uri": "Avatar must be an http(s) URL" }),
+  timezone: Joi.string()
+    .custom(isTimeZone)
+    .messages({ "any.invalid": "Unknown time zone" }),
+  locale: Joi.string()
+    .pattern(/^[a-z]{2,3}(-[A-Z]{2})?$/)
+    .messages({ "string.pattern.base": "Locale must look like en or en-US" }),
+})
+  .with("email", "currentPassword")
+  .min(1)
+  .messages({
+    "object.with": "Current password is required to change the email",
+  });
+
+const deleteAccountSchema = Joi.object({
+  password: Joi.string().required().messages({
+    "any.required": "Password is required",
+  }),
+  code: Joi.string(),
+  recoveryCode: Joi.string().max(20),
+});
+
+const totpCode = Joi.string()
+  .pattern(/^\d{6}$/)
+  .messages({ "string.pattern.base": "Code must be 6 digits" });
+
+const twoFactorCodeSchema = Joi.object({
+  code: totpCode.required().messages({
+    "any.required": "Authentication code is required",
+  }),
+});
+
+const verifyTwoFactorSchema = Joi.object({
+  challengeToken: Joi.string().required().messages({
+    "any.required": "Challenge token is required",
+  }),
+  code: totpCode,
+  recoveryCode: Joi.string().max(20),
+})
+  .xor("code", "recoveryCode")
+  .messages({
+    "object.missing": "Provide an authentication code or a recovery code",
+    "object.xor": "Provide either an authentication code or a recovery code",
+  });
+
+const disableTwoFactorSchema = Joi.object({
+  password: Joi.string().required().messages({
+    "any.required": "Password is required",
+  }),
+  code: totpCode,
+  recoveryCode: Joi.string().max(20),
+})
+  .xor("code", "recoveryCode")
+  .messages({
+    "object.missing": "Provide an authentication code or a recovery code",
+    "object.xor": "Provide either an authentication code or a recovery code",
+  });
+
 module.exports = {
   registerSchema,
   loginSchema,
+  refreshSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  changePasswordSchema,
+  verifyEmailSchema,
+  createAccessTokenSchema,
+  twoFactorCodeSchema,
+  verifyTwoFactorSchema,
+  disableTwoFactorSchema,
+  updateProfileSchema,
+  deleteAccountSchema,
 };
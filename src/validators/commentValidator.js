@@ -0,0 +1,14 @@
+const Joi = require("joi");
+
+const commentSchema = Joi.object({
+  content: Joi.string().trim().min(1).max(5000).required().messages({
+    "string.empty": "Comment cannot be empty",
+    "string.min": "Comment cannot be empty",
+    "string.max": "Comment cannot exceed 5000 characters",
+    "any.required": "Comment content is required",
+  }),
+});
+
+module.exports = {
+  commentSchema,
+};
@@ -0,0 +1,15 @@
+const Joi = require("joi");
+const { ROLES } = require("../config/constants");
+
+const createInvitationSchema = Joi.object({
+  email: Joi.string().email().allow(null).optional().messages({
+    "string.email": "Please provide a valid email",
+  }),
+  role: Joi.string()
+    .valid(...Object.values(ROLES))
+    .default(ROLES.MEMBER),
+  expiresInDays: Joi.number().integer().min(1).max(30).default(7),
+  maxUses: Joi.number().integer().min(1).max(1000).default(1),
+});
+
+module.exports = { createInvitationSchema };
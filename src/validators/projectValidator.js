@@ -1,4 +1,24 @@
 const Joi = require("joi");
+const {
+  ROLES,
+  PROJECT_ROLES,
+  PROJECT_VISIBILITY,
+  STATUS_CATEGORIES,
+  WORKFLOW_ANY_STATUS,
+  OPEN_SUBTASK_POLICIES,
+} = require("../config/constants");
+
+const visibility = Joi.string()
+  .valid(...Object.values(PROJECT_VISIBILITY))
+  .messages({
+    "any.only": `Visibility must be one of ${Object.values(PROJECT_VISIBILITY).join(", ")}`,
+  });
+
+const openSubtasks = Joi.string()
+  .valid(...Object.values(OPEN_SUBTASK_POLICIES))
+  .messages({
+    "any.only": `openSubtasks must be one of ${Object.values(OPEN_SUBTASK_POLICIES).join(", ")}`,
+  });
 
 const createProjectSchema = Joi.object({
   name: Joi.string().min(3).max(100).required().messages({
@@ -11,15 +31,111 @@ const createProjectSchema = Joi.object({
     "any.required": "Team ID is required",
     "string.length": "Invalid Team ID format",
   }),
+  visibility: visibility.optional(),
+  openSubtasks: openSubtasks.optional(),
 });
 
 const updateProjectSchema = Joi.object({
   name: Joi.string().min(3).max(100).optional(),
   description: Joi.string().max(500).allow("").optional(),
   teamId: Joi.string().hex().length(24).optional(),
+  visibility: visibility.optional(),
+  openSubtasks: openSubtasks.optional(),
+}).min(1);
+
+const projectMemberSchema = Joi.object({
+  role: Joi.string()
+    .valid(...Object.values(PROJECT_ROLES))
+    .messages({
+      "any.only": `Role must be one of ${Object.values(PROJECT_ROLES).join(", ")}`,
+    }),
+});
+
+const statusKey = Joi.string()
+  .max(30)
+  .pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+  .messages({
+    "string.pattern.base":
+      "Status keys may only contain lowercase letters, digits and hyphens",
+  });
+
+const transitionRoles = [
+  ...new Set([...Object.values(ROLES), ...Object.values(PROJECT_ROLES)]),
+];
+
+const workflowSchema = Joi.object({
+  statuses: Joi.array()
+    .items(
+      Joi.object({
+        key: statusKey.required(),
+        name: Joi.string().trim().min(1).max(50).required(),
+        category: Joi.string()
+          .valid(...Object.values(STATUS_CATEGORIES))
+          .required()
+          .messages({
+            "any.only": `Category must be one of ${Object.values(STATUS_CATEGORIES).join(", ")}`,
+          }),
+        color: Joi.string()
+          .pattern(/^#[0-9a-fA-F]{6}$/)
+          .messages({
+            "string.pattern.base": "Color must be a hex color such as #22c55e",
+          }),
+      })
+    )
+    .min(1)
+    .max(20)
+    .unique("key")
+    .required()
+    .messages({
+      "array.min": "A workflow needs at least one status",
+      "array.unique": "Status keys must be unique",
+      "any.required": "Statuses are required",
+    }),
+  transitions: Joi.array()
+    .items(
+      Joi.object({
+        from: Joi.alternatives()
+          .try(Joi.string().valid(WORKFLOW_ANY_STATUS), statusKey)
+          .required(),
+        to: statusKey.required(),
+        roles: Joi.array()
+          .items(Joi.string().valid(...transitionRoles))
+          .unique(),
+      })
+    )
+    .max(200),
+  // Where tasks in removed statuses go: { oldKey: newKey }
+  statusMap: Joi.object().pattern(statusKey, statusKey),
+});
+
+const labelName = Joi.string().trim().min(1).max(30).messages({
+  "string.empty": "Label name is required",
+  "string.max": "Label name cannot exceed 30 characters",
+});
+
+const labelColor = Joi.string()
+  .pattern(/^#[0-9a-fA-F]{6}$/)
+  .messages({
+    "string.pattern.base": "Color must be a hex color such as #22c55e",
+  });
+
+const labelSchema = Joi.object({
+  name: labelName.required().messages({
+    "any.required": "Label name is required",
+  }),
+  color: labelColor.optional(),
+});
+
+const updateLabelSchema = Joi.object({
+  name: labelName.optional(),
+  color: labelColor.optional(),
 }).min(1);
 
 module.exports = {
   createProjectSchema,
   updateProjectSchema,
+  projectMemberSchema,
+  workflowSchema,
+  labelSchema,
+  updateLabelSchema,
 };
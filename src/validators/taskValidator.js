@@ -1,5 +1,56 @@
 const Joi = require("joi");
-const { TASK_STATUS } = require("../config/constants");
+const { TASK_PRIORITIES, TASK_LINK_TYPES } = require("../config/constants");
+
+// Statuses are checked against the project's workflow in the controller
+const status = Joi.string()
+  .max(30)
+  .pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+  .messages({ "string.pattern.base": "Invalid status" });
+
+const priority = Joi.string()
+  .valid(...Object.values(TASK_PRIORITIES))
+  .messages({
+    "any.only": `Priority must be one of ${Object.values(TASK_PRIORITIES).join(", ")}`,
+  });
+
+// Dates may be cleared with null; start <= due is checked in the controller
+// since either one may already be stored on the task
+const taskDate = (label) =>
+  Joi.date()
+    .iso()
+    .allow(null)
+    .messages({
+      "date.base": `${label} must be a valid date`,
+      "date.format": `${label} must be an ISO 8601 date`,
+    });
+
+// Original estimate in minutes; null clears it
+const estimateMinutes = Joi.number()
+  .integer()
+  .min(0)
+  .max(100000)
+  .allow(null)
+  .messages({
+    "number.base": "Estimate must be a number of minutes",
+    "number.integer": "Estimate must be a whole number of minutes",
+    "number.max": "Estimate cannot exceed 100000 minutes",
+  });
+
+// Subtasks: the parent's id, null for a top-level task
+const parentId = Joi.string().hex().length(24).allow(null).messages({
+  "string.length": "Invalid parent task ID format",
+});
+
+// User ids; an empty list leaves the task unassigned. The size limit and
+// who may be assigned are checked in the controller.
+const assignees = Joi.array()
+  .items(
+    Joi.string().hex().length(24).messages({
+      "string.length": "Invalid assignee ID format",
+    })
+  )
+  .unique()
+  .messages({ "array.unique": "A user can only be assigned once" });
 
 const createTaskSchema = Joi.object({
   title: Joi.string().min(3).max(200).required().messages({
@@ -8,26 +59,220 @@ const createTaskSchema = Joi.object({
     "any.required": "Task title is required",
   }),
   description: Joi.string().max(1000).allow("").optional(),
-  status: Joi.string()
-    .valid(...Object.values(TASK_STATUS))
-    .default(TASK_STATUS.TODO),
+  status: status.optional(),
   projectId: Joi.string().hex().length(24).required().messages({
     "any.required": "Project ID is required",
     "string.length": "Invalid Project ID format",
   }),
-  assignedTo: Joi.string().hex().length(24).allow(null).optional(),
+  parentId: parentId.optional(),
+  assignees: assignees.optional(),
+  priority: priority.optional(),
+  estimateMinutes: estimateMinutes.optional(),
+  startDate: taskDate("Start date").optional(),
+  dueDate: taskDate("Due date").optional(),
 });
 
 const updateTaskSchema = Joi.object({
   title: Joi.string().min(3).max(200).optional(),
   description: Joi.string().max(1000).allow("").optional(),
-  status: Joi.string()
-    .valid(...Object.values(TASK_STATUS))
-    .optional(),
-  assignedTo: Joi.string().hex().length(24).allow(null).optional(),
+  status: status.optional(),
+  parentId: parentId.optional(),
+  assignees: assignees.optional(),
+  priority: priority.optional(),
+  estimateMinutes: estimateMinutes.optional(),
+  startDate: taskDate("Start date").optional(),
+  dueDate: taskDate("Due date").optional(),
 }).min(1);
 
+const checklistText = Joi.string().trim().min(1).max(200).messages({
+  "string.empty": "Checklist item text is required",
+  "string.max": "Checklist items cannot exceed 200 characters",
+});
+
+const checklistItemSchema = Joi.object({
+  text: checklistText.required().messages({
+    "any.required": "Checklist item text is required",
+  }),
+});
+
+const updateChecklistItemSchema = Joi.object({
+  text: checklistText.optional(),
+  done: Joi.boolean().optional(),
+}).min(1);
+
+// PUT /api/tasks/:id/move: the target column and the tasks the moved task
+// goes between (either may be left out)
+const moveTaskSchema = Joi.object({
+  status: status.optional(),
+  previousTaskId: Joi.string().hex().length(24).allow(null).optional(),
+  nextTaskId: Joi.string().hex().length(24).allow(null).optional(),
+});
+
+// POST /api/tasks/:id/links
+const taskLinkSchema = Joi.object({
+  taskId: Joi.string().hex().length(24).required().messages({
+    "any.required": "Linked task ID is required",
+    "string.length": "Invalid linked task ID format",
+  }),
+  type: Joi.string()
+    .valid(...Object.values(TASK_LINK_TYPES))
+    .required()
+    .messages({
+      "any.only": `Link type must be one of ${Object.values(TASK_LINK_TYPES).join(", ")}`,
+      "any.required": "Link type is required",
+    }),
+});
+
+// POST /api/tasks/:id/labels
+const taskLabelSchema = Joi.object({
+  labelId: Joi.string().hex().length(24).required().messages({
+    "any.required": "Label ID is required",
+    "string.length": "Invalid label ID format",
+  }),
+});
+
+const SORT_FIELDS = [
+  "rank",
+  "dueDate",
+  "startDate",
+  "priority",
+  "createdAt",
+  "updatedAt",
+];
+
+// Filters shared by the task list and bulk changes
+const taskFilterFields = {
+  // Status keys, comma-separated
+  status: Joi.string()
+    .max(500)
+    .pattern(/^[a-z0-9-]+(,[a-z0-9-]+)*$/)
+    .messages({
+      "string.pattern.base": "Status must be a comma-separated list of statuses",
+    }),
+  // A user id, me, or none for unassigned tasks
+  assignee: Joi.string()
+    .pattern(/^([0-9a-fA-F]{24}|me|none)$/)
+    .messages({
+      "string.pattern.base": "assignee must be a user ID, me or none",
+    }),
+  priority: Joi.string()
+    .pattern(
+      new RegExp(
+        `^(${Object.values(TASK_PRIORITIES).join("|")})(,(${Object.values(TASK_PRIORITIES).join("|")}))*$`
+      )
+    )
+    .messages({
+      "string.pattern.base": `Priority must be a comma-separated list of ${Object.values(TASK_PRIORITIES).join(", ")}`,
+    }),
+  dueAfter: taskDate("dueAfter"),
+  dueBefore: taskDate("dueBefore"),
+  overdue: Joi.boolean(),
+  startAfter: taskDate("startAfter"),
+  startBefore: taskDate("startBefore"),
+  createdAfter: taskDate("createdAfter"),
+  createdBefore: taskDate("createdBefore"),
+  // Label names or ids, comma-separated
+  label: Joi.string().max(500),
+  labelMode: Joi.string().valid("and", "or").messages({
+    "any.only": "labelMode must be and or or",
+  }),
+  // Words to look for in titles and descriptions
+  search: Joi.string().trim().min(1).max(200).messages({
+    "string.max": "Search cannot exceed 200 characters",
+  }),
+};
+
+// GET /api/tasks query: ?status=todo,review&assignee=me&priority=high,urgent&dueAfter=&dueBefore=&overdue=true&label=bug,ui&labelMode=and&search=login&sort=-priority&view=tree&page=2&limit=50
+const taskQuerySchema = Joi.object({
+  projectId: Joi.string().hex().length(24).messages({
+    "string.length": "Invalid Project ID format",
+  }),
+  ...taskFilterFields,
+  sort: Joi.string()
+    .valid(...SORT_FIELDS.flatMap((field) => [field, `-${field}`]))
+    .messages({
+      "any.only": `Sort must be one of ${SORT_FIELDS.join(", ")} (prefix with - for descending)`,
+    }),
+  view: Joi.string().valid("flat", "tree").messages({
+    "any.only": "View must be flat or tree",
+  }),
+  // The tree view is not paged
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .when("view", { is: "tree", then: Joi.forbidden() })
+    .messages({
+      "number.base": "Page must be a number",
+      "number.min": "Page must be at least 1",
+      "any.unknown": "The tree view is not paged",
+    }),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(200)
+    .when("view", { is: "tree", then: Joi.forbidden() })
+    .messages({
+      "number.base": "Limit must be a number",
+      "number.max": "Limit cannot exceed 200",
+      "any.unknown": "The tree view is not paged",
+    }),
+});
+
+const objectIds = (label) =>
+  Joi.array()
+    .items(
+      Joi.string().hex().length(24).messages({
+        "string.length": `Invalid ${label} ID format`,
+      })
+    )
+    .unique();
+
+// Ids to add to and remove from a task's list
+const listChanges = (label, max) =>
+  Joi.object({
+    add: objectIds(label).max(max),
+    remove: objectIds(label).max(max),
+  })
+    .or("add", "remove")
+    .messages({ "object.missing": `Give the ${label}s to add or remove` });
+
+// POST /api/tasks/bulk: the tasks (by id, or by a filter on one project) and
+// either the changes to apply to each of them or delete: true
+const bulkTaskSchema = Joi.object({
+  taskIds: objectIds("task").min(1).max(500).messages({
+    "array.max": "Bulk changes are limited to 500 tasks",
+  }),
+  filter: Joi.object({
+    projectId: Joi.string().hex().length(24).required().messages({
+      "any.required": "The filter needs a project ID",
+      "string.length": "Invalid Project ID format",
+    }),
+    ...taskFilterFields,
+  }),
+  changes: Joi.object({
+    status: status.optional(),
+    assignees: listChanges("assignee", 10),
+    labels: listChanges("label", 20),
+  }).min(1),
+  delete: Joi.boolean().valid(true).messages({
+    "any.only": "delete must be true",
+  }),
+})
+  .xor("taskIds", "filter")
+  .xor("changes", "delete")
+  .messages({
+    "object.missing": "Give taskIds or a filter, and changes or delete",
+    "object.xor": "Give either taskIds or a filter, and either changes or delete",
+  });
+
 module.exports = {
   createTaskSchema,
   updateTaskSchema,
+  moveTaskSchema,
+  checklistItemSchema,
+  updateChecklistItemSchema,
+  taskLinkSchema,
+  taskLabelSchema,
+  taskQuerySchema,
+  bulkTaskSchema,
 };
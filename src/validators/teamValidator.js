@@ -1,8 +1,52 @@
 const Joi = require("joi");
+const { ROLES } = require("../config/constants");
 
 const createTeamSchema = Joi.object({
   name: Joi.string().min(2).max(100).required(),
   description: Joi.string().max(500).allow(""),
 });
 
-module.exports = { createTeamSchema };
+const setActiveTeamSchema = Joi.object({
+  teamId: Joi.string().hex().length(24).required().messages({
+    "any.required": "Team ID is required",
+    "string.length": "Invalid Team ID format",
+  }),
+});
+
+const updateRoleSchema = Joi.object({
+  role: Joi.string()
+    .valid(...Object.values(ROLES))
+    .required()
+    .messages({
+      "any.only": `Role must be one of ${Object.values(ROLES).join(", ")}`,
+      "any.required": "Role is required",
+    }),
+});
+
+const updateTeamSchema = Joi.object({
+  name: Joi.string().min(2).max(100).optional(),
+  description: Joi.string().max(500).allow("").optional(),
+  requireTwoFactor: Joi.boolean().optional(),
+}).min(1);
+
+const transferOwnershipSchema = Joi.object({
+  userId: Joi.string().hex().length(24).required().messages({
+    "any.required": "New owner is required",
+    "string.length": "Invalid User ID format",
+  }),
+});
+
+const deactivateMemberSchema = Joi.object({
+  reassignTo: Joi.string().hex().length(24).allow(null).messages({
+    "string.length": "Invalid User ID format",
+  }),
+});
+
+module.exports = {
+  createTeamSchema,
+  setActiveTeamSchema,
+  updateRoleSchema,
+  updateTeamSchema,
+  transferOwnershipSchema,
+  deactivateMemberSchema,
+};
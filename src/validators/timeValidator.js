@@ -0,0 +1,89 @@
+const Joi = require("joi");
+const { TIME_REPORT_GROUPS } = require("../config/constants");
+
+const note = Joi.string().trim().max(500).allow("").messages({
+  "string.max": "Notes cannot exceed 500 characters",
+});
+
+// One entry covers at most a day
+const minutes = Joi.number().integer().min(1).max(24 * 60).messages({
+  "number.base": "Minutes must be a number",
+  "number.integer": "Minutes must be a whole number",
+  "number.min": "Minutes must be at least 1",
+  "number.max": "A time entry cannot exceed 24 hours",
+});
+
+const startedAt = Joi.date().iso().messages({
+  "date.base": "Start time must be a valid date",
+  "date.format": "Start time must be an ISO 8601 date",
+});
+
+// POST /api/tasks/:id/time/start
+const startTimerSchema = Joi.object({
+  note: note.optional(),
+});
+
+// POST /api/tasks/:id/time; without startedAt the time ends now
+const timeEntrySchema = Joi.object({
+  minutes: minutes.required().messages({
+    "any.required": "Minutes are required",
+  }),
+  startedAt: startedAt.optional(),
+  note: note.optional(),
+});
+
+// PUT /api/tasks/:id/time/:entryId
+const updateTimeEntrySchema = Joi.object({
+  minutes: minutes.optional(),
+  startedAt: startedAt.optional(),
+  note: note.optional(),
+}).min(1);
+
+const isTimeZone = (value, helpers) => {
+  try {
+    new Intl.DateTimeFormat("en", { timeZone: value });
+    return value;
+  } catch (error) {
+    return helpers.error("any.invalid");
+  }
+};
+
+// GET /api/time/report?from=&to=&projectId=&userId=&groupBy=user,project&timezone=&format=csv
+const timeReportQuerySchema = Joi.object({
+  from: Joi.date().iso().required().messages({
+    "any.required": "from is required",
+    "date.format": "from must be an ISO 8601 date",
+  }),
+  to: Joi.date().iso().greater(Joi.ref("from")).messages({
+    "date.format": "to must be an ISO 8601 date",
+    "date.greater": "to must be after from",
+  }),
+  projectId: Joi.string().hex().length(24).messages({
+    "string.length": "Invalid Project ID format",
+  }),
+  userId: Joi.string().hex().length(24).messages({
+    "string.length": "Invalid user ID format",
+  }),
+  groupBy: Joi.string()
+    .pattern(
+      new RegExp(
+        `^(${TIME_REPORT_GROUPS.join("|")})(,(${TIME_REPORT_GROUPS.join("|")}))*$`
+      )
+    )
+    .messages({
+      "string.pattern.base": `groupBy must be a comma-separated list of ${TIME_REPORT_GROUPS.join(", ")}`,
+    }),
+  timezone: Joi.string().custom(isTimeZone).messages({
+    "any.invalid": "Unknown time zone",
+  }),
+  format: Joi.string().valid("json", "csv").messages({
+    "any.only": "Format must be json or csv",
+  }),
+});
+
+module.exports = {
+  startTimerSchema,
+  timeEntrySchema,
+  updateTimeEntrySchema,
+  timeReportQuerySchema,
+};